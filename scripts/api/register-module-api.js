@@ -0,0 +1,115 @@
+import { MODULE_ID } from "../constants/module-id.js";
+import { debugNs } from "../logger/ns.js";
+import { setDebugEnabled, isDebugEnabled } from "../logger/state.js";
+
+import { computeEvilBotchesResult } from "../evil-botches/rolls/compute-evil-botches-result.js";
+import { computeEvilBotchesOutcome } from "../evil-botches/outcome/evil-botches-outcome-rules.js";
+import { getEvilBotchesVerdictFromMessage } from "../evil-botches/get-evil-botches-verdict-from-message.js";
+import { calcBloodpoolExtras } from "../vampire/bloodpool/calc-bloodpool-extras.js";
+import { wakeVampire } from "../vampire/bloodpool/wake-vampire.js";
+import { spendBlood } from "../vampire/bloodpool/spend-blood.js";
+import { getGenerationStats } from "../vampire/generation/get-generation-stats.js";
+import { findGenerationMismatches } from "../vampire/generation/find-generation-mismatches.js";
+import { fixGenerationMismatches } from "../vampire/generation/fix-generation-mismatches.js";
+import { resolveHungerVirtue } from "../vampire/virtues/resolve-hunger-virtue.js";
+import { runBloodHungerCheck } from "../vampire/bloodpool/run-blood-hunger-check.js";
+import { openFeedingDialog } from "../vampire/feeding/open-feeding-dialog.js";
+import { openFateRollDialog } from "../fate/open-fate-roll-dialog.js";
+import { ensureFateData } from "../fate/ensure-fate-data.js";
+import { spendFatePoints } from "../fate/spend-fate-points.js";
+import { refreshFate } from "../fate/refresh-fate.js";
+import { openFateRefreshDialog } from "../fate/open-fate-refresh-dialog.js";
+import { computeFateOutcome } from "../fate/rules/compute-fate-outcome.js";
+import { getFateResultFromMessage } from "../fate/get-fate-result-from-message.js";
+import { peekPendingRollContext } from "../roll-context/store.js";
+import { getRollContextFromMessage } from "../roll-context/get-roll-context-from-message.js";
+import { getRollContextCoverage } from "../roll-context/coverage.js";
+import { collectActorRollHistory } from "../roll-history/collect-actor-roll-history.js";
+import { openRollHistory } from "../roll-history/open-roll-history.js";
+import { collectDiceStatsSamples } from "../dice-stats/collect-dice-stats-samples.js";
+import { aggregateDiceStats } from "../dice-stats/aggregate-dice-stats.js";
+import { openDiceStats } from "../dice-stats/open-dice-stats.js";
+
+const { debug, warn } = debugNs("api");
+
+/**
+ * Public API version.
+ *
+ * Bump this when an existing entry changes its signature or semantics.
+ * Adding new entries does not require a bump.
+ */
+export const API_VERSION = 1;
+
+/**
+ * Expose the public module API on `game.modules.get(MODULE_ID).api`.
+ *
+ * Why:
+ * - Macros and companion modules need a stable entry point instead of deep-importing
+ *   internal script paths (which may move between releases).
+ * - `register-settings.js` cannot import the logger, so its `enableDebug` onChange
+ *   handler calls `api.setDebugEnabled(...)` through this object.
+ *
+ * Must be called from the init hook, before settings can be changed by the user.
+ *
+ * Usage (macro):
+ *   const api = game.modules.get("rusbar-homerules-for-wod-v20-system").api;
+ *   api.calcBloodpoolExtras(actor);
+ */
+export function registerModuleApi() {
+  const mod = game?.modules?.get(MODULE_ID);
+  if (!mod) {
+    warn("Module entry not found; public API is not available");
+    return;
+  }
+
+  mod.api = Object.freeze({
+    version: API_VERSION,
+
+    // Logger
+    setDebugEnabled,
+    isDebugEnabled,
+
+    // Evil Botches (pure math / stored verdicts, no DOM)
+    computeEvilBotchesResult,
+    computeEvilBotchesOutcome,
+    getEvilBotchesVerdictFromMessage,
+
+    // Vampire
+    calcBloodpoolExtras,
+    wakeVampire,
+    spendBlood,
+    getGenerationStats,
+    findGenerationMismatches,
+    fixGenerationMismatches,
+    resolveHungerVirtue,
+    runBloodHungerCheck,
+    openFeedingDialog,
+
+    // Fate
+    openFateRollDialog,
+    ensureFateData,
+    spendFatePoints,
+    refreshFate,
+    openFateRefreshDialog,
+    computeFateOutcome,
+    getFateResultFromMessage,
+
+    // Roll context (read-only)
+    rollContext: Object.freeze({
+      peekPending: peekPendingRollContext,
+      getFromMessage: getRollContextFromMessage,
+      getCoverage: getRollContextCoverage,
+    }),
+
+    // Roll history
+    collectActorRollHistory,
+    openRollHistory,
+
+    // Dice statistics
+    collectDiceStatsSamples,
+    aggregateDiceStats,
+    openDiceStats,
+  });
+
+  debug("Public API registered", { version: API_VERSION });
+}
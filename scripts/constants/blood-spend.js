@@ -0,0 +1,42 @@
+/**
+ * Blood spend tracker constants (Vampire Blood Pool, per combat round).
+ *
+ * The spends of the current round are stored in actor flags:
+ *   flags[MODULE_ID].bloodSpend = { combatId, round, spent, entries: [{ amount, reason, userId, atMs }] }
+ *
+ * A record of another combat/round counts as empty, so the counter resets on round change
+ * even before the GM cleanup (see register-blood-spend-tracker.js) has run.
+ */
+export const BLOOD_SPEND = Object.freeze({
+  /**
+   * Flag key under flags[MODULE_ID].
+   */
+  FLAG: "bloodSpend",
+
+  /**
+   * Actor update option naming what the blood was spent on.
+   * Updates without it (sheet square clicks) are recorded as "other".
+   */
+  REASON_OPTION: "rbBloodSpendReason",
+
+  /**
+   * Known spend reasons (free-form strings are recorded as "other").
+   */
+  REASONS: Object.freeze(["healing", "physical", "discipline", "wake", "correction", "other"]),
+
+  /**
+   * Reasons that are recorded but never count against the per-turn limit
+   * (waking up, clamping blood after a generation fix).
+   */
+  UNLIMITED_REASONS: Object.freeze(["wake", "correction"]),
+
+  /**
+   * Values of the bloodPerTurnLimit setting.
+   */
+  LIMIT_MODES: Object.freeze(["off", "warn", "refuse"]),
+
+  /**
+   * Entries kept per round (the total is always exact).
+   */
+  MAX_ENTRIES: 20,
+});
@@ -0,0 +1,26 @@
+/**
+ * Blood Pool data-path constants (upstream WoD20 Vampire actor data).
+ *
+ * Same role as fate-data.js: one place for paths read/written by Blood Pool automation.
+ */
+export const BLOODPOOL_DATA = Object.freeze({
+  /**
+   * Vampire generation (drives the Blood Pool size and per-turn limit).
+   */
+  PATH_GENERATION: "system.generation",
+
+  /**
+   * Blood Pool size by generation.
+   */
+  PATH_MAX: "system.advantages.bloodpool.max",
+
+  /**
+   * Current (spendable) blood points.
+   */
+  PATH_TEMPORARY: "system.advantages.bloodpool.temporary",
+
+  /**
+   * Blood points that can be spent per turn (generation limit).
+   */
+  PATH_PER_TURN: "system.advantages.bloodpool.perturn",
+});
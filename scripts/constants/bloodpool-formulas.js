@@ -0,0 +1,25 @@
+/**
+ * Blood Pool formula defaults and variables (world setting, edited via the
+ * "Blood Pool formulas" settings menu).
+ *
+ * Formulas use the safe expression language of formulas/compile-formula.js.
+ */
+export const BLOODPOOL_FORMULAS = Object.freeze({
+  /**
+   * Variables available to every Blood Pool formula (see calcBloodpoolExtras meta).
+   */
+  VARIABLES: Object.freeze(["generation", "perTurn", "maxBloodPool", "virtue", "humanity"]),
+
+  /**
+   * Default formulas (the original home rules).
+   */
+  DEFAULTS: Object.freeze({
+    wakeCost: "1 + (13 - generation) + (perTurn - 1)",
+    hunger: "ceil(maxBloodPool / 2 + 1 - virtue)",
+  }),
+
+  /**
+   * Sample values for the settings preview (a 13th generation neonate).
+   */
+  PREVIEW_SAMPLE: Object.freeze({ generation: 13, perTurn: 1, maxBloodPool: 10, virtue: 3, humanity: 7 }),
+});
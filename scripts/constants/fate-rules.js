@@ -1,8 +1,9 @@
 /**
- * Fate rules/balance constants.
+ * Fate rules/balance defaults.
  *
  * These values affect character data defaults and normalization rules.
- * Adjust them to tune the Fate mechanic without hunting through code.
+ * Worlds override them through the "Fate rules" settings menu; read the active
+ * values with `getFateRules()` (fate/get-fate-rules.js), not from here.
  *
  * NOTE:
  * - Keep this file free of Foundry hooks or DOM-specific details.
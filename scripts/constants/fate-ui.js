@@ -2,7 +2,7 @@
  * Fate UI / system-integration constants.
  *
  * These values describe how we:
- * - detect Vampire sheets
+ * - detect Vampire sheets (Fate sheet targets are configured in world settings)
  * - locate insertion anchors in the system DOM
  * - mark our injected UI
  * - bind/unbind event handlers
@@ -26,16 +26,23 @@ export const FATE_UI = Object.freeze({
 
   /**
    * Fallback selectors to locate a good insertion point.
-   * We try, in order:
-   * - willpower temporary (preferred)
+   * We try, in order (object key order is the lookup order):
+   * - willpower temporary (preferred; present on most sheets)
    * - willpower permanent
    * - any willpower row
-   * - last resort: any sheet-inner-area container
+   * - werewolf-like sheets: any rage / gnosis row
+   * - ghoul / vampire sheets: any blood pool row
+   * - any other advantage row (mage, mortal variants, homebrew sheets)
+   * - last resort: any sheet-inner-area container (appended at its end)
    */
   ANCHOR_SELECTORS: Object.freeze({
     willpowerTemp: `[data-name="advantages.willpower.temporary"]`,
     willpowerPerm: `[data-name="advantages.willpower.permanent"]`,
     anyWillpower: `[data-name^="advantages.willpower."]`,
+    anyRage: `[data-name^="advantages.rage."]`,
+    anyGnosis: `[data-name^="advantages.gnosis."]`,
+    anyBloodpool: `[data-name^="advantages.bloodpool."]`,
+    anyAdvantage: `[data-name^="advantages."]:not([data-name^="advantages.fate."])`,
     anyInnerArea: `.sheet-inner-area`,
   }),
 
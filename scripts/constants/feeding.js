@@ -0,0 +1,40 @@
+/**
+ * Feeding (hunting) roll constants.
+ *
+ * The hunt is rolled through the upstream DialogGeneralRoll as Perception + Streetwise
+ * (V20 urban hunting) against the difficulty of the chosen hunting ground.
+ */
+export const FEEDING = Object.freeze({
+  /**
+   * Roll context origin of feeding rolls (roll history, statistics, feeding hook).
+   */
+  ORIGIN: "feeding",
+
+  /**
+   * Property set on the upstream GeneralRoll object (value: hunting ground key), so the
+   * roll context dialog patch can tell a feeding roll from any other general roll.
+   */
+  ROLL_MARKER: "rbFeeding",
+
+  /**
+   * Dice pool keys (upstream attribute / ability keys).
+   */
+  ATTRIBUTE: "perception",
+  ABILITY: "streetwise",
+
+  /**
+   * Hunting grounds (V20) -> roll difficulty.
+   */
+  HUNTING_GROUNDS: Object.freeze({
+    slum: 4,
+    lowIncome: 5,
+    downtown: 6,
+    warehouse: 7,
+    suburb: 8,
+  }),
+
+  /**
+   * Hunting ground preselected in the picker.
+   */
+  DEFAULT_HUNTING_GROUND: "lowIncome",
+});
@@ -0,0 +1,55 @@
+/**
+ * Paths of Enlightenment (V20) and their Virtue sets.
+ *
+ * Each Path lists its three Virtues in sheet order:
+ *   [conscience | conviction, selfcontrol | instinct, "courage"]
+ * The second Virtue is the one that resists hunger frenzy (used by the hunger formula).
+ *
+ * `aliases` are normalized names (see findPathOfEnlightenment) that identify the Path in
+ * actor data, besides its id.
+ */
+export const PATHS_OF_ENLIGHTENMENT = Object.freeze({
+  humanity: path(["conscience", "selfcontrol"], ["humanity"]),
+  blood: path(["conviction", "selfcontrol"], ["blood"]),
+  bones: path(["conviction", "selfcontrol"], ["bones", "deathandthesoul"]),
+  caine: path(["conviction", "instinct"], ["caine"]),
+  cathari: path(["conviction", "instinct"], ["cathari"]),
+  evilRevelations: path(["conviction", "instinct"], ["evilrevelations"]),
+  feralHeart: path(["conviction", "instinct"], ["feralheart", "beast"]),
+  harmony: path(["conscience", "instinct"], ["harmony"]),
+  honorableAccord: path(["conscience", "selfcontrol"], ["honorableaccord"]),
+  lilith: path(["conviction", "instinct"], ["lilith"]),
+  metamorphosis: path(["conviction", "instinct"], ["metamorphosis"]),
+  night: path(["conviction", "instinct"], ["night"]),
+  paradox: path(["conviction", "selfcontrol"], ["paradox"]),
+  powerAndTheInnerVoice: path(["conviction", "instinct"], ["powerandtheinnervoice", "power"]),
+  typhon: path(["conviction", "selfcontrol"], ["typhon"]),
+});
+
+/**
+ * Hunger Virtue choice stored per actor (player override):
+ *   flags[MODULE_ID].hungerVirtue = "auto" | "selfcontrol" | "instinct"
+ * "auto" (or no flag) follows the actor's Path.
+ */
+export const HUNGER_VIRTUE = Object.freeze({
+  FLAG: "hungerVirtue",
+  CHOICES: Object.freeze(["auto", "selfcontrol", "instinct"]),
+});
+
+/**
+ * Actor data paths that may hold the Path name or label; the first non-empty one wins.
+ */
+export const PATH_NAME_DATA_PATHS = Object.freeze([
+  "system.advantages.path.label",
+  "system.advantages.path.name",
+  "system.advantages.path.custom",
+  "system.path",
+]);
+
+/**
+ * @param {string[]} virtues
+ * @param {string[]} aliases
+ */
+function path(virtues, aliases) {
+  return Object.freeze({ virtues: Object.freeze([...virtues, "courage"]), aliases: Object.freeze(aliases) });
+}
@@ -0,0 +1,25 @@
+/**
+ * Per-scene / per-actor rule override constants.
+ *
+ * Overrides are stored in document flags:
+ *   flags[MODULE_ID].ruleOverrides.<rule> = "inherit" | "enabled" | "disabled"
+ *
+ * Resolution order: world setting, then scene override, then actor override
+ * (the most specific non-"inherit" value wins). See rule-overrides/is-rule-enabled.js.
+ */
+export const RULE_OVERRIDES = Object.freeze({
+  /**
+   * Flag key under flags[MODULE_ID].
+   */
+  FLAG: "ruleOverrides",
+
+  /**
+   * Rules that can be overridden (keys inside the flag object).
+   */
+  RULES: Object.freeze(["fate", "evilBotches"]),
+
+  /**
+   * Allowed values; anything else is treated as "inherit".
+   */
+  VALUES: Object.freeze(["inherit", "enabled", "disabled"]),
+});
@@ -7,11 +7,74 @@
 
 export const SETTINGS_KEYS = Object.freeze({
   ENABLE_FATE: "enableFate",
+
+  // Comma-separated lists selecting which sheets get the Fate scale (actor types / sheet template hints).
+  FATE_ACTOR_TYPES: "fateActorTypes",
+  FATE_SHEET_TEMPLATES: "fateSheetTemplates",
+
+  /**
+   * Fate rules (dice pool source, data defaults, safety cap).
+   * - Stored as one world-scoped object, edited through a settings menu (not shown inline).
+   * - Changing it re-runs ensureFateData for Fate actors (see register-fate-rules-change-hook.js).
+   */
+  FATE_RULES: "fateRules",
+  FATE_RULES_MENU: "fateRulesMenu",
+
+  // Active Fate outcome rule (registry id, see scripts/fate/rules/fate-outcome-rules.js)
+  FATE_OUTCOME_RULE: "fateOutcomeRule",
+
+  /**
+   * Fate refresh/regain (GM tool):
+   * - mode: "full" (temporary = permanent) or "partial" (+amount, capped by permanent)
+   * - optional prompt on session start; the last refresh time is stored (hidden) to avoid
+   *   prompting again on every reload.
+   */
+  FATE_REGAIN_MODE: "fateRegainMode",
+  FATE_REGAIN_AMOUNT: "fateRegainAmount",
+  FATE_REFRESH_ON_SESSION_START: "fateRefreshOnSessionStart",
+  FATE_LAST_SESSION_REFRESH: "fateLastSessionRefresh",
+
+  /**
+   * Permanent Fate purchases:
+   * - XP purchase: raising permanent Fate costs XP (first dot / current rating x multiplier).
+   * - GM only: players cannot change permanent Fate themselves.
+   */
+  FATE_XP_PURCHASE: "fateXpPurchase",
+  FATE_XP_COST_NEW: "fateXpCostNew",
+  FATE_XP_COST_MULTIPLIER: "fateXpCostMultiplier",
+  FATE_PERMANENT_GM_ONLY: "fatePermanentGmOnly",
+
+  // Number of temporary Fate points deducted when "Use Fate" is ticked in a roll dialog (0 = free).
+  FATE_SPEND_COST: "fateSpendCost",
   ENABLE_DEBUG: "enableDebug",
 
-  // Enables alternative botch behavior (rule logic will be added in a later task).
+  // Enables alternative botch behavior (see scripts/evil-botches).
   EVIL_BOTCHES: "evilBotches",
 
+  // Active Evil Botches outcome variant (registry id, see evil-botches/outcome/evil-botches-outcome-rules.js)
+  EVIL_BOTCHES_RULE: "evilBotchesRule",
+
+  /**
+   * Blood Pool hunger check (Vampire sheets): what happens when blood drops to or below
+   * the hunger threshold: "off", "chat" (warning card) or "frenzy" (warning + upstream
+   * frenzy check dialog).
+   */
+  BLOOD_HUNGER_CHECK: "bloodHungerCheck",
+
+  /**
+   * Blood Pool per-turn limit (Vampires in combat): blood spent per combat round is tracked
+   * against `perturn`; "off", "warn" (notification) or "refuse" (the spend is cancelled).
+   */
+  BLOOD_PER_TURN_LIMIT: "bloodPerTurnLimit",
+
+  /**
+   * Blood Pool formulas (wake cost, hunger):
+   * - Stored as one world-scoped object of formula strings, edited through a settings menu
+   *   with validation and a live preview (see bloodpool-formulas-config.js).
+   */
+  BLOODPOOL_FORMULAS: "bloodpoolFormulas",
+  BLOODPOOL_FORMULAS_MENU: "bloodpoolFormulasMenu",
+
   /**
    * Preserve Item image paths:
    * - The upstream WoD20 system overwrites Item.img on create (and sometimes update).
@@ -19,3 +82,14 @@ export const SETTINGS_KEYS = Object.freeze({
    */
   PRESERVE_ITEM_IMAGE_PATHS: "preserveItemImagePaths",
 });
+
+/**
+ * Hook fired (on every client) when one of our settings changes.
+ *
+ * Why a hook:
+ * - register-settings.js must not import the logger (and therefore most feature code).
+ * - onChange handlers only announce the change; feature modules subscribe and react.
+ *
+ * Signature: Hooks.on(SETTING_CHANGED_HOOK, (key, value) => { ... })
+ */
+export const SETTING_CHANGED_HOOK = "rusbarHomerules.settingChanged";
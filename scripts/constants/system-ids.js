@@ -33,6 +33,15 @@ export const SYSTEM_IDS = Object.freeze({
    */
   BONUS_HELPER_MODULE_PATH: "/systems/worldofdarkness/module/scripts/bonus-helpers.js",
 
+  /**
+   * Experience bookkeeping in the WoD system:
+   * - Experience is tracked as embedded Items of type "Experience".
+   * - `system.type` marks the entry as gained or spent; `system.amount` holds the points.
+   */
+  EXPERIENCE_ITEM_TYPE: "Experience",
+  EXPERIENCE_GAINED_TYPE: "wod.types.expgained",
+  EXPERIENCE_SPENT_TYPE: "wod.types.expspent",
+
   /**
    * Absolute module paths to upstream roll dialogs we patch.
    */
@@ -43,4 +52,10 @@ export const SYSTEM_IDS = Object.freeze({
   DIALOG_TRAIT_MODULE_PATH: "/systems/worldofdarkness/module/dialogs/dialog-trait.js",
   DIALOG_ARETE_MODULE_PATH: "/systems/worldofdarkness/module/dialogs/dialog-aretecasting.js",
   DIALOG_FRENZY_MODULE_PATH: "/systems/worldofdarkness/module/dialogs/dialog-checkfrenzy.js",
+
+  /**
+   * Roll object class exported next to DialogCheckFrenzy (`new Frenzy(actor)`), as the
+   * system sheets build it before opening the frenzy check dialog.
+   */
+  FRENZY_ROLL_EXPORT_NAME: "Frenzy",
 });
@@ -0,0 +1,30 @@
+/**
+ * V20 generation table (Vampire: the Masquerade 20th Anniversary Edition).
+ *
+ * generation -> { traitMax, maxBloodPool, perTurn }
+ * - traitMax: maximum rating of Attributes / Abilities / Disciplines
+ * - maxBloodPool: Blood Pool size
+ * - perTurn: blood points that can be spent per turn
+ *
+ * Only generations with defined values are listed (4th to 15th); Antediluvians are
+ * left to the Storyteller.
+ */
+export const VAMPIRE_GENERATIONS = Object.freeze({
+  4: Object.freeze({ traitMax: 9, maxBloodPool: 50, perTurn: 10 }),
+  5: Object.freeze({ traitMax: 8, maxBloodPool: 40, perTurn: 8 }),
+  6: Object.freeze({ traitMax: 7, maxBloodPool: 30, perTurn: 6 }),
+  7: Object.freeze({ traitMax: 6, maxBloodPool: 20, perTurn: 4 }),
+  8: Object.freeze({ traitMax: 5, maxBloodPool: 15, perTurn: 3 }),
+  9: Object.freeze({ traitMax: 5, maxBloodPool: 14, perTurn: 2 }),
+  10: Object.freeze({ traitMax: 5, maxBloodPool: 13, perTurn: 1 }),
+  11: Object.freeze({ traitMax: 5, maxBloodPool: 12, perTurn: 1 }),
+  12: Object.freeze({ traitMax: 5, maxBloodPool: 11, perTurn: 1 }),
+  13: Object.freeze({ traitMax: 5, maxBloodPool: 10, perTurn: 1 }),
+  14: Object.freeze({ traitMax: 5, maxBloodPool: 10, perTurn: 1 }),
+  15: Object.freeze({ traitMax: 5, maxBloodPool: 10, perTurn: 1 }),
+});
+
+/**
+ * Generation assumed when an actor has none (same default as calcBloodpoolExtras).
+ */
+export const DEFAULT_VAMPIRE_GENERATION = 13;
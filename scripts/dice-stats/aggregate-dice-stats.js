@@ -0,0 +1,158 @@
+/**
+ * Aggregate statistics samples (see build-dice-stats-sample.js) into table data.
+ *
+ * Pure: no Foundry globals, so the dashboard, exports and tests share one implementation.
+ *
+ * Shape:
+ * - totals: rolls, dice, botches, botchRate
+ * - byUser / byActor: one group per user / actor with a d10 distribution (index 0 = face 1),
+ *   average die, botch rate and average net successes (rolls with a known result only)
+ * - byDifficulty: average net successes and botch rate per difficulty
+ * - fate: Fate dice count, tens, ones and the count of rule verdict kinds
+ *
+ * A botch counts as 0 successes in the averages; it is reported by the botch rate.
+ *
+ * Groups are sorted by roll count (desc), difficulties ascending.
+ *
+ * @param {object[]} samples
+ * @returns {object}
+ */
+export function aggregateDiceStats(samples) {
+  const list = (Array.isArray(samples) ? samples : []).filter(Boolean);
+
+  const byUser = new Map();
+  const byActor = new Map();
+  const byDifficulty = new Map();
+  const fate = { rolls: 0, dice: 0, tens: 0, ones: 0, kinds: {} };
+
+  for (const sample of list) {
+    addToGroup(byUser, sample.userId ?? "unknown", sample.userName, sample);
+    addToGroup(byActor, sample.actorId ?? "unknown", sample.actorName, sample);
+
+    if (Number.isInteger(sample.difficulty) && Number.isFinite(sample.successes)) {
+      const d = byDifficulty.get(sample.difficulty) ?? { difficulty: sample.difficulty, rolls: 0, successes: 0, botches: 0 };
+      d.rolls += 1;
+      d.successes += toScoredSuccesses(sample);
+      if (sample.botch === true) d.botches += 1;
+      byDifficulty.set(sample.difficulty, d);
+    }
+
+    if (sample.fate) {
+      fate.rolls += 1;
+      fate.dice += sample.fate.dice;
+      fate.tens += sample.fate.tens;
+      fate.ones += sample.fate.ones;
+      for (const kind of sample.fate.kinds ?? []) {
+        if (!kind) continue;
+        fate.kinds[kind] = (fate.kinds[kind] ?? 0) + 1;
+      }
+    }
+  }
+
+  const botches = list.filter((s) => s.botch === true).length;
+
+  return {
+    totals: {
+      rolls: list.length,
+      dice: list.reduce((sum, s) => sum + s.dieValues.length, 0),
+      botches,
+      botchRate: ratio(botches, list.length),
+    },
+    byUser: finalizeGroups(byUser),
+    byActor: finalizeGroups(byActor),
+    byDifficulty: Array.from(byDifficulty.values())
+      .sort((a, b) => a.difficulty - b.difficulty)
+      .map((d) => ({
+        difficulty: d.difficulty,
+        rolls: d.rolls,
+        averageSuccesses: round(d.successes / d.rolls),
+        botches: d.botches,
+        botchRate: ratio(d.botches, d.rolls),
+      })),
+    fate,
+  };
+}
+
+/**
+ * Successes a sample adds to an average: never negative, 0 for a botch.
+ *
+ * @param {object} sample
+ * @returns {number}
+ */
+function toScoredSuccesses(sample) {
+  if (sample.botch === true) return 0;
+  return Math.max(0, sample.successes);
+}
+
+/**
+ * @param {Map<string, object>} groups
+ * @param {string} id
+ * @param {string|null} name
+ * @param {object} sample
+ */
+function addToGroup(groups, id, name, sample) {
+  const g = groups.get(id) ?? {
+    id,
+    name: name ?? id,
+    rolls: 0,
+    dice: 0,
+    sum: 0,
+    distribution: new Array(10).fill(0),
+    botches: 0,
+    scoredRolls: 0,
+    successes: 0,
+  };
+
+  g.rolls += 1;
+  for (const value of sample.dieValues) {
+    g.dice += 1;
+    g.sum += value;
+    g.distribution[value - 1] += 1;
+  }
+  if (sample.botch === true) g.botches += 1;
+  if (Number.isFinite(sample.successes)) {
+    g.scoredRolls += 1;
+    g.successes += toScoredSuccesses(sample);
+  }
+
+  groups.set(id, g);
+}
+
+/**
+ * @param {Map<string, object>} groups
+ * @returns {object[]}
+ */
+function finalizeGroups(groups) {
+  return Array.from(groups.values())
+    .sort((a, b) => b.rolls - a.rolls)
+    .map((g) => ({
+      id: g.id,
+      name: g.name,
+      rolls: g.rolls,
+      dice: g.dice,
+      distribution: g.distribution,
+      averageDie: g.dice > 0 ? round(g.sum / g.dice) : null,
+      botches: g.botches,
+      botchRate: ratio(g.botches, g.rolls),
+      averageSuccesses: g.scoredRolls > 0 ? round(g.successes / g.scoredRolls) : null,
+    }));
+}
+
+/**
+ * @param {number} part
+ * @param {number} total
+ * @returns {number}
+ */
+function ratio(part, total) {
+  return total > 0 ? round(part / total) : 0;
+}
+
+/**
+ * Two decimals; keeps exports readable.
+ *
+ * @param {number} value
+ * @returns {number}
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,50 @@
+import { getMessageNetSuccesses } from "../evil-botches/get-message-net-successes.js";
+import { getRollContextFromMessage } from "../roll-context/get-roll-context-from-message.js";
+import { getFateResultFromMessage } from "../fate/get-fate-result-from-message.js";
+
+/**
+ * Build one statistics sample from a ChatMessage.
+ *
+ * Sources:
+ * - d10 results: message rolls (same extraction as Evil Botches).
+ * - origin / difficulty / actor: roll context flags (speaker as fallback for the actor).
+ * - net successes: getMessageNetSuccesses (stored Evil Botches verdict, else the system count with
+ *   specialty tens, Willpower, auto-successes and the handleOnes setting, as in the chat card);
+ *   a botch is sampled as 0 successes, the botch itself is kept in `botch`.
+ * - Fate: the stored Fate result (per-area Fate dice, tens, ones, rule verdict).
+ *
+ * @param {ChatMessage} message
+ * @returns {object|null} Null for messages without d10 results.
+ */
+export function buildDiceStatsSample(message) {
+  const { successes, botch, difficulty, dieValues } = getMessageNetSuccesses(message);
+  if (dieValues.length === 0) return null;
+
+  const ctx = getRollContextFromMessage(message);
+  const fate = getFateResultFromMessage(message);
+  const author = message?.author ?? null;
+
+  const fateAreas = (fate?.areas ?? []).filter(Boolean);
+
+  return {
+    messageId: message?.id ?? null,
+    timestamp: Number(message?.timestamp ?? 0) || 0,
+    userId: author?.id ?? (typeof author === "string" ? author : null),
+    userName: author?.name ?? null,
+    actorId: ctx?.actorId ?? message?.speaker?.actor ?? null,
+    actorName: message?.speaker?.alias ?? null,
+    origin: ctx?.origin ?? null,
+    difficulty,
+    dieValues,
+    successes: botch ? 0 : successes,
+    botch,
+    fate: fate
+      ? {
+          dice: fateAreas.reduce((sum, a) => sum + (Number(a.fateDice) || 0), 0),
+          tens: fateAreas.reduce((sum, a) => sum + (Number(a.tens) || 0), 0),
+          ones: fateAreas.reduce((sum, a) => sum + (Number(a.ones) || 0), 0),
+          kinds: fateAreas.map((a) => a.kind),
+        }
+      : null,
+  };
+}
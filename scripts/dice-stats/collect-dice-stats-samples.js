@@ -0,0 +1,25 @@
+import { buildDiceStatsSample } from "./build-dice-stats-sample.js";
+
+/**
+ * Collect statistics samples from chat messages (oldest first).
+ *
+ * @param {Iterable<ChatMessage>} messages Usually `game.messages`.
+ * @param {{ fromMs?: number|null, toMs?: number|null }} [filters] Inclusive timestamp range.
+ * @returns {object[]}
+ */
+export function collectDiceStatsSamples(messages, { fromMs = null, toMs = null } = {}) {
+  const samples = [];
+  if (!messages) return samples;
+
+  for (const message of messages) {
+    const sample = buildDiceStatsSample(message);
+    if (!sample) continue;
+
+    if (Number.isFinite(fromMs) && sample.timestamp < fromMs) continue;
+    if (Number.isFinite(toMs) && sample.timestamp > toMs) continue;
+
+    samples.push(sample);
+  }
+
+  return samples.sort((a, b) => a.timestamp - b.timestamp);
+}
@@ -0,0 +1,104 @@
+import { MODULE_ID } from "../constants/module-id.js";
+import { collectDiceStatsSamples } from "./collect-dice-stats-samples.js";
+import { aggregateDiceStats } from "./aggregate-dice-stats.js";
+import { diceStatsToCsv } from "./dice-stats-to-csv.js";
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * GM dice statistics window.
+ *
+ * Reads every chat message with d10 results, aggregates per user / actor / difficulty and
+ * Fate, and exports the same data as JSON or CSV. Data is recomputed on every render, so
+ * "Refresh" is enough to include new rolls.
+ */
+export class DiceStatsApp extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    id: "rusbar-dice-stats",
+    classes: ["rusbar-dice-stats"],
+    window: {
+      title: "rusbar.homerules.diceStats.title",
+      icon: "fa-solid fa-chart-column",
+      resizable: true,
+    },
+    position: { width: 900, height: 640 },
+    actions: {
+      refresh: DiceStatsApp.#onRefresh,
+      exportJson: DiceStatsApp.#onExportJson,
+      exportCsv: DiceStatsApp.#onExportCsv,
+    },
+  };
+
+  static PARTS = {
+    stats: { template: `modules/${MODULE_ID}/templates/dice-stats/dice-stats.hbs` },
+  };
+
+  /** @override */
+  async _prepareContext(options) {
+    const context = await super._prepareContext(options);
+    const stats = DiceStatsApp.#computeStats().stats;
+
+    const withPercent = (row) => ({ ...row, botchPercent: toPercent(row.botchRate) });
+
+    return {
+      ...context,
+      totals: withPercent(stats.totals),
+      groupSections: [
+        { label: "rusbar.homerules.diceStats.section.byUser", rows: stats.byUser.map(withPercent) },
+        { label: "rusbar.homerules.diceStats.section.byActor", rows: stats.byActor.map(withPercent) },
+      ],
+      byDifficulty: stats.byDifficulty.map(withPercent),
+      fate: stats.fate,
+      fateKinds: Object.entries(stats.fate.kinds).map(([kind, count]) => ({ kind, count })),
+      faces: Array.from({ length: 10 }, (_v, i) => i + 1),
+    };
+  }
+
+  /**
+   * @returns {{ samples: object[], stats: object }}
+   */
+  static #computeStats() {
+    const samples = collectDiceStatsSamples(game.messages ?? []);
+    return { samples, stats: aggregateDiceStats(samples) };
+  }
+
+  /**
+   * @returns {string} File name stem, e.g. "dice-stats-myworld-2026-10-19".
+   */
+  static #fileStem() {
+    const day = new Date().toISOString().slice(0, 10);
+    return `dice-stats-${game.world?.id ?? "world"}-${day}`;
+  }
+
+  /**
+   * @this {DiceStatsApp}
+   */
+  static #onRefresh() {
+    this.render();
+  }
+
+  /**
+   * Export aggregated stats and raw samples as JSON.
+   */
+  static #onExportJson() {
+    const { samples, stats } = DiceStatsApp.#computeStats();
+    const data = { version: 1, generatedAtMs: Date.now(), world: game.world?.id ?? null, stats, samples };
+    foundry.utils.saveDataToFile(JSON.stringify(data, null, 2), "application/json", `${DiceStatsApp.#fileStem()}.json`);
+  }
+
+  /**
+   * Export per-user / per-actor / per-difficulty rows as CSV.
+   */
+  static #onExportCsv() {
+    const { stats } = DiceStatsApp.#computeStats();
+    foundry.utils.saveDataToFile(diceStatsToCsv(stats), "text/csv", `${DiceStatsApp.#fileStem()}.csv`);
+  }
+}
+
+/**
+ * @param {number} rate 0..1
+ * @returns {string}
+ */
+function toPercent(rate) {
+  return `${Math.round((Number(rate) || 0) * 100)}%`;
+}
@@ -0,0 +1,86 @@
+/**
+ * CSV columns of the dice statistics export (one row per user / actor group).
+ */
+const CSV_COLUMNS = Object.freeze([
+  "group",
+  "id",
+  "name",
+  "rolls",
+  "dice",
+  "d1",
+  "d2",
+  "d3",
+  "d4",
+  "d5",
+  "d6",
+  "d7",
+  "d8",
+  "d9",
+  "d10",
+  "averageDie",
+  "botches",
+  "botchRate",
+  "averageSuccesses",
+]);
+
+/**
+ * Serialize aggregated statistics (see aggregate-dice-stats.js) into CSV.
+ *
+ * Per-user and per-actor groups share the columns; difficulty rows use the
+ * `difficulty` group with the difficulty in `id`, leaving the distribution empty.
+ *
+ * Pure: no Foundry globals.
+ *
+ * @param {object} stats
+ * @returns {string}
+ */
+export function diceStatsToCsv(stats) {
+  const rows = [CSV_COLUMNS.join(",")];
+
+  for (const [group, list] of [["user", stats?.byUser], ["actor", stats?.byActor]]) {
+    for (const g of list ?? []) {
+      rows.push(
+        toCsvRow([
+          group,
+          g.id,
+          g.name,
+          g.rolls,
+          g.dice,
+          ...g.distribution,
+          g.averageDie,
+          g.botches,
+          g.botchRate,
+          g.averageSuccesses,
+        ])
+      );
+    }
+  }
+
+  for (const d of stats?.byDifficulty ?? []) {
+    rows.push(
+      toCsvRow(["difficulty", d.difficulty, "", d.rolls, "", ...new Array(10).fill(""), "", d.botches, d.botchRate, d.averageSuccesses])
+    );
+  }
+
+  return `${rows.join("\n")}\n`;
+}
+
+/**
+ * @param {unknown[]} values
+ * @returns {string}
+ */
+function toCsvRow(values) {
+  return values.map(escapeCsv).join(",");
+}
+
+/**
+ * RFC 4180 quoting: wrap when the value contains a comma, quote or line break.
+ *
+ * @param {unknown} value
+ * @returns {string}
+ */
+function escapeCsv(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
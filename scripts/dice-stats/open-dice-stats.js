@@ -0,0 +1,27 @@
+import { debugNs } from "../logger/ns.js";
+import { DiceStatsApp } from "./dice-stats-app.js";
+
+const { debug, error } = debugNs("dice-stats");
+
+/**
+ * Open (or bring to front) the GM dice statistics window.
+ *
+ * @returns {Promise<DiceStatsApp|null>}
+ */
+export async function openDiceStats() {
+  if (game.user?.isGM !== true) return null;
+
+  try {
+    const existing = foundry.applications.instances.get(DiceStatsApp.DEFAULT_OPTIONS.id);
+    const app = existing ?? new DiceStatsApp();
+
+    debug("Opening dice statistics", { reused: Boolean(existing) });
+    await app.render({ force: true });
+    if (existing) existing.bringToFront();
+
+    return app;
+  } catch (err) {
+    error("Failed to open dice statistics", err);
+    return null;
+  }
+}
@@ -0,0 +1,33 @@
+import { debugNs } from "../logger/ns.js";
+import { openDiceStats } from "./open-dice-stats.js";
+
+const { info, error } = debugNs("dice-stats:tools");
+
+/**
+ * Register the GM entry point for dice statistics: a Token controls button
+ * (same placement as the Fate refresh tool).
+ */
+export function registerDiceStatsTools() {
+  Hooks.on("getSceneControlButtons", (controls) => {
+    try {
+      if (game.user?.isGM !== true) return;
+
+      const tokens = controls?.tokens;
+      if (!tokens?.tools) return;
+
+      tokens.tools.rbDiceStats = {
+        name: "rbDiceStats",
+        title: "rusbar.homerules.diceStats.title",
+        icon: "fa-solid fa-chart-column",
+        order: Object.keys(tokens.tools).length,
+        button: true,
+        visible: true,
+        onChange: () => openDiceStats(),
+      };
+    } catch (err) {
+      error("Failed to add dice statistics scene control", err);
+    }
+  });
+
+  info("Registered dice statistics tools");
+}
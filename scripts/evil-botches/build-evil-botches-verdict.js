@@ -0,0 +1,45 @@
+/**
+ * ChatMessage flag key (under flags[MODULE_ID]) that holds the stored Evil Botches verdict.
+ */
+export const EVIL_BOTCHES_FLAG = "evilBotches";
+
+/**
+ * Convert an `evaluateEvilBotches` result into the plain object stored in message flags.
+ *
+ * Stored:
+ * - `applied` + `reason`: whether the roll was gated in (system exceptions are recorded too,
+ *   so other clients do not re-decide differently later),
+ * - the inputs (difficulty, specialty, Willpower, auto-successes, die values),
+ * - the `calc` object without the localized text (it is formatted at render time).
+ *
+ * @param {object} evaluation
+ * @returns {object}
+ */
+export function buildEvilBotchesVerdict(evaluation) {
+  const rollCtx = evaluation?.rollCtx ?? null;
+
+  if (evaluation?.ok !== true) {
+    return {
+      version: 1,
+      applied: false,
+      reason: evaluation?.reason ?? "unknown",
+      rollTraceId: rollCtx?.rollTraceId ?? null,
+    };
+  }
+
+  const { outcomeText: _outcomeText, ...calc } = evaluation.calc ?? {};
+
+  return {
+    version: 1,
+    applied: true,
+    reason: "ok",
+    rollTraceId: rollCtx?.rollTraceId ?? null,
+    origin: evaluation.origin,
+    difficulty: evaluation.difficulty,
+    isSpecialized: evaluation.isSpecialized,
+    isWillpowerUsed: evaluation.isWillpowerUsed,
+    autoSuccesses: evaluation.autoSuccesses,
+    dieValues: [...evaluation.dieValues],
+    calc: foundry.utils.deepClone(calc),
+  };
+}
@@ -17,12 +17,14 @@ export function logCalc(
     isSpecialized,
     isWillpowerUsed,
     ones: calc?.ones ?? null,
+    tens: calc?.tens ?? null,
     autoSuccesses,
     successesFromDice: calc?.diceSuccesses ?? null,
     successesBeforeSubtractOnes: calc?.successesBeforeOnes ?? null,
     netBeforeWillpower: calc?.outcome?.netBeforeWillpower ?? null,
     netAfterWillpower: calc?.outcome?.netAfterWillpower ?? null,
     willpowerRuleApplied: calc?.outcome?.willpowerRuleApplied ?? null,
+    outcomeRule: calc?.outcome?.rule ?? null,
     outcome: calc?.outcome ?? null,
     diceCount: dieValues.length,
     dieValuesJson: safeJsonStringify(dieValues),
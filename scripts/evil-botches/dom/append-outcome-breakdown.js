@@ -0,0 +1,57 @@
+import { classifyDieValues } from "../rolls/classify-die-values.js";
+
+const I18N = "rusbar.homerules.evilBotches.breakdown";
+
+/**
+ * Append an expandable breakdown (`<details>`) under the replaced outcome line.
+ *
+ * Shows everything the verdict was computed from, so players can see why a roll botched:
+ * difficulty, per-die classification, ten value, auto-successes, net before/after
+ * Willpower and the Willpower/outcome rules that applied.
+ *
+ * Must run after `replaceOutcomeLine` (which clears the success area). The breakdown is
+ * not a <div>, so the Fate line (inserted after the last direct <div>) stays right
+ * under the outcome line.
+ *
+ * @param {HTMLElement} successAreaEl
+ * @param {{ difficulty: number, dieValues: number[], autoSuccesses: number, calc: object }} verdict
+ */
+export function appendOutcomeBreakdown(successAreaEl, verdict) {
+  const { calc } = verdict;
+  const outcome = calc?.outcome ?? {};
+
+  const details = document.createElement("details");
+  details.classList.add("rb-evil-botches-breakdown");
+
+  const summary = document.createElement("summary");
+  summary.textContent = game.i18n.localize(`${I18N}.summary`);
+  details.appendChild(summary);
+
+  const list = document.createElement("ul");
+
+  const addLine = (key, value) => {
+    const li = document.createElement("li");
+    li.textContent = game.i18n.format(`${I18N}.${key}`, { value });
+    list.appendChild(li);
+    return li;
+  };
+
+  addLine("difficulty", verdict.difficulty);
+
+  const dice = classifyDieValues(verdict.dieValues, verdict.difficulty)
+    .map(({ value, kind }) => `${value} (${game.i18n.localize(`${I18N}.die.${kind}`)})`)
+    .join(", ");
+  addLine("dice", dice);
+
+  addLine("tenValue", calc?.tenValue ?? 1);
+  addLine("autoSuccesses", verdict.autoSuccesses ?? 0);
+  addLine("successesBeforeOnes", calc?.successesBeforeOnes ?? 0);
+  addLine("ones", calc?.ones ?? 0);
+  addLine("netBeforeWillpower", outcome.netBeforeWillpower ?? 0);
+  addLine("netAfterWillpower", outcome.netAfterWillpower ?? 0);
+  addLine("willpowerRule", game.i18n.localize(`${I18N}.willpower.${outcome.willpowerRuleApplied ?? "none"}`));
+  addLine("rule", game.i18n.localize(`rusbar.homerules.settings.evilBotchesRule.${outcome.rule ?? "home"}`));
+
+  details.appendChild(list);
+  successAreaEl.appendChild(details);
+}
@@ -0,0 +1,128 @@
+import { MODULE_ID } from "../constants/module-id.js";
+
+import { isEvilBotchesEnabled } from "./settings/is-evil-botches-enabled.js";
+import { isSystemSubtractOnesEnabled } from "./settings/is-system-subtract-ones-enabled.js";
+import { getEvilBotchesRule } from "./settings/get-evil-botches-rule.js";
+
+import { getActorFromRollContext } from "./actor/get-actor-from-roll-context.js";
+import { shouldApplyEvilBotchesToRoll } from "./gating/should-apply-evil-botches-to-roll.js";
+
+import { getMessageRolls } from "./rolls/get-message-rolls.js";
+import { extractD10ValuesFromRolls } from "./rolls/extract-d10-values-from-rolls.js";
+import { computeEvilBotchesResult } from "./rolls/compute-evil-botches-result.js";
+
+import { safeJsonStringify } from "./debug/safe-json-stringify.js";
+import { buildSettingsSnapshot } from "./debug/build-settings-snapshot.js";
+import { logHookStart } from "./debug/log-hook-start.js";
+import { logGateSkip } from "./debug/log-gate-skip.js";
+import { logContextInputs } from "./debug/log-context-inputs.js";
+import { logMessageRollsSnapshot } from "./debug/log-message-rolls-snapshot.js";
+
+/**
+ * Evaluate Evil Botches for a chat message (no DOM).
+ *
+ * Shared by:
+ * - the preCreateChatMessage hook that persists the verdict into message flags,
+ * - the chat render hook, as a fallback for messages created without a stored verdict.
+ *
+ * Steps (unchanged from the original chat hook):
+ * - read the structured roll context (we intentionally do NOT parse localized HTML),
+ * - mirror system gating to avoid chat mismatch,
+ * - validate roll parameters and extract d10 results from the Roll objects,
+ * - run the Evil Botches math with the active outcome variant (world setting).
+ *
+ * @param {ChatMessage} message A created message or a document in preCreate (same shape).
+ * @param {Function} debug Namespaced debug logger of the caller.
+ * @returns {{ ok: false, reason: string, rollCtx: object|null, gate?: object }
+ *   | { ok: true, reason: "ok", rollCtx: object, gate: object, difficulty: number, origin: string|null,
+ *       isSpecialized: boolean, isWillpowerUsed: boolean, autoSuccesses: number, dieValues: number[], calc: object }}
+ */
+export function evaluateEvilBotches(message, debug) {
+  const rollCtx = message?.flags?.[MODULE_ID]?.rollContext ?? null;
+  if (!rollCtx) {
+    debug("Evil Botches: no rollContext on message; skipping", {
+      messageId: message?.id ?? null,
+      // Foundry v12+ migrated ChatMessage.user -> ChatMessage.author (User).
+      // Keep a fallback for older versions.
+      userId: message?.author?.id ?? message?.user?.id ?? null,
+      speaker: message?.speaker ?? null,
+    });
+    return { ok: false, reason: "no-roll-context", rollCtx: null };
+  }
+
+  // Mirror system gating to avoid chat mismatch.
+  const actor = getActorFromRollContext(rollCtx);
+  const gate = shouldApplyEvilBotchesToRoll({ rollCtx, actor });
+  if (gate.ok !== true) {
+    logGateSkip(debug, message, rollCtx, gate, safeJsonStringify);
+    return { ok: false, reason: gate.reason, rollCtx, gate };
+  }
+
+  const settingsSnapshot = buildSettingsSnapshot({ gate, isEvilBotchesEnabled, isSystemSubtractOnesEnabled });
+  logHookStart(debug, message, rollCtx, settingsSnapshot, safeJsonStringify);
+
+  // Validate required roll parameters.
+  const difficulty = Number(rollCtx?.difficulty);
+  if (!Number.isFinite(difficulty)) {
+    debug("Evil Botches: rollContext.difficulty missing/invalid; skipping", {
+      messageId: message?.id ?? null,
+      rollTraceId: rollCtx?.rollTraceId ?? null,
+      difficultyRaw: rollCtx?.difficulty ?? null,
+      rollCtx,
+    });
+    return { ok: false, reason: "invalid-difficulty", rollCtx, gate };
+  }
+
+  const origin = rollCtx?.origin ?? null;
+  const isSpecialized = rollCtx.isSpecialized === true;
+  const isWillpowerUsed = rollCtx.useWillpower === true;
+  const autoSuccesses = rollCtx?.autoSuccesses ? Number(rollCtx.autoSuccesses) : 0;
+
+  logContextInputs(debug, message, rollCtx, {
+    origin,
+    isSpecialized,
+    isWillpowerUsed,
+  });
+
+  // Extract dice results from Roll objects.
+  const msgRolls = getMessageRolls(message);
+  const dieValues = extractD10ValuesFromRolls(msgRolls);
+
+  logMessageRollsSnapshot(debug, message, rollCtx, {
+    msgRolls,
+    dieValues,
+    safeJsonStringify,
+  });
+
+  if (dieValues.length === 0) {
+    debug("Evil Botches: no d10 results found in message rolls; skipping", {
+      messageId: message?.id ?? null,
+      rollTraceId: rollCtx?.rollTraceId ?? null,
+      rollsCount: msgRolls.length,
+    });
+    return { ok: false, reason: "no-dice", rollCtx, gate };
+  }
+
+  const calc = computeEvilBotchesResult({
+    dieValues,
+    difficulty,
+    isSpecialized,
+    autoSuccesses,
+    isWillpowerUsed,
+    outcomeRule: getEvilBotchesRule(),
+  });
+
+  return {
+    ok: true,
+    reason: "ok",
+    rollCtx,
+    gate,
+    difficulty,
+    origin,
+    isSpecialized,
+    isWillpowerUsed,
+    autoSuccesses,
+    dieValues,
+    calc,
+  };
+}
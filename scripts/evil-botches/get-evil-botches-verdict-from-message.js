@@ -0,0 +1,18 @@
+import { MODULE_ID } from "../constants/module-id.js";
+import { EVIL_BOTCHES_FLAG } from "./build-evil-botches-verdict.js";
+
+/**
+ * Read the stored Evil Botches verdict of a ChatMessage.
+ *
+ * @param {ChatMessage} message
+ * @returns {object|null} A copy of the stored verdict, or null for messages created without one.
+ */
+export function getEvilBotchesVerdictFromMessage(message) {
+  try {
+    const verdict = message?.flags?.[MODULE_ID]?.[EVIL_BOTCHES_FLAG] ?? null;
+    if (!verdict || typeof verdict !== "object") return null;
+    return foundry.utils.deepClone(verdict);
+  } catch (_err) {
+    return null;
+  }
+}
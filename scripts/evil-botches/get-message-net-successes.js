@@ -0,0 +1,84 @@
+import { getMessageRolls } from "./rolls/get-message-rolls.js";
+import { extractD10ValuesFromRolls } from "./rolls/extract-d10-values-from-rolls.js";
+import { classifyDieValues } from "./rolls/classify-die-values.js";
+import { getTenSuccessValue } from "./rolls/get-ten-success-value.js";
+import { isSystemSubtractOnesEnabled } from "./settings/is-system-subtract-ones-enabled.js";
+import { getEvilBotchesVerdictFromMessage } from "./get-evil-botches-verdict-from-message.js";
+import { getRollContextFromMessage } from "../roll-context/get-roll-context-from-message.js";
+
+/**
+ * Net successes of a roll ChatMessage, for features that consume roll results.
+ *
+ * - The stored Evil Botches verdict wins when the active rule applied to the roll.
+ * - Otherwise the system count when the difficulty is known (see countSystemSuccesses),
+ *   so the result matches the system chat card.
+ * - `successes` is never negative: a botch counts 0 and reports its botch points in
+ *   `severity`. It is null when neither source is available.
+ *
+ * @param {ChatMessage} message
+ * @returns {{ successes: number|null, botch: boolean, severity: number, difficulty: number|null, dieValues: number[] }}
+ */
+export function getMessageNetSuccesses(message) {
+  const dieValues = extractD10ValuesFromRolls(getMessageRolls(message));
+  const ctx = getRollContextFromMessage(message);
+  const verdict = getEvilBotchesVerdictFromMessage(message);
+
+  const parsed = Number.parseInt(ctx?.difficulty ?? verdict?.difficulty, 10);
+  const difficulty = Number.isFinite(parsed) ? parsed : null;
+
+  if (verdict?.applied === true && verdict.calc?.outcome) {
+    return { ...fromOutcome(verdict.calc.outcome), difficulty, dieValues };
+  }
+
+  if (difficulty === null || dieValues.length === 0) {
+    return { successes: null, botch: false, severity: 0, difficulty, dieValues };
+  }
+
+  return { ...countSystemSuccesses(dieValues, difficulty, ctx), difficulty, dieValues };
+}
+
+/**
+ * Net successes as the system counts them, from the inputs computeEvilBotchesResult uses:
+ * - a 10 is worth the system ten value (specialty rule, see getTenSuccessValue),
+ * - auto-successes from the roll context are added,
+ * - ones are subtracted only when the system handles ones (`handleOnes`),
+ * - Willpower adds one success after the ones, so they cannot cancel it (V20).
+ *
+ * Botch: ones without any success (Willpower included); severity = number of ones.
+ *
+ * @param {number[]} dieValues
+ * @param {number} difficulty
+ * @param {object|null} ctx Roll context
+ * @returns {{ successes: number, botch: boolean, severity: number }}
+ */
+function countSystemSuccesses(dieValues, difficulty, ctx) {
+  const tenValue = getTenSuccessValue(ctx?.isSpecialized === true);
+  const autoSuccesses = Math.max(0, Number.parseInt(ctx?.autoSuccesses ?? 0, 10) || 0);
+  const willpower = ctx?.useWillpower === true ? 1 : 0;
+
+  let rolled = 0;
+  let ones = 0;
+  for (const { kind } of classifyDieValues(dieValues, difficulty)) {
+    if (kind === "ten") rolled += tenValue;
+    else if (kind === "success") rolled += 1;
+    else if (kind === "one") ones += 1;
+  }
+
+  const successesBeforeOnes = rolled + autoSuccesses;
+  if (successesBeforeOnes === 0 && willpower === 0 && ones > 0) return { successes: 0, botch: true, severity: ones };
+
+  const afterOnes = isSystemSubtractOnesEnabled() ? Math.max(0, successesBeforeOnes - ones) : successesBeforeOnes;
+  return { successes: afterOnes + willpower, botch: false, severity: 0 };
+}
+
+/**
+ * @param {{ kind?: string, value?: number }} outcome Evil Botches outcome
+ * @returns {{ successes: number, botch: boolean, severity: number }}
+ */
+function fromOutcome(outcome) {
+  const value = Math.max(0, Number.parseInt(outcome?.value ?? 0, 10) || 0);
+
+  if (outcome?.kind === "success") return { successes: value, botch: false, severity: 0 };
+  if (outcome?.kind === "botch") return { successes: 0, botch: true, severity: value };
+  return { successes: 0, botch: false, severity: 0 };
+}
@@ -0,0 +1,17 @@
+/**
+ * The module's Willpower home rule, applied AFTER subtracting ones:
+ * - net >= 1 => net + 1
+ * - net <= 0 => net = 1
+ *
+ * Same rule as in `compute-outcome.js` (which stays untouched as the "home" variant);
+ * the other variants reuse it through this helper.
+ *
+ * @param {number} net Net successes after ones.
+ * @param {boolean} isWillpowerUsed
+ * @returns {{ net: number, willpowerRuleApplied: "none"|"plus-1"|"set-to-1" }}
+ */
+export function applyWillpowerHomeRule(net, isWillpowerUsed) {
+  if (isWillpowerUsed !== true) return { net, willpowerRuleApplied: "none" };
+  if (net >= 1) return { net: net + 1, willpowerRuleApplied: "plus-1" };
+  return { net: 1, willpowerRuleApplied: "set-to-1" };
+}
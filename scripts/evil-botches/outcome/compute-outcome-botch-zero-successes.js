@@ -0,0 +1,30 @@
+import { applyWillpowerHomeRule } from "./apply-willpower-home-rule.js";
+
+/**
+ * Evil Botches variant "botch-zero-successes".
+ *
+ * A botch happens only when NO successes were rolled (auto-successes included) and at
+ * least one 1 came up; its value is the number of ones. Otherwise ones only cancel
+ * successes and the worst result is a failure.
+ * Willpower: module home rule (see apply-willpower-home-rule.js).
+ *
+ * @param {{ successesBeforeOnes: number, ones: number, isWillpowerUsed: boolean }} input
+ * @returns {{ kind: "success"|"botch"|"failure", value: number, netBeforeWillpower: number, netAfterWillpower: number, willpowerRuleApplied: string }}
+ */
+export function computeOutcomeBotchZeroSuccesses({ successesBeforeOnes, ones, isWillpowerUsed }) {
+  const s = Number.isFinite(successesBeforeOnes) ? successesBeforeOnes : 0;
+  const o = Number.isFinite(ones) ? ones : 0;
+
+  const netBeforeWillpower = s - o;
+  const { net: netAfterWillpower, willpowerRuleApplied } = applyWillpowerHomeRule(netBeforeWillpower, isWillpowerUsed);
+
+  if (netAfterWillpower > 0) {
+    return { kind: "success", value: netAfterWillpower, netBeforeWillpower, netAfterWillpower, willpowerRuleApplied };
+  }
+
+  if (s === 0 && o > 0) {
+    return { kind: "botch", value: o, netBeforeWillpower, netAfterWillpower, willpowerRuleApplied };
+  }
+
+  return { kind: "failure", value: 0, netBeforeWillpower, netAfterWillpower, willpowerRuleApplied };
+}
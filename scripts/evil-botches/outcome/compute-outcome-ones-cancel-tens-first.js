@@ -0,0 +1,32 @@
+import { applyWillpowerHomeRule } from "./apply-willpower-home-rule.js";
+
+/**
+ * Evil Botches variant "ones-cancel-tens-first".
+ *
+ * Each 1 first cancels a rolled 10 (removing its full value, e.g. 2 successes for a
+ * specialized 10); only the ones left after that cancel ordinary successes.
+ * Botch: remaining ones exceed the remaining successes.
+ * Willpower: module home rule (see apply-willpower-home-rule.js).
+ *
+ * @param {{ successesBeforeOnes: number, ones: number, tens: number, tenValue: number, isWillpowerUsed: boolean }} input
+ * @returns {{ kind: "success"|"botch"|"failure", value: number, netBeforeWillpower: number, netAfterWillpower: number, willpowerRuleApplied: string, cancelledTens: number }}
+ */
+export function computeOutcomeOnesCancelTensFirst({ successesBeforeOnes, ones, tens, tenValue, isWillpowerUsed }) {
+  const s = Number.isFinite(successesBeforeOnes) ? successesBeforeOnes : 0;
+  const o = Number.isFinite(ones) ? ones : 0;
+  const t = Number.isFinite(tens) ? tens : 0;
+  const tv = Number.isFinite(tenValue) ? tenValue : 1;
+
+  const cancelledTens = Math.min(o, t);
+  const remainingOnes = o - cancelledTens;
+  const remainingSuccesses = Math.max(0, s - cancelledTens * tv);
+
+  const netBeforeWillpower = remainingSuccesses - remainingOnes;
+  const { net: netAfterWillpower, willpowerRuleApplied } = applyWillpowerHomeRule(netBeforeWillpower, isWillpowerUsed);
+
+  const base = { netBeforeWillpower, netAfterWillpower, willpowerRuleApplied, cancelledTens };
+
+  if (netAfterWillpower > 0) return { kind: "success", value: netAfterWillpower, ...base };
+  if (remainingOnes > remainingSuccesses) return { kind: "botch", value: remainingOnes - remainingSuccesses, ...base };
+  return { kind: "failure", value: 0, ...base };
+}
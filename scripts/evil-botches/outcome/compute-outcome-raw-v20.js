@@ -0,0 +1,31 @@
+/**
+ * Evil Botches variant "raw-v20".
+ *
+ * Willpower adds one automatic success BEFORE ones are subtracted (V20 core rule),
+ * instead of the home rule bonus applied after.
+ * Botch: ones exceed all successes (Willpower success included).
+ *
+ * @param {{ successesBeforeOnes: number, ones: number, isWillpowerUsed: boolean }} input
+ * @returns {{ kind: "success"|"botch"|"failure", value: number, netBeforeWillpower: number, netAfterWillpower: number, willpowerRuleApplied: string }}
+ */
+export function computeOutcomeRawV20({ successesBeforeOnes, ones, isWillpowerUsed }) {
+  const s = Number.isFinite(successesBeforeOnes) ? successesBeforeOnes : 0;
+  const o = Number.isFinite(ones) ? ones : 0;
+
+  const willpower = isWillpowerUsed === true ? 1 : 0;
+  const total = s + willpower;
+
+  const netBeforeWillpower = s - o;
+  const netAfterWillpower = total - o;
+  const willpowerRuleApplied = willpower > 0 ? "auto-success" : "none";
+
+  if (netAfterWillpower > 0) {
+    return { kind: "success", value: netAfterWillpower, netBeforeWillpower, netAfterWillpower, willpowerRuleApplied };
+  }
+
+  if (o > total) {
+    return { kind: "botch", value: o - total, netBeforeWillpower, netAfterWillpower, willpowerRuleApplied };
+  }
+
+  return { kind: "failure", value: 0, netBeforeWillpower, netAfterWillpower, willpowerRuleApplied };
+}
@@ -0,0 +1,33 @@
+import { computeOutcome } from "./compute-outcome.js";
+import { computeOutcomeRawV20 } from "./compute-outcome-raw-v20.js";
+import { computeOutcomeBotchZeroSuccesses } from "./compute-outcome-botch-zero-successes.js";
+import { computeOutcomeOnesCancelTensFirst } from "./compute-outcome-ones-cancel-tens-first.js";
+
+/**
+ * Registry of Evil Botches outcome variants (world setting `evilBotchesRule` picks one).
+ *
+ * Every variant is a pure function:
+ *   ({ successesBeforeOnes, ones, tens, tenValue, isWillpowerUsed }) => { kind, value, ... }
+ *
+ * "home" is the original module rule (`compute-outcome.js`, positional signature kept).
+ */
+export const EVIL_BOTCHES_OUTCOME_RULES = Object.freeze({
+  home: ({ successesBeforeOnes, ones, isWillpowerUsed }) => computeOutcome(successesBeforeOnes, ones, isWillpowerUsed),
+  "raw-v20": computeOutcomeRawV20,
+  "botch-zero-successes": computeOutcomeBotchZeroSuccesses,
+  "ones-cancel-tens-first": computeOutcomeOnesCancelTensFirst,
+});
+
+export const DEFAULT_EVIL_BOTCHES_OUTCOME_RULE = "home";
+
+/**
+ * Run an outcome variant by id (unknown ids fall back to "home").
+ *
+ * @param {string} ruleId
+ * @param {{ successesBeforeOnes: number, ones: number, tens: number, tenValue: number, isWillpowerUsed: boolean }} input
+ * @returns {object} Outcome with the resolved `rule` id added.
+ */
+export function computeEvilBotchesOutcome(ruleId, input) {
+  const rule = Object.hasOwn(EVIL_BOTCHES_OUTCOME_RULES, ruleId) ? ruleId : DEFAULT_EVIL_BOTCHES_OUTCOME_RULE;
+  return { ...EVIL_BOTCHES_OUTCOME_RULES[rule](input), rule };
+}
@@ -0,0 +1,50 @@
+import { MODULE_ID } from "../constants/module-id.js";
+import { debugNs } from "../logger/ns.js";
+
+import { isEvilBotchesEnabled } from "./settings/is-evil-botches-enabled.js";
+import { getMessageRuleContext } from "../rule-overrides/get-message-rule-context.js";
+import { evaluateEvilBotches } from "./evaluate-evil-botches.js";
+import { buildEvilBotchesVerdict, EVIL_BOTCHES_FLAG } from "./build-evil-botches-verdict.js";
+
+const { debug, info, error } = debugNs("evil-botches:persist");
+
+/**
+ * Compute the Evil Botches verdict once, when the roll message is created, and store it in
+ * `flags[MODULE_ID].evilBotches`.
+ *
+ * Why:
+ * - The chat hook used to recompute on every render; reloads, exports and other clients
+ *   could see a different result (e.g. after the actor's favorites or system settings changed).
+ * - Only messages with our roll context are stored; everything else is left untouched.
+ *
+ * Must be registered AFTER the roll context attachment hook (same preCreate pass).
+ * Foundry v13: persist via `doc.updateSource(...)` (same pattern as the roll context hook).
+ */
+export function registerEvilBotchesPersistHook() {
+  Hooks.on("preCreateChatMessage", (doc, _data, _options, _userId) => {
+    try {
+      if (isEvilBotchesEnabled(getMessageRuleContext(doc)) !== true) return;
+      if (!doc?.flags?.[MODULE_ID]?.rollContext) return;
+
+      const evaluation = evaluateEvilBotches(doc, debug);
+      const verdict = buildEvilBotchesVerdict(evaluation);
+
+      doc.updateSource({
+        [`flags.${MODULE_ID}.${EVIL_BOTCHES_FLAG}`]: verdict,
+      });
+
+      debug("Stored Evil Botches verdict on ChatMessage", {
+        rollTraceId: verdict.rollTraceId,
+        applied: verdict.applied,
+        reason: verdict.reason,
+        outcomeKind: verdict.calc?.outcome?.kind ?? null,
+        outcomeValue: verdict.calc?.outcome?.value ?? null,
+        willpowerRuleApplied: verdict.calc?.outcome?.willpowerRuleApplied ?? null,
+      });
+    } catch (err) {
+      error("Failed to store Evil Botches verdict on preCreateChatMessage", err);
+    }
+  });
+
+  info("Registered preCreateChatMessage hook for Evil Botches verdict");
+}
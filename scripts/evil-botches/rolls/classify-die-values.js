@@ -0,0 +1,24 @@
+/**
+ * Classify each d10 result the way `computeEvilBotchesResult` counts it.
+ *
+ * Order of checks matches the calculation: 1 => "one", 10 => "ten",
+ * >= difficulty => "success", otherwise "fail".
+ *
+ * Pure: used by the chat breakdown; no Foundry globals.
+ *
+ * @param {number[]} dieValues
+ * @param {number} difficulty
+ * @returns {Array<{ value: number, kind: "one"|"ten"|"success"|"fail" }>}
+ */
+export function classifyDieValues(dieValues, difficulty) {
+  const out = [];
+
+  for (const value of Array.isArray(dieValues) ? dieValues : []) {
+    if (value === 1) out.push({ value, kind: "one" });
+    else if (value === 10) out.push({ value, kind: "ten" });
+    else if (value >= difficulty) out.push({ value, kind: "success" });
+    else out.push({ value, kind: "fail" });
+  }
+
+  return out;
+}
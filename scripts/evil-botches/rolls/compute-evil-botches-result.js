@@ -1,5 +1,5 @@
 import { getTenSuccessValue } from "./get-ten-success-value.js";
-import { computeOutcome } from "../outcome/compute-outcome.js";
+import { computeEvilBotchesOutcome } from "../outcome/evil-botches-outcome-rules.js";
 import { formatOutcomeText } from "../outcome/format-outcome-text.js";
 
 /**
@@ -7,9 +7,20 @@ import { formatOutcomeText } from "../outcome/format-outcome-text.js";
  *
  * This function contains the core dice math that used to live in the chat hook.
  * It MUST NOT change logic or ordering.
+ *
+ * `outcomeRule` selects the outcome variant (see `outcome/evil-botches-outcome-rules.js`);
+ * omitted => "home", the original module rule.
  */
-export function computeEvilBotchesResult({ dieValues, difficulty, isSpecialized, autoSuccesses, isWillpowerUsed }) {
+export function computeEvilBotchesResult({
+  dieValues,
+  difficulty,
+  isSpecialized,
+  autoSuccesses,
+  isWillpowerUsed,
+  outcomeRule = "home",
+}) {
   let ones = 0;
+  let tens = 0;
   let diceSuccesses = 0;
 
   const tenValue = getTenSuccessValue(isSpecialized);
@@ -21,6 +32,7 @@ export function computeEvilBotchesResult({ dieValues, difficulty, isSpecialized,
     }
 
     if (value === 10) {
+      tens += 1;
       diceSuccesses += tenValue;
       continue;
     }
@@ -31,11 +43,18 @@ export function computeEvilBotchesResult({ dieValues, difficulty, isSpecialized,
   }
 
   const successesBeforeOnes = diceSuccesses + (Number.isFinite(autoSuccesses) ? autoSuccesses : 0);
-  const outcome = computeOutcome(successesBeforeOnes, ones, isWillpowerUsed);
+  const outcome = computeEvilBotchesOutcome(outcomeRule, {
+    successesBeforeOnes,
+    ones,
+    tens,
+    tenValue,
+    isWillpowerUsed,
+  });
   const outcomeText = formatOutcomeText(outcome);
 
   return {
     ones,
+    tens,
     diceSuccesses,
     successesBeforeOnes,
     tenValue,
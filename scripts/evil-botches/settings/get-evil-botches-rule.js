@@ -0,0 +1,20 @@
+import { MODULE_ID } from "../../constants/module-id.js";
+import { SETTINGS_KEYS } from "../../constants/settings.js";
+import {
+  EVIL_BOTCHES_OUTCOME_RULES,
+  DEFAULT_EVIL_BOTCHES_OUTCOME_RULE,
+} from "../outcome/evil-botches-outcome-rules.js";
+
+/**
+ * Read the active Evil Botches outcome variant id.
+ *
+ * @returns {string}
+ */
+export function getEvilBotchesRule() {
+  try {
+    const id = game?.settings?.get(MODULE_ID, SETTINGS_KEYS.EVIL_BOTCHES_RULE);
+    return Object.hasOwn(EVIL_BOTCHES_OUTCOME_RULES, id) ? id : DEFAULT_EVIL_BOTCHES_OUTCOME_RULE;
+  } catch (_err) {
+    return DEFAULT_EVIL_BOTCHES_OUTCOME_RULE;
+  }
+}
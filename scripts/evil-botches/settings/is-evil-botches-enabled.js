@@ -1,11 +1,20 @@
 import { MODULE_ID } from "../../constants/module-id.js";
 import { SETTINGS_KEYS } from "../../constants/settings.js";
+import { isRuleEnabled } from "../../rule-overrides/is-rule-enabled.js";
 
 /**
- * Read the module setting controlling Evil Botches.
+ * Read whether Evil Botches applies.
+ *
+ * Resolution: world setting, then scene override, then actor override
+ * (see rule-overrides/is-rule-enabled.js). Without a context only the world
+ * setting counts.
  *
  * NOTE: This intentionally returns a strict boolean.
+ *
+ * @param {{ actor?: Actor|null, scene?: Scene|null }} [context]
+ * @returns {boolean}
  */
-export function isEvilBotchesEnabled() {
-  return game?.settings?.get(MODULE_ID, SETTINGS_KEYS.EVIL_BOTCHES) === true;
+export function isEvilBotchesEnabled(context = {}) {
+  const worldEnabled = game?.settings?.get(MODULE_ID, SETTINGS_KEYS.EVIL_BOTCHES) === true;
+  return isRuleEnabled("evilBotches", worldEnabled, context);
 }
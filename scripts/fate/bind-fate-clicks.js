@@ -1,9 +1,12 @@
 import { debugNs } from "../logger/ns.js";
 import { FATE_UI } from "../constants/fate-ui.js";
 import { FATE_DATA } from "../constants/fate-data.js";
-import { FATE_RULES } from "../constants/fate-rules.js";
 import { syncFateUi } from "./sync-fate-ui.js";
 import { openFateRollDialog } from "./open-fate-roll-dialog.js";
+import { computeFateRoll } from "./compute-fate-roll.js";
+import { getFateRules } from "./get-fate-rules.js";
+import { confirmPermanentFateChange } from "./confirm-permanent-fate-change.js";
+import { chargeFateExperience } from "./charge-fate-experience.js";
 
 const { debug, info, warn, error } = debugNs("fate:clicks");
 
@@ -41,20 +44,6 @@ function clamp(value, min, max) {
   return Math.min(Math.max(value, min), max);
 }
 
-/**
- * Fate "noability" rolls in the upstream system read dice pool from:
- *   actor.system.advantages.fate.roll
- *
- * To control the dice pool policy, we keep `.roll` synchronized with either:
- * - permanent (willpower-like; recommended)
- * - temporary (if your rules say to roll remaining points)
- *
- * The choice is controlled by `FATE_RULES.ROLL_SOURCE`.
- */
-function computeRoll(permanent, temporary) {
-  return FATE_RULES.ROLL_SOURCE === "temporary" ? temporary : permanent;
-}
-
 /**
  * Bind all Fate-related click handlers.
  *
@@ -117,7 +106,7 @@ export function bindFateClicks(app, html) {
      * Invariants:
      * - permanent is clamped to [0..max]
      * - temporary is clamped to [0..permanent]
-     * - roll is always kept in sync with computeRoll(permanent, temporary)
+     * - roll is always kept in sync with computeFateRoll(permanent, temporary)
      */
     root
       .off(`click.${FATE_UI.CLICK_NAMESPACE}`, FATE_UI.SELECTORS.resourceStep)
@@ -148,24 +137,52 @@ export function bindFateClicks(app, html) {
           const rawValue = index + 1;
 
           // Current Fate values from the actor (safe defaults provided by rules).
+          const rules = getFateRules();
           const current = app.actor?.system?.advantages?.fate ?? {};
-          const currentMax = Number(current.max ?? FATE_RULES.DEFAULTS.max);
-          const currentPerm = Number(current.permanent ?? FATE_RULES.DEFAULTS.permanent);
-          const currentTemp = Number(current.temporary ?? FATE_RULES.DEFAULTS.temporary);
+          const currentMax = Number(current.max ?? rules.defaults.max);
+          const currentPerm = Number(current.permanent ?? rules.defaults.permanent);
+          const currentTemp = Number(current.temporary ?? rules.defaults.temporary);
 
-          /** @type {Record<string, number>} */
+          /** @type {Record<string, unknown>} */
           const update = {};
 
+          /**
+           * Permanent changes go through purchase rules (XP cost, GM-only).
+           * Set when the change is confirmed; XP is charged only after a successful update.
+           */
+          let purchase = null;
+
           if (dataName?.endsWith(".permanent")) {
             /**
              * Permanent row:
              * - click dot N => permanent becomes N
              * - click same dot N again => permanent becomes N-1
+             * - subject to purchase rules (see confirmPermanentFateChange)
              */
             let nextPerm = rawValue;
             if (rawValue === currentPerm) nextPerm = rawValue - 1;
 
             nextPerm = clamp(nextPerm, 0, currentMax);
+            if (nextPerm === currentPerm) return;
+
+            /**
+             * Purchase rules may refuse the change (GM-only, not enough XP) or ask
+             * for confirmation. Every accepted change is logged in actor flags.
+             */
+            try {
+              purchase = await confirmPermanentFateChange(app.actor, currentPerm, nextPerm);
+            } catch (err) {
+              error("Failed to confirm permanent fate change", err);
+              syncFateUi(root, app.actor);
+              return;
+            }
+
+            if (purchase?.ok !== true) {
+              syncFateUi(root, app.actor);
+              return;
+            }
+
+            Object.assign(update, purchase.logUpdate);
             update[`${FATE_DATA.PATH_BASE_SYSTEM}.permanent`] = nextPerm;
 
             /**
@@ -179,7 +196,7 @@ export function bindFateClicks(app, html) {
 
             // Keep dice pool in sync with chosen policy.
             update[`${FATE_DATA.PATH_BASE_SYSTEM}.roll`] = clamp(
-              computeRoll(nextPerm, nextTemp),
+              computeFateRoll(nextPerm, nextTemp, rules),
               0,
               currentMax
             );
@@ -198,7 +215,7 @@ export function bindFateClicks(app, html) {
 
             // Keep dice pool in sync with chosen policy.
             update[`${FATE_DATA.PATH_BASE_SYSTEM}.roll`] = clamp(
-              computeRoll(currentPerm, nextTemp),
+              computeFateRoll(currentPerm, nextTemp, rules),
               0,
               currentMax
             );
@@ -210,7 +227,7 @@ export function bindFateClicks(app, html) {
              */
             update[fieldPath] = clamp(rawValue, 1, currentMax);
             update[`${FATE_DATA.PATH_BASE_SYSTEM}.roll`] = clamp(
-              computeRoll(currentPerm, currentTemp),
+              computeFateRoll(currentPerm, currentTemp, rules),
               0,
               currentMax
             );
@@ -223,6 +240,14 @@ export function bindFateClicks(app, html) {
             // between permanent/temporary rows after clamping.
             await app.actor.update(update);
             syncFateUi(root, app.actor);
+
+            if (purchase?.charged === true) {
+              await chargeFateExperience(app.actor, {
+                from: currentPerm,
+                to: Number(update[`${FATE_DATA.PATH_BASE_SYSTEM}.permanent`]),
+                cost: purchase.cost,
+              });
+            }
           } catch (err) {
             error("Failed to update fate value", err);
           }
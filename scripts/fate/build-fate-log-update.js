@@ -0,0 +1,39 @@
+import { MODULE_ID } from "../constants/module-id.js";
+
+/**
+ * Actor flag key (under flags[MODULE_ID]) holding the Fate audit log.
+ */
+export const FATE_LOG_FLAG = "fateLog";
+
+/**
+ * Maximum number of entries kept per actor (oldest entries are dropped first).
+ */
+const MAX_ENTRIES = 100;
+
+/**
+ * Build the actor update fragment that appends one entry to the Fate audit log.
+ *
+ * We return an update fragment instead of calling actor.update() so callers can
+ * write the Fate values and the log entry in ONE update (no partial audit trail).
+ *
+ * Entry shape (all entries):
+ *   { type, atMs, userId, ...details }
+ *
+ * @param {Actor} actor
+ * @param {object} entry Entry details; `type` is required (e.g. "refresh", "purchase").
+ * @returns {Record<string, object[]>} Update fragment: { "flags.<module>.fateLog": [...] }
+ */
+export function buildFateLogUpdate(actor, entry) {
+  const existing = actor?.getFlag?.(MODULE_ID, FATE_LOG_FLAG);
+  const log = Array.isArray(existing) ? [...existing] : [];
+
+  log.push({
+    atMs: Date.now(),
+    userId: game.user?.id ?? null,
+    ...entry,
+  });
+
+  return {
+    [`flags.${MODULE_ID}.${FATE_LOG_FLAG}`]: log.slice(-MAX_ENTRIES),
+  };
+}
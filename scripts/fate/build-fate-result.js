@@ -0,0 +1,70 @@
+import { countFateDice } from "./rules/count-fate-dice.js";
+import { computeFateOutcome } from "./rules/compute-fate-outcome.js";
+
+/**
+ * ChatMessage flag key (under flags[MODULE_ID]) that holds the structured Fate result.
+ * Written once in preCreateChatMessage; the chat line and macros read the same key.
+ */
+export const FATE_RESULT_FLAG = "fateResult";
+
+/**
+ * Build the structured Fate result of a roll message.
+ *
+ * Pure: works on plain arrays taken from the Roll data, no DOM and no Foundry globals.
+ *
+ * Every die is described by three parallel arrays (same index = same die):
+ * - diceTypes:   "base" | "special" | "fate" | "unknown"
+ * - dieValues:   d10 result
+ * - areaIndexes: index of the roll area (DiceRollContainer target) the die belongs to
+ *
+ * `areas` is dense (one entry per roll area, also for areas without dice), so entry N
+ * always matches the N-th `.tray-roll-area` of the chat card.
+ *
+ * @param {{ diceTypes: string[], dieValues: number[], areaIndexes: number[], areaCount?: number }} dice
+ * @param {{ ruleId: string, difficulty?: number|null }} options
+ * @returns {{
+ *   version: number,
+ *   rule: string,
+ *   difficulty: number|null,
+ *   areas: Array<{ area: number, fateDice: number, tens: number, ones: number, delta: number, kind: string, value: number }>
+ * }}
+ */
+export function buildFateResult({ diceTypes, dieValues, areaIndexes, areaCount = 0 }, { ruleId, difficulty = null }) {
+  /** @type {Array<Array<{ type: string, value: number }>>} */
+  const byArea = [];
+  for (let a = 0; a < areaCount; a += 1) byArea.push([]);
+
+  const n = Array.isArray(diceTypes) ? diceTypes.length : 0;
+  for (let i = 0; i < n; i += 1) {
+    const area = Number.isInteger(areaIndexes?.[i]) && areaIndexes[i] >= 0 ? areaIndexes[i] : 0;
+    while (byArea.length <= area) byArea.push([]);
+    byArea[area].push({ type: diceTypes[i], value: Number(dieValues?.[i] ?? 0) || 0 });
+  }
+
+  let rule = ruleId;
+  const areas = [];
+
+  for (let area = 0; area < byArea.length; area += 1) {
+    const dice = byArea[area];
+    const { fateOnes, fateTens } = countFateDice(dice);
+    const outcome = computeFateOutcome(ruleId, { dice, difficulty });
+    rule = outcome.rule;
+
+    areas.push({
+      area,
+      fateDice: dice.filter((d) => d.type === "fate").length,
+      tens: fateTens,
+      ones: fateOnes,
+      delta: fateTens - fateOnes,
+      kind: outcome.kind,
+      value: outcome.value,
+    });
+  }
+
+  return {
+    version: 1,
+    rule,
+    difficulty: Number.isFinite(difficulty) ? difficulty : null,
+    areas,
+  };
+}
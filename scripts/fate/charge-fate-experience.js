@@ -0,0 +1,37 @@
+import { SYSTEM_IDS } from "../constants/system-ids.js";
+import { debugNs } from "../logger/ns.js";
+
+const { info, error } = debugNs("fate:purchase:xp");
+
+/**
+ * Record a Fate purchase as spent experience on the actor.
+ *
+ * We create a WoD "Experience" item (spent), so the expense shows up in the
+ * system's own experience tab next to every other purchase.
+ *
+ * @param {Actor} actor
+ * @param {{ from: number, to: number, cost: number }} purchase
+ * @returns {Promise<boolean>} True when the expense was recorded.
+ */
+export async function chargeFateExperience(actor, { from, to, cost }) {
+  if (!actor || !(cost > 0)) return false;
+
+  try {
+    await actor.createEmbeddedDocuments("Item", [
+      {
+        name: game.i18n.format("rusbar.homerules.fate.purchase.itemName", { from, to }),
+        type: SYSTEM_IDS.EXPERIENCE_ITEM_TYPE,
+        system: {
+          type: SYSTEM_IDS.EXPERIENCE_SPENT_TYPE,
+          amount: cost,
+        },
+      },
+    ]);
+
+    info("Charged experience for permanent Fate", { actorId: actor.id, from, to, cost });
+    return true;
+  } catch (err) {
+    error("Failed to charge experience for permanent Fate", { actorId: actor?.id, from, to, cost, err });
+    return false;
+  }
+}
@@ -0,0 +1,29 @@
+/**
+ * Compute the XP cost of raising permanent Fate.
+ *
+ * Cost per dot follows the V20 trait pattern:
+ * - first dot (0 -> 1): `newDot`
+ * - every further dot (r -> r+1): current rating r * `multiplier`
+ *
+ * Lowering (or not changing) permanent Fate costs nothing.
+ *
+ * Pure: no Foundry globals.
+ *
+ * @param {number} from Current permanent Fate.
+ * @param {number} to Target permanent Fate.
+ * @param {{ newDot: number, multiplier: number }} costs
+ * @returns {number} Total XP cost (non-negative integer).
+ */
+export function computeFatePurchaseCost(from, to, { newDot, multiplier }) {
+  const start = Math.max(0, Number.parseInt(from ?? 0, 10) || 0);
+  const end = Math.max(0, Number.parseInt(to ?? 0, 10) || 0);
+  const first = Math.max(0, Number.parseInt(newDot ?? 0, 10) || 0);
+  const perDot = Math.max(0, Number.parseInt(multiplier ?? 0, 10) || 0);
+
+  let cost = 0;
+  for (let rating = start; rating < end; rating += 1) {
+    cost += rating === 0 ? first : rating * perDot;
+  }
+
+  return cost;
+}
@@ -0,0 +1,28 @@
+/**
+ * Allowed Fate regain modes.
+ * - "full": temporary is refreshed to permanent
+ * - "partial": temporary regains a fixed amount (capped by permanent)
+ */
+export const FATE_REGAIN_MODES = Object.freeze(["full", "partial"]);
+
+/**
+ * Compute the temporary Fate value after a refresh/regain.
+ *
+ * Pure: no Foundry globals, no actor access.
+ *
+ * @param {number} temporary Current temporary Fate.
+ * @param {number} permanent Current permanent Fate (upper bound for temporary).
+ * @param {{ mode?: string, amount?: number }} [rule]
+ * @returns {number} Next temporary Fate value.
+ */
+export function computeFateRegain(temporary, permanent, { mode = "full", amount = 1 } = {}) {
+  const perm = Math.max(0, Number.parseInt(permanent ?? 0, 10) || 0);
+  const temp = Math.min(perm, Math.max(0, Number.parseInt(temporary ?? 0, 10) || 0));
+
+  if (mode === "partial") {
+    const gain = Math.max(0, Number.parseInt(amount ?? 0, 10) || 0);
+    return Math.min(perm, temp + gain);
+  }
+
+  return perm;
+}
@@ -0,0 +1,21 @@
+import { getFateRules } from "./get-fate-rules.js";
+
+/**
+ * Compute the value stored in `advantages.fate.roll`.
+ *
+ * Fate "noability" rolls in the upstream system read the dice pool from
+ * `actor.system.advantages.fate.roll`, so every writer of permanent/temporary
+ * must keep `roll` synchronized with the configured source field:
+ * - "permanent" (willpower-like; recommended)
+ * - "temporary" (if your rules say to roll remaining points)
+ *
+ * The choice is controlled by the "Fate rules" world setting (`rollSource`).
+ *
+ * @param {number} permanent
+ * @param {number} temporary
+ * @param {{ rollSource?: string }} [rules] Active rules; read from settings when omitted.
+ * @returns {number}
+ */
+export function computeFateRoll(permanent, temporary, rules = getFateRules()) {
+  return rules?.rollSource === "temporary" ? temporary : permanent;
+}
@@ -0,0 +1,102 @@
+import { debugNs } from "../logger/ns.js";
+import { getFatePurchaseRules } from "./get-fate-purchase-rules.js";
+import { computeFatePurchaseCost } from "./compute-fate-purchase-cost.js";
+import { getAvailableExperience } from "./get-available-experience.js";
+import { buildFateLogUpdate } from "./build-fate-log-update.js";
+
+const { debug } = debugNs("fate:purchase");
+
+/**
+ * Decide whether a permanent Fate change requested from the sheet may happen.
+ *
+ * Rules (world settings):
+ * - "GM only": players cannot change permanent Fate at all; the GM still can.
+ * - "XP purchase": raising permanent Fate costs XP (see computeFatePurchaseCost).
+ *   - players must confirm and have enough unspent XP
+ *   - the GM may charge the XP or grant the dots for free
+ * - Lowering permanent Fate never costs or refunds XP.
+ *
+ * Every allowed change returns a Fate log update fragment, so the caller writes the
+ * new value and the audit entry in one actor update.
+ *
+ * The XP itself is charged by the caller AFTER the actor update succeeded
+ * (see chargeFateExperience), so a failed update never costs XP.
+ *
+ * @param {Actor} actor
+ * @param {number} from Current permanent Fate.
+ * @param {number} to Requested permanent Fate.
+ * @returns {Promise<{ ok: boolean, cost: number, charged: boolean, logUpdate: object }>}
+ */
+export async function confirmPermanentFateChange(actor, from, to) {
+  const refused = { ok: false, cost: 0, charged: false, logUpdate: {} };
+  const rules = getFatePurchaseRules();
+  const isGM = game.user?.isGM === true;
+
+  if (rules.gmOnly === true && !isGM) {
+    ui.notifications?.warn(game.i18n.localize("rusbar.homerules.fate.purchase.gmOnly"));
+    return refused;
+  }
+
+  const isRaise = to > from;
+  if (!isRaise || rules.enabled !== true) {
+    return {
+      ok: true,
+      cost: 0,
+      charged: false,
+      logUpdate: buildFateLogUpdate(actor, { type: "adjust", from, to }),
+    };
+  }
+
+  const cost = computeFatePurchaseCost(from, to, rules);
+  const available = getAvailableExperience(actor);
+  const canPay = available >= cost;
+
+  const text = game.i18n.format("rusbar.homerules.fate.purchase.prompt", {
+    actor: actor?.name ?? "",
+    from,
+    to,
+    cost,
+    available,
+  });
+
+  /** @type {Array<object>} */
+  const buttons = [];
+  if (canPay) {
+    buttons.push({ action: "charge", label: "rusbar.homerules.fate.purchase.charge", icon: "fa-solid fa-coins", default: true });
+  }
+  if (isGM) {
+    buttons.push({ action: "free", label: "rusbar.homerules.fate.purchase.free", icon: "fa-solid fa-gift" });
+  }
+
+  if (buttons.length === 0) {
+    ui.notifications?.warn(game.i18n.format("rusbar.homerules.fate.purchase.notEnough", { cost, available }));
+    return refused;
+  }
+
+  buttons.push({ action: "cancel", label: "Cancel", icon: "fa-solid fa-xmark" });
+
+  const choice = await foundry.applications.api.DialogV2.wait({
+    window: { title: "rusbar.homerules.fate.purchase.title", icon: "fa-solid fa-dice-d10" },
+    content: `<p>${text}</p>`,
+    buttons,
+    rejectClose: false,
+  });
+
+  debug("Permanent Fate purchase decision", { actorId: actor?.id, from, to, cost, available, choice });
+
+  if (choice !== "charge" && choice !== "free") return refused;
+
+  const charged = choice === "charge";
+  return {
+    ok: true,
+    cost,
+    charged,
+    logUpdate: buildFateLogUpdate(actor, {
+      type: "purchase",
+      from,
+      to,
+      cost: charged ? cost : 0,
+      free: !charged,
+    }),
+  };
+}
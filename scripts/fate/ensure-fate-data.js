@@ -1,6 +1,7 @@
 import { debugNs } from "../logger/ns.js";
-import { FATE_RULES } from "../constants/fate-rules.js";
 import { FATE_DATA } from "../constants/fate-data.js";
+import { computeFateRoll } from "./compute-fate-roll.js";
+import { getFateRules } from "./get-fate-rules.js";
 
 const { debug, info, error } = debugNs("fate:data");
 
@@ -9,21 +10,19 @@ function clampInt(value, min, max) {
   return Math.min(max, Math.max(min, v));
 }
 
-function computeRoll(permanent, temporary) {
-  return FATE_RULES.ROLL_SOURCE === "temporary" ? temporary : permanent;
-}
-
 export async function ensureFateData(actor) {
   try {
     const pathBase = FATE_DATA.PATH_BASE_SYSTEM;
     const existing = actor?.system?.advantages?.fate ?? {};
 
-    const max = clampInt(existing.max ?? FATE_RULES.DEFAULTS.max, 0, FATE_RULES.MAX_CAP);
-    const permanent = clampInt(existing.permanent ?? FATE_RULES.DEFAULTS.permanent, 0, max);
-    const temporary = clampInt(existing.temporary ?? FATE_RULES.DEFAULTS.temporary, 0, permanent);
+    const rules = getFateRules();
+
+    const max = clampInt(existing.max ?? rules.defaults.max, 0, rules.maxCap);
+    const permanent = clampInt(existing.permanent ?? rules.defaults.permanent, 0, max);
+    const temporary = clampInt(existing.temporary ?? rules.defaults.temporary, 0, permanent);
 
     const rollExpected = clampInt(
-      computeRoll(permanent, temporary),
+      computeFateRoll(permanent, temporary, rules),
       0,
       max
     );
@@ -42,7 +41,7 @@ export async function ensureFateData(actor) {
       permanent,
       temporary,
       roll: rollExpected,
-      rollSource: FATE_RULES.ROLL_SOURCE,
+      rollSource: rules.rollSource,
     });
 
     await actor.update({
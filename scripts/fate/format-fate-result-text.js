@@ -0,0 +1,23 @@
+/**
+ * Chat line label per rule result kind ("none" has no line).
+ */
+const RESULT_LABEL_KEYS = Object.freeze({
+  success: "rusbar.homerules.fate.chat.resultSuccess",
+  botch: "rusbar.homerules.fate.chat.resultBotch",
+  cancel: "rusbar.homerules.fate.chat.resultCancel",
+  reroll: "rusbar.homerules.fate.chat.resultReroll",
+});
+
+/**
+ * Convert a Fate area result (`{ kind, value }`) to a localized line.
+ *
+ * Shared by the chat result line and the roll history window.
+ *
+ * @param {{ kind?: string, value?: number }|null} result
+ * @returns {string|null} Null when the result has no visible line.
+ */
+export function formatFateResultText(result) {
+  const labelKey = RESULT_LABEL_KEYS[result?.kind];
+  if (!labelKey || !(result.value > 0)) return null;
+  return game.i18n.format(labelKey, { value: result.value });
+}
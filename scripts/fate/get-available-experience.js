@@ -0,0 +1,28 @@
+import { SYSTEM_IDS } from "../constants/system-ids.js";
+
+/**
+ * Sum unspent experience from the actor's WoD "Experience" items.
+ *
+ * available = sum(gained) - sum(spent)
+ *
+ * Items with unknown sub-types or invalid amounts are ignored.
+ *
+ * @param {Actor} actor
+ * @returns {number}
+ */
+export function getAvailableExperience(actor) {
+  let gained = 0;
+  let spent = 0;
+
+  for (const item of actor?.items ?? []) {
+    if (item?.type !== SYSTEM_IDS.EXPERIENCE_ITEM_TYPE) continue;
+
+    const amount = Number.parseInt(item.system?.amount ?? 0, 10);
+    if (!Number.isFinite(amount)) continue;
+
+    if (item.system?.type === SYSTEM_IDS.EXPERIENCE_GAINED_TYPE) gained += amount;
+    else if (item.system?.type === SYSTEM_IDS.EXPERIENCE_SPENT_TYPE) spent += amount;
+  }
+
+  return gained - spent;
+}
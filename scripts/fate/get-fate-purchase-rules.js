@@ -0,0 +1,25 @@
+import { MODULE_ID } from "../constants/module-id.js";
+import { SETTINGS_KEYS } from "../constants/settings.js";
+
+function readInt(key, fallback) {
+  const n = Number.parseInt(game.settings.get(MODULE_ID, key), 10);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+/**
+ * Read the permanent Fate purchase rules from world settings.
+ *
+ * @returns {{ enabled: boolean, gmOnly: boolean, newDot: number, multiplier: number }}
+ */
+export function getFatePurchaseRules() {
+  try {
+    return {
+      enabled: game.settings.get(MODULE_ID, SETTINGS_KEYS.FATE_XP_PURCHASE) === true,
+      gmOnly: game.settings.get(MODULE_ID, SETTINGS_KEYS.FATE_PERMANENT_GM_ONLY) === true,
+      newDot: readInt(SETTINGS_KEYS.FATE_XP_COST_NEW, 0),
+      multiplier: readInt(SETTINGS_KEYS.FATE_XP_COST_MULTIPLIER, 0),
+    };
+  } catch (_err) {
+    return { enabled: false, gmOnly: false, newDot: 0, multiplier: 0 };
+  }
+}
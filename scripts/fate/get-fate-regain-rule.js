@@ -0,0 +1,22 @@
+import { MODULE_ID } from "../constants/module-id.js";
+import { SETTINGS_KEYS } from "../constants/settings.js";
+import { FATE_REGAIN_MODES } from "./compute-fate-regain.js";
+
+/**
+ * Read the configured Fate regain rule from world settings.
+ *
+ * @returns {{ mode: string, amount: number }}
+ */
+export function getFateRegainRule() {
+  try {
+    const mode = game.settings.get(MODULE_ID, SETTINGS_KEYS.FATE_REGAIN_MODE);
+    const amount = Number.parseInt(game.settings.get(MODULE_ID, SETTINGS_KEYS.FATE_REGAIN_AMOUNT), 10);
+
+    return {
+      mode: FATE_REGAIN_MODES.includes(mode) ? mode : "full",
+      amount: Number.isFinite(amount) && amount > 0 ? amount : 1,
+    };
+  } catch (_err) {
+    return { mode: "full", amount: 1 };
+  }
+}
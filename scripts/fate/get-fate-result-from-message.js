@@ -0,0 +1,21 @@
+import { MODULE_ID } from "../constants/module-id.js";
+import { FATE_RESULT_FLAG } from "./build-fate-result.js";
+
+/**
+ * Read the structured Fate result attached to a ChatMessage.
+ *
+ * The result is written by `tag-fate-dice-types.js` during preCreateChatMessage.
+ * Messages created before the result was persisted carry none.
+ *
+ * @param {ChatMessage} message
+ * @returns {object|null} A copy of the stored Fate result, or null.
+ */
+export function getFateResultFromMessage(message) {
+  try {
+    const result = message?.flags?.[MODULE_ID]?.[FATE_RESULT_FLAG] ?? null;
+    if (!result || typeof result !== "object" || !Array.isArray(result.areas)) return null;
+    return foundry.utils.deepClone(result);
+  } catch (_err) {
+    return null;
+  }
+}
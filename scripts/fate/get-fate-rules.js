@@ -0,0 +1,19 @@
+import { MODULE_ID } from "../constants/module-id.js";
+import { SETTINGS_KEYS } from "../constants/settings.js";
+import { normalizeFateRules } from "./normalize-fate-rules.js";
+
+/**
+ * Read the active Fate rules (world setting, edited via the Fate rules settings menu).
+ *
+ * Falls back to the frozen `FATE_RULES` defaults when the setting is missing
+ * or not registered yet.
+ *
+ * @returns {{ rollSource: string, defaults: { permanent: number, temporary: number, max: number }, maxCap: number }}
+ */
+export function getFateRules() {
+  try {
+    return normalizeFateRules(game.settings.get(MODULE_ID, SETTINGS_KEYS.FATE_RULES));
+  } catch (_err) {
+    return normalizeFateRules(null);
+  }
+}
@@ -0,0 +1,34 @@
+import { MODULE_ID } from "../constants/module-id.js";
+import { SETTINGS_KEYS } from "../constants/settings.js";
+
+/**
+ * Split a comma-separated setting value into normalized entries.
+ *
+ * @param {unknown} raw
+ * @returns {string[]} Lower-cased, trimmed, non-empty entries.
+ */
+function parseList(raw) {
+  if (typeof raw !== "string") return [];
+  return raw
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter((s) => s.length > 0);
+}
+
+/**
+ * Read which actor types and sheet templates get the Fate scale.
+ *
+ * Both lists come from world settings (comma-separated, case-insensitive).
+ *
+ * @returns {{ actorTypes: string[], templates: string[] }}
+ */
+export function getFateSheetTargets() {
+  try {
+    return {
+      actorTypes: parseList(game.settings.get(MODULE_ID, SETTINGS_KEYS.FATE_ACTOR_TYPES)),
+      templates: parseList(game.settings.get(MODULE_ID, SETTINGS_KEYS.FATE_SHEET_TEMPLATES)),
+    };
+  } catch (_err) {
+    return { actorTypes: [], templates: [] };
+  }
+}
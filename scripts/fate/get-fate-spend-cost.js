@@ -0,0 +1,20 @@
+import { MODULE_ID } from "../constants/module-id.js";
+import { SETTINGS_KEYS } from "../constants/settings.js";
+
+/**
+ * Read how many temporary Fate points a "Use Fate" roll costs.
+ *
+ * We treat missing/invalid values defensively and return 0 (free), which matches
+ * the module behavior before the spend mechanic existed.
+ *
+ * @returns {number} Non-negative integer.
+ */
+export function getFateSpendCost() {
+  try {
+    const raw = game.settings.get(MODULE_ID, SETTINGS_KEYS.FATE_SPEND_COST);
+    const n = Number.parseInt(raw ?? 0, 10);
+    return Number.isFinite(n) && n > 0 ? n : 0;
+  } catch (_err) {
+    return 0;
+  }
+}
@@ -1,5 +1,6 @@
 import { debugNs } from "../logger/ns.js";
 import { shouldEnableFate } from "./should-enable-fate.js";
+import { getRollRuleContext } from "../rule-overrides/get-roll-rule-context.js";
 import { getFatePermanent } from "./get-fate-permanent.js";
 
 const { debug, info, warn, error } = debugNs("fate:ui:roll");
@@ -52,7 +53,7 @@ export function registerUseFateCheckboxInjection() {
  */
 function injectIntoDialog(app, html, dialogName) {
   try {
-    if (shouldEnableFate() !== true) return;
+    if (shouldEnableFate(getRollRuleContext(app?.actor)) !== true) return;
 
     // Defensive: ensure we have DOM.
     if (!html || html.length === 0) return;
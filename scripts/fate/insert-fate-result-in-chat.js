@@ -1,23 +1,35 @@
 import { MODULE_ID } from "../constants/module-id.js";
 import { debugNs } from "../logger/ns.js";
 import { shouldEnableFate } from "./should-enable-fate.js";
+import { getMessageRuleContext } from "../rule-overrides/get-message-rule-context.js";
+import { computeFateOutcome } from "./rules/compute-fate-outcome.js";
+import { getFateOutcomeRule } from "./rules/get-fate-outcome-rule.js";
+import { getFateResultFromMessage } from "./get-fate-result-from-message.js";
+import { formatFateResultText } from "./format-fate-result-text.js";
 
 const { debug, warn, error } = debugNs("fate:chat:result");
 
 /**
  * Insert an additional Fate-specific outcome line into the system roll chat card.
  *
+ * Source of truth:
+ * - `flags[MODULE_ID].fateResult`, computed once from the Roll data in preCreateChatMessage
+ *   (see `tag-fate-dice-types.js` / `build-fate-result.js`); entry N describes the N-th roll area.
+ * - Legacy fallback for messages created before the result was persisted: recompute from the
+ *   rendered dice images (`img.wod-svg`) with the currently active rule.
+ *
  * Rules:
- * - If count(1) > count(10): show "Fate Botch: X" where X = count(1) - count(10)
- * - If count(10) > count(1): show "Fate Success: X" where X = count(10) - count(1)
- * - Otherwise: show nothing
+ * - The active variant comes from the `fateOutcomeRule` world setting (see `rules/fate-outcome-rules.js`).
+ * - Each variant is a pure function of the tagged dice of one roll area (+ roll difficulty)
+ *   and returns `{ kind, value }`; kind "none" shows nothing.
+ * - Default ("delta"): Fate Success/Botch = count(10) - count(1) on Fate dice.
  *
  * Placement:
  * - Under the base system success line (the `{{result.successes}}` line) inside each `.tray-roll-area`.
  *
  * IMPORTANT:
  * - We do NOT alter the system success/botch/fail logic or the underlying Roll object.
- * - We rely on our stable metadata `rbFateDiceTypes` to identify Fate dice by index.
+ * - Legacy path: we rely on our stable metadata `rbFateDiceTypes` to identify Fate dice by index.
  * - We compute per `.tray-roll-area` so multi-result chat cards stay correct.
  */
 export function registerInsertFateResultInChatHook() {
@@ -28,7 +40,7 @@ export function registerInsertFateResultInChatHook() {
     // Defer to a microtask so we run after all synchronous `renderChatMessageHTML` handlers.
     deferMicrotask(() => {
       try {
-        if (shouldEnableFate() !== true) return;
+        if (shouldEnableFate(getMessageRuleContext(message)) !== true) return;
 
         const rollCount = Array.isArray(message?.rolls) ? message.rolls.length : 0;
         if (rollCount === 0) return;
@@ -42,22 +54,19 @@ export function registerInsertFateResultInChatHook() {
         // Quietly ignore messages without our Fate metadata.
         if (!Array.isArray(diceTypes) || diceTypes.length === 0) return;
 
-        const allDiceImgs = Array.from(root.querySelectorAll("img.wod-svg"));
-        if (allDiceImgs.length === 0) return;
-
-        const n = Math.min(allDiceImgs.length, diceTypes.length);
-
-        // Map each dice image element to its stable global index.
-        const imgIndex = new Map();
-        for (let i = 0; i < n; i += 1) imgIndex.set(allDiceImgs[i], i);
-
         const rollAreas = Array.from(root.querySelectorAll(".tray-roll-area"));
         if (rollAreas.length === 0) return;
 
+        const stored = getFateResultFromMessage(message);
+        const resultSource = stored ? "flags.fateResult" : "dom";
+        const resolveAreaResult = stored
+          ? (area, areaIdx) => stored.areas[areaIdx] ?? null
+          : createDomAreaResolver(root, message, diceTypes);
+
         let removed = 0;
         let inserted = 0;
 
-        for (const area of rollAreas) {
+        for (const [areaIdx, area] of rollAreas.entries()) {
           // Idempotency: remove our previous line on rerender.
           const existing = area.querySelectorAll(".rb-fate-result-line");
           if (existing.length > 0) {
@@ -65,25 +74,11 @@ export function registerInsertFateResultInChatHook() {
             removed += existing.length;
           }
 
-          const diceImgs = Array.from(area.querySelectorAll("img.wod-svg"));
-          if (diceImgs.length === 0) continue;
-
-          let ones = 0;
-          let tens = 0;
+          const result = resolveAreaResult(area, areaIdx);
+          if (!result) continue;
 
-          for (const img of diceImgs) {
-            const idx = imgIndex.get(img);
-            if (Number.isInteger(idx) !== true) continue;
-            if (diceTypes[idx] !== "fate") continue;
-
-            const value = extractDieValueFromImg(img);
-            if (value === 1) ones += 1;
-            if (value === 10) tens += 1;
-          }
-
-          // Apply requested rules.
-          const delta = tens - ones;
-          if (delta === 0) continue;
+          const text = formatFateResultText(result);
+          if (!text) continue;
 
           const successArea = area.querySelector(".tray-success-area");
           if (!successArea) continue;
@@ -96,16 +91,8 @@ export function registerInsertFateResultInChatHook() {
 
           const line = document.createElement("div");
           line.classList.add("rb-fate-result-line");
-
-          if (delta > 0) {
-            line.textContent = game.i18n.format("rusbar.homerules.fate.chat.resultSuccess", {
-              value: Math.abs(delta),
-            });
-          } else {
-            line.textContent = game.i18n.format("rusbar.homerules.fate.chat.resultBotch", {
-              value: Math.abs(delta),
-            });
-          }
+          line.dataset.rbFateRule = stored?.rule ?? result.rule;
+          line.textContent = text;
 
           successLine.insertAdjacentElement("afterend", line);
           inserted += 1;
@@ -113,9 +100,10 @@ export function registerInsertFateResultInChatHook() {
 
         debug("Fate result line processed", {
           messageId: message?.id,
+          resultSource,
+          rule: stored?.rule ?? null,
           diceTypesSource,
           cacheId,
-          diceImgsCount: allDiceImgs.length,
           diceTypesLen: diceTypes.length,
           rollAreas: rollAreas.length,
           removed,
@@ -129,6 +117,57 @@ export function registerInsertFateResultInChatHook() {
   });
 }
 
+/**
+ * Legacy path: build a per-area resolver that recomputes the Fate result from the rendered
+ * dice images with the currently active rule.
+ *
+ * @param {HTMLElement} root
+ * @param {ChatMessage} message
+ * @param {string[]} diceTypes
+ * @returns {(area: HTMLElement) => ({ rule: string, kind: string, value: number } | null)}
+ */
+function createDomAreaResolver(root, message, diceTypes) {
+  const allDiceImgs = Array.from(root.querySelectorAll("img.wod-svg"));
+  const n = Math.min(allDiceImgs.length, diceTypes.length);
+
+  // Map each dice image element to its stable global index.
+  const imgIndex = new Map();
+  for (let i = 0; i < n; i += 1) imgIndex.set(allDiceImgs[i], i);
+
+  const ruleId = getFateOutcomeRule();
+  const difficulty = extractDifficulty(message);
+
+  return (area) => {
+    const diceImgs = Array.from(area.querySelectorAll("img.wod-svg"));
+    if (diceImgs.length === 0) return null;
+
+    /** @type {Array<{ type: string, value: number }>} */
+    const dice = [];
+    for (const img of diceImgs) {
+      const idx = imgIndex.get(img);
+      const type = Number.isInteger(idx) ? diceTypes[idx] ?? "unknown" : "unknown";
+      dice.push({ type, value: extractDieValueFromImg(img) });
+    }
+
+    // No Fate dice in this area: nothing for any rule to report.
+    if (!dice.some((d) => d.type === "fate")) return null;
+
+    return computeFateOutcome(ruleId, { dice, difficulty });
+  };
+}
+
+/**
+ * Roll difficulty from the stored roll context (used by threshold-based rules).
+ *
+ * @param {ChatMessage} message
+ * @returns {number|null}
+ */
+function extractDifficulty(message) {
+  const raw = message?.flags?.[MODULE_ID]?.rollContext?.difficulty;
+  const n = Number.parseInt(raw, 10);
+  return Number.isFinite(n) ? n : null;
+}
+
 /**
  * Defer execution to the microtask queue (runs after the current JS stack).
  *
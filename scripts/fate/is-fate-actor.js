@@ -0,0 +1,17 @@
+import { getFateSheetTargets } from "./get-fate-sheet-targets.js";
+
+/**
+ * Check whether an Actor's type is configured to use Fate.
+ *
+ * This only looks at the actor type (no sheet/template information), so it is
+ * usable outside of sheet rendering, e.g. when selecting actors for GM tools.
+ *
+ * @param {Actor} actor
+ * @returns {boolean}
+ */
+export function isFateActor(actor) {
+  const actorType = typeof actor?.type === "string" ? actor.type.toLowerCase() : null;
+  if (!actorType) return false;
+
+  return getFateSheetTargets().actorTypes.includes(actorType);
+}
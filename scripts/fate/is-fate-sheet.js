@@ -0,0 +1,27 @@
+import { getFateSheetTargets } from "./get-fate-sheet-targets.js";
+import { isFateActor } from "./is-fate-actor.js";
+
+/**
+ * Detect whether the currently rendered sheet should get the Fate scale.
+ *
+ * Targets are configured in world settings (see get-fate-sheet-targets.js).
+ *
+ * Strategy (same as isVampireSheet):
+ * 1) Prefer actor.type check.
+ * 2) Fallback to template path check (covers variant sheet classes).
+ *
+ * @param {ActorSheet} app
+ * @returns {boolean}
+ */
+export function isFateSheet(app) {
+  if (isFateActor(app?.actor) === true) return true;
+
+  const template = typeof app?.getTemplate === "function"
+    ? app.getTemplate()
+    : app?.options?.template;
+
+  if (typeof template !== "string") return false;
+
+  const path = template.toLowerCase();
+  return getFateSheetTargets().templates.some((hint) => path.includes(hint));
+}
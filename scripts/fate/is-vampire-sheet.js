@@ -5,17 +5,14 @@ import { SYSTEM_IDS } from "../constants/system-ids.js";
  * Detect whether the currently rendered sheet is a Vampire sheet.
  *
  * Requirements:
- * - Fate should only be shown on Vampire sheets (for now).
+ * - Vampire-only features (Blood Pool extras) must only be shown on Vampire sheets.
  * - System may have multiple sheet classes and templates.
+ * - Fate targets are configurable and checked separately (see is-fate-sheet.js).
  *
  * Strategy (best-effort):
  * 1) Prefer actor.type check.
  * 2) Fallback to template path check (covers variant sheet classes).
  *
- * Later extension:
- * - We can generalize this to "allowed sheet templates" array and expand it for
- *   additional actor types without changing fate core logic.
- *
  * @param {ActorSheet} app
  * @returns {boolean}
  */
@@ -0,0 +1,53 @@
+import { FATE_RULES } from "../constants/fate-rules.js";
+
+/**
+ * Allowed values for the Fate dice pool source.
+ */
+export const FATE_ROLL_SOURCES = Object.freeze(["permanent", "temporary"]);
+
+/**
+ * Upper bound for the configurable safety cap itself.
+ */
+const MAX_CAP_LIMIT = 100;
+
+function toInt(value, fallback) {
+  const n = Number.parseInt(value, 10);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+/**
+ * Normalize a (possibly partial or user-entered) Fate rules object.
+ *
+ * Missing or invalid values fall back to the frozen defaults in `FATE_RULES`.
+ * The result keeps the same invariants as the actor data:
+ * - 1 <= maxCap <= 100
+ * - 0 <= defaults.max <= maxCap
+ * - 0 <= defaults.permanent <= defaults.max
+ * - 0 <= defaults.temporary <= defaults.permanent
+ *
+ * Pure: no Foundry globals, safe to use from settings code (no logger import).
+ *
+ * @param {object} [raw]
+ * @returns {{ rollSource: string, defaults: { permanent: number, temporary: number, max: number }, maxCap: number }}
+ */
+export function normalizeFateRules(raw) {
+  const src = raw && typeof raw === "object" ? raw : {};
+  const defaults = src.defaults && typeof src.defaults === "object" ? src.defaults : {};
+
+  const rollSource = FATE_ROLL_SOURCES.includes(src.rollSource) ? src.rollSource : FATE_RULES.ROLL_SOURCE;
+
+  const maxCap = clamp(toInt(src.maxCap, FATE_RULES.MAX_CAP), 1, MAX_CAP_LIMIT);
+  const max = clamp(toInt(defaults.max, FATE_RULES.DEFAULTS.max), 0, maxCap);
+  const permanent = clamp(toInt(defaults.permanent, FATE_RULES.DEFAULTS.permanent), 0, max);
+  const temporary = clamp(toInt(defaults.temporary, FATE_RULES.DEFAULTS.temporary), 0, permanent);
+
+  return {
+    rollSource,
+    defaults: { permanent, temporary, max },
+    maxCap,
+  };
+}
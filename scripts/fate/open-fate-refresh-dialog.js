@@ -0,0 +1,67 @@
+import { debugNs } from "../logger/ns.js";
+import { usesFate } from "./uses-fate.js";
+import { refreshFate } from "./refresh-fate.js";
+import { getFateRegainRule } from "./get-fate-regain-rule.js";
+
+const { debug, warn, error } = debugNs("fate:refresh:dialog");
+
+/**
+ * Actors of the currently controlled tokens that participate in Fate.
+ *
+ * @returns {Actor[]}
+ */
+export function getSelectedFateActors() {
+  const tokens = canvas?.tokens?.controlled ?? [];
+  return Array.from(new Set(tokens.map((t) => t?.actor).filter((a) => usesFate(a) === true)));
+}
+
+/**
+ * World actors owned by at least one player that participate in Fate.
+ *
+ * @returns {Actor[]}
+ */
+export function getPlayerFateActors() {
+  return (game.actors?.contents ?? []).filter((a) => a.hasPlayerOwner === true && usesFate(a) === true);
+}
+
+/**
+ * GM tool: ask which actors to refresh and run the refresh with the configured rule.
+ *
+ * Choices:
+ * - selected tokens
+ * - all player characters
+ */
+export async function openFateRefreshDialog() {
+  if (game.user?.isGM !== true) return;
+
+  try {
+    const rule = getFateRegainRule();
+    const ruleText = rule.mode === "partial"
+      ? game.i18n.format("rusbar.homerules.fate.refresh.rulePartial", { amount: rule.amount })
+      : game.i18n.localize("rusbar.homerules.fate.refresh.ruleFull");
+
+    const choice = await foundry.applications.api.DialogV2.wait({
+      window: { title: "rusbar.homerules.fate.refresh.title", icon: "fa-solid fa-hourglass-start" },
+      content: `<p>${ruleText}</p>`,
+      buttons: [
+        { action: "selected", label: "rusbar.homerules.fate.refresh.selected", icon: "fa-solid fa-user-check", default: true },
+        { action: "players", label: "rusbar.homerules.fate.refresh.players", icon: "fa-solid fa-users" },
+      ],
+      rejectClose: false,
+    });
+
+    if (!choice) return;
+
+    const actors = choice === "selected" ? getSelectedFateActors() : getPlayerFateActors();
+    if (actors.length === 0) {
+      ui.notifications?.warn(game.i18n.localize("rusbar.homerules.fate.refresh.noActors"));
+      return;
+    }
+
+    debug("Fate refresh requested", { choice, actors: actors.length, rule });
+    await refreshFate(actors, { reason: choice, rule });
+  } catch (err) {
+    error("Fate refresh dialog failed", err);
+    warn("Fate refresh was not applied");
+  }
+}
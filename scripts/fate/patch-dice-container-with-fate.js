@@ -1,6 +1,7 @@
 import { debugNs } from "../logger/ns.js";
 import { SYSTEM_IDS } from "../constants/system-ids.js";
 import { shouldEnableFate } from "./should-enable-fate.js";
+import { getRollRuleContext } from "../rule-overrides/get-roll-rule-context.js";
 
 const { debug, info, warn, error } = debugNs("fate:patch:container");
 
@@ -48,12 +49,12 @@ function getGlobalCtx() {
 /**
  * Set Fate application context for the *next* DiceRollContainer.numDices assignment.
  *
- * @param {{ fateBonus: number }} params
+ * @param {{ fateBonus: number, actor?: Actor|null }} params
  */
-export function setNextFateContext({ fateBonus }) {
+export function setNextFateContext({ fateBonus, actor = null }) {
   const ctx = getGlobalCtx();
 
-  ctx.enabled = shouldEnableFate() === true;
+  ctx.enabled = shouldEnableFate(getRollRuleContext(actor)) === true;
   ctx.fateBonus = Math.max(0, Number.parseInt(fateBonus ?? 0, 10) || 0);
   ctx.consumeOnce = true;
   ctx.consumed = false;
@@ -1,15 +1,19 @@
 import { debugNs } from "../logger/ns.js";
 import { SYSTEM_IDS } from "../constants/system-ids.js";
 import { shouldEnableFate } from "./should-enable-fate.js";
+import { getRollRuleContext } from "../rule-overrides/get-roll-rule-context.js";
 import { getFatePermanent } from "./get-fate-permanent.js";
 import { USE_FATE_FIELD_NAME } from "./inject-fate-use-checkbox.js";
 import { setNextFateContext, clearFateContext } from "./patch-dice-container-with-fate.js";
+import { getFateSpendCost } from "./get-fate-spend-cost.js";
+import { spendFatePoints } from "./spend-fate-points.js";
 
 const { debug, info, warn, error } = debugNs("fate:patch:dialogs");
 
 /**
  * Register prototype patches for upstream roll dialogs so they:
  * - persist `useFate` form state into `this.object.useFate`
+ * - spend the configured temporary Fate cost (or refuse the roll if it cannot be paid)
  * - set a one-shot Fate context before executing the actual roll method
  *
  * IMPORTANT:
@@ -91,8 +95,8 @@ function patchUpdateObject(proto, className) {
 
   proto._updateObject = async function patchedUpdateObject(event, formData) {
     try {
-      // Gate by setting: if Fate is disabled, force off to avoid stale state.
-      if (shouldEnableFate() !== true) {
+      // Gate by setting (and rule overrides): if Fate is disabled, force off to avoid stale state.
+      if (shouldEnableFate(getRollRuleContext(this?.actor)) !== true) {
         if (this?.object) this.object.useFate = false;
         return await original.call(this, event, formData);
       }
@@ -130,7 +134,7 @@ function patchRollMethod(proto, className, rollMethodName, { isWeapon }) {
   proto[rollMethodName] = async function patchedRollMethod(...args) {
     // Default behavior: do not affect the roll unless all gating passes.
     try {
-      if (shouldEnableFate() !== true) {
+      if (shouldEnableFate(getRollRuleContext(this?.actor)) !== true) {
         clearFateContext();
         return await original.apply(this, args);
       }
@@ -150,14 +154,47 @@ function patchRollMethod(proto, className, rollMethodName, { isWeapon }) {
       }
 
       if (useFate === true && fatePermanent > 0) {
+        /**
+         * Spend mechanic:
+         * Pay the configured temporary Fate cost before the roll fires.
+         * If it cannot be paid, the roll is refused: we do NOT call the upstream method,
+         * so the dialog stays open and the user can untick "Use Fate".
+         */
+        const cost = getFateSpendCost();
+        const spend = await spendFatePoints(actor, cost);
+
+        if (spend.ok !== true) {
+          const key = spend.reason === "insufficient"
+            ? "rusbar.homerules.fate.spend.notEnough"
+            : "rusbar.homerules.fate.spend.failed";
+
+          ui.notifications?.warn(game.i18n.format(key, {
+            actor: actor?.name ?? "",
+            current: spend.before,
+            amount: cost,
+          }));
+
+          debug("Refused Fate roll (spend not paid)", {
+            className,
+            rollMethodName,
+            actorId: actor?.id,
+            cost,
+            reason: spend.reason,
+          });
+
+          clearFateContext();
+          return undefined;
+        }
+
         // Apply to the next DiceRollContainer.numDices assignment only.
-        setNextFateContext({ fateBonus: fatePermanent });
+        setNextFateContext({ fateBonus: fatePermanent, actor });
 
         debug("Prepared Fate context for roll", {
           className,
           rollMethodName,
           actorId: actor?.id,
           fatePermanent,
+          spent: cost,
         });
       } else {
         clearFateContext();
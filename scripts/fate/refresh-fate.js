@@ -0,0 +1,120 @@
+import { MODULE_ID } from "../constants/module-id.js";
+import { FATE_DATA } from "../constants/fate-data.js";
+import { debugNs } from "../logger/ns.js";
+import { computeFateRoll } from "./compute-fate-roll.js";
+import { computeFateRegain } from "./compute-fate-regain.js";
+import { getFateRegainRule } from "./get-fate-regain-rule.js";
+import { buildFateLogUpdate } from "./build-fate-log-update.js";
+
+const { debug, info, warn, error } = debugNs("fate:refresh");
+
+/**
+ * Refresh (or partially regain) temporary Fate for a set of actors.
+ *
+ * For every actor:
+ * - temporary is recomputed by the regain rule (full refresh or +N, capped by permanent)
+ * - `roll` is kept in sync with computeFateRoll(permanent, temporary)
+ * - an audit entry is appended to flags[MODULE_ID].fateLog in the same update
+ *
+ * Afterwards ONE chat message summarizes the whole batch.
+ *
+ * GM-only: players cannot update actors they do not own, and refreshes are a
+ * Storyteller decision.
+ *
+ * @param {Actor[]} actors
+ * @param {{ reason?: string, rule?: { mode: string, amount: number } }} [options]
+ *   reason: free-form audit tag ("selected", "all-players", "session-start", "macro").
+ *   rule: overrides the configured regain rule.
+ * @returns {Promise<Array<{ actorId: string, name: string, before: number, after: number }>>}
+ */
+export async function refreshFate(actors, { reason = "macro", rule = getFateRegainRule() } = {}) {
+  if (game.user?.isGM !== true) {
+    warn("Only the GM can refresh Fate");
+    return [];
+  }
+
+  const unique = Array.from(new Set((actors ?? []).filter(Boolean)));
+  const results = [];
+
+  for (const actor of unique) {
+    try {
+      const fate = actor.system?.advantages?.[FATE_DATA.STAT_KEY] ?? {};
+      const permanent = Math.max(0, Number.parseInt(fate.permanent ?? 0, 10) || 0);
+      const before = Math.max(0, Number.parseInt(fate.temporary ?? 0, 10) || 0);
+      const after = computeFateRegain(before, permanent, rule);
+
+      await actor.update({
+        [`${FATE_DATA.PATH_BASE_SYSTEM}.temporary`]: after,
+        [`${FATE_DATA.PATH_BASE_SYSTEM}.roll`]: computeFateRoll(permanent, after),
+        ...buildFateLogUpdate(actor, {
+          type: "refresh",
+          reason,
+          mode: rule.mode,
+          amount: rule.mode === "partial" ? rule.amount : null,
+          before,
+          after,
+        }),
+      });
+
+      results.push({ actorId: actor.id, name: actor.name, before, after });
+      debug("Refreshed Fate", { actorId: actor.id, reason, rule, before, after });
+    } catch (err) {
+      error("Failed to refresh Fate for actor", { actorId: actor?.id, err });
+    }
+  }
+
+  if (results.length > 0) await postFateRefreshChatSummary(results, { reason, rule });
+
+  info("Fate refresh finished", { reason, rule, actors: results.length });
+  return results;
+}
+
+/**
+ * Write one chat message listing every refreshed actor.
+ *
+ * @param {Array<{ actorId: string, name: string, before: number, after: number }>} results
+ * @param {{ reason: string, rule: { mode: string, amount: number } }} meta
+ */
+async function postFateRefreshChatSummary(results, { reason, rule }) {
+  try {
+    const card = document.createElement("div");
+    card.classList.add("rb-fate-refresh-summary");
+
+    const title = document.createElement("div");
+    title.classList.add("rb-fate-refresh-title");
+    title.textContent = rule.mode === "partial"
+      ? game.i18n.format("rusbar.homerules.fate.refresh.chatTitlePartial", { amount: rule.amount })
+      : game.i18n.localize("rusbar.homerules.fate.refresh.chatTitleFull");
+    card.appendChild(title);
+
+    const list = document.createElement("ul");
+    for (const r of results) {
+      const li = document.createElement("li");
+      li.textContent = game.i18n.format("rusbar.homerules.fate.refresh.chatLine", {
+        actor: r.name,
+        before: r.before,
+        after: r.after,
+      });
+      list.appendChild(li);
+    }
+    card.appendChild(list);
+
+    await ChatMessage.create({
+      speaker: { alias: game.i18n.localize("rusbar.homerules.fate.label") },
+      content: card.outerHTML,
+      flags: {
+        [MODULE_ID]: {
+          fateRefresh: {
+            version: 1,
+            reason,
+            mode: rule.mode,
+            amount: rule.mode === "partial" ? rule.amount : null,
+            entries: results,
+          },
+        },
+      },
+    });
+  } catch (err) {
+    error("Failed to post Fate refresh chat summary", err);
+  }
+}
@@ -0,0 +1,79 @@
+import { MODULE_ID } from "../constants/module-id.js";
+import { SETTINGS_KEYS } from "../constants/settings.js";
+import { debugNs } from "../logger/ns.js";
+import { shouldEnableFate } from "./should-enable-fate.js";
+import { openFateRefreshDialog, getPlayerFateActors } from "./open-fate-refresh-dialog.js";
+import { refreshFate } from "./refresh-fate.js";
+
+const { debug, info, error } = debugNs("fate:refresh:tools");
+
+/**
+ * Minimum time between two session-start prompts.
+ * GMs reload the world during a session; we do not want to prompt on every reload.
+ */
+const SESSION_PROMPT_COOLDOWN_MS = 8 * 60 * 60 * 1000;
+
+/**
+ * Register GM entry points for Fate refresh:
+ * - a Token controls button that opens the refresh dialog
+ * - an optional session-start prompt (ready hook) that refreshes all player characters
+ */
+export function registerFateRefreshTools() {
+  /**
+   * Foundry v13 scene controls are records keyed by control/tool name.
+   * Tools with `button: true` fire `onChange` on click.
+   */
+  Hooks.on("getSceneControlButtons", (controls) => {
+    try {
+      if (game.user?.isGM !== true) return;
+      if (shouldEnableFate() !== true) return;
+
+      const tokens = controls?.tokens;
+      if (!tokens?.tools) return;
+
+      tokens.tools.rbFateRefresh = {
+        name: "rbFateRefresh",
+        title: "rusbar.homerules.fate.refresh.title",
+        icon: "fa-solid fa-hourglass-start",
+        order: Object.keys(tokens.tools).length,
+        button: true,
+        visible: true,
+        onChange: () => openFateRefreshDialog(),
+      };
+    } catch (err) {
+      error("Failed to add Fate refresh scene control", err);
+    }
+  });
+
+  Hooks.once("ready", () => {
+    promptSessionStartRefresh().catch((err) => error("Session-start Fate refresh failed", err));
+  });
+
+  info("Registered Fate refresh tools");
+}
+
+/**
+ * Ask the active GM whether to refresh Fate for all player characters.
+ */
+async function promptSessionStartRefresh() {
+  if (game.users?.activeGM?.isSelf !== true) return;
+  if (shouldEnableFate() !== true) return;
+  if (game.settings.get(MODULE_ID, SETTINGS_KEYS.FATE_REFRESH_ON_SESSION_START) !== true) return;
+
+  const lastAtMs = Number(game.settings.get(MODULE_ID, SETTINGS_KEYS.FATE_LAST_SESSION_REFRESH)) || 0;
+  if (Date.now() - lastAtMs < SESSION_PROMPT_COOLDOWN_MS) {
+    debug("Session-start Fate refresh skipped (cooldown)", { lastAtMs });
+    return;
+  }
+
+  const confirmed = await foundry.applications.api.DialogV2.confirm({
+    window: { title: "rusbar.homerules.fate.refresh.sessionTitle", icon: "fa-solid fa-hourglass-start" },
+    content: `<p>${game.i18n.localize("rusbar.homerules.fate.refresh.sessionPrompt")}</p>`,
+    rejectClose: false,
+  });
+
+  if (confirmed !== true) return;
+
+  await refreshFate(getPlayerFateActors(), { reason: "session-start" });
+  await game.settings.set(MODULE_ID, SETTINGS_KEYS.FATE_LAST_SESSION_REFRESH, Date.now());
+}
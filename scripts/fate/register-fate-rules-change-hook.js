@@ -0,0 +1,41 @@
+import { SETTINGS_KEYS, SETTING_CHANGED_HOOK } from "../constants/settings.js";
+import { debugNs } from "../logger/ns.js";
+import { shouldEnableFate } from "./should-enable-fate.js";
+import { usesFate } from "./uses-fate.js";
+import { ensureFateData } from "./ensure-fate-data.js";
+
+const { debug, info, error } = debugNs("fate:rules");
+
+/**
+ * Re-normalize stored Fate data when the Fate rules setting changes.
+ *
+ * Why:
+ * - `advantages.fate.roll` is derived from permanent/temporary by the rules' roll source.
+ * - Defaults and the max cap clamp stored values.
+ * Without a re-run, actors keep stale values until their sheet is opened.
+ *
+ * Scope:
+ * - Only the active GM performs updates (world setting onChange fires on every client).
+ * - Only actors that are Fate targets or already carry Fate data are touched, so we
+ *   never add Fate data to unrelated actors.
+ */
+export function registerFateRulesChangeHook() {
+  Hooks.on(SETTING_CHANGED_HOOK, async (key) => {
+    if (key !== SETTINGS_KEYS.FATE_RULES) return;
+
+    try {
+      if (game.users?.activeGM?.isSelf !== true) return;
+      if (shouldEnableFate() !== true) return;
+
+      const actors = (game.actors?.contents ?? []).filter((actor) => usesFate(actor) === true);
+
+      debug("Fate rules changed; re-running ensureFateData", { actors: actors.length });
+
+      for (const actor of actors) await ensureFateData(actor);
+
+      info("Fate data re-normalized after rules change", { actors: actors.length });
+    } catch (err) {
+      error("Failed to re-run ensureFateData after Fate rules change", err);
+    }
+  });
+}
@@ -0,0 +1,106 @@
+import { MODULE_ID } from "../constants/module-id.js";
+import { FATE_DATA } from "../constants/fate-data.js";
+import { debugNs } from "../logger/ns.js";
+import { computeFateRoll } from "./compute-fate-roll.js";
+import { FATE_SPEND_FLAG } from "./spend-fate-points.js";
+
+const { debug, info, warn, error } = debugNs("fate:spend:undo");
+
+const MARKER_ATTR = "data-rb-fate-spend-undo";
+
+/**
+ * Register the chat hook that adds an "Undo" button to Fate spend notes.
+ *
+ * Rules:
+ * - Only the GM sees the button.
+ * - Undo restores the spent points to temporary Fate (clamped to permanent) and keeps
+ *   `roll` in sync.
+ * - The message is marked as undone in its flags, so the button disappears for
+ *   everyone and a spend can never be refunded twice.
+ */
+export function registerFateSpendUndoHook() {
+  Hooks.on("renderChatMessageHTML", (message, html) => {
+    try {
+      const spend = message?.flags?.[MODULE_ID]?.[FATE_SPEND_FLAG];
+      if (!spend || typeof spend !== "object") return;
+
+      const root = html?.[0] ?? html;
+      if (!(root instanceof HTMLElement)) return;
+
+      // Idempotency: rerenders replace the content, but be safe anyway.
+      root.querySelectorAll(`[${MARKER_ATTR}]`).forEach((el) => el.remove());
+
+      const content = root.querySelector(".message-content") ?? root;
+
+      if (spend.undone === true) {
+        const line = document.createElement("div");
+        line.setAttribute(MARKER_ATTR, "undone");
+        line.classList.add("rb-fate-spend-undone");
+        line.textContent = game.i18n.localize("rusbar.homerules.fate.spend.undone");
+        content.appendChild(line);
+        return;
+      }
+
+      if (game.user?.isGM !== true) return;
+
+      const button = document.createElement("button");
+      button.type = "button";
+      button.setAttribute(MARKER_ATTR, "button");
+      button.classList.add("rb-fate-spend-undo");
+      button.textContent = game.i18n.localize("rusbar.homerules.fate.spend.undo");
+
+      button.addEventListener("click", async (event) => {
+        event.preventDefault();
+        button.disabled = true;
+        await undoFateSpend(message);
+      });
+
+      content.appendChild(button);
+    } catch (err) {
+      error("renderChatMessageHTML hook failed (Fate spend undo)", err);
+    }
+  });
+
+  info("Registered renderChatMessageHTML hook for Fate spend undo");
+}
+
+/**
+ * Refund a Fate spend described by a chat message.
+ *
+ * @param {ChatMessage} message
+ */
+async function undoFateSpend(message) {
+  try {
+    const spend = message?.flags?.[MODULE_ID]?.[FATE_SPEND_FLAG];
+    if (!spend || spend.undone === true) return;
+
+    const actor = game.actors?.get(spend.actorId);
+    if (!actor) {
+      warn("Cannot undo Fate spend: actor not found", { messageId: message.id, actorId: spend.actorId });
+      ui.notifications?.warn(game.i18n.localize("rusbar.homerules.fate.spend.undoNoActor"));
+      return;
+    }
+
+    const fate = actor.system?.advantages?.[FATE_DATA.STAT_KEY] ?? {};
+    const permanent = Math.max(0, Number.parseInt(fate.permanent ?? 0, 10) || 0);
+    const current = Math.max(0, Number.parseInt(fate.temporary ?? 0, 10) || 0);
+    const amount = Math.max(0, Number.parseInt(spend.amount ?? 0, 10) || 0);
+
+    const next = Math.min(permanent, current + amount);
+
+    await actor.update({
+      [`${FATE_DATA.PATH_BASE_SYSTEM}.temporary`]: next,
+      [`${FATE_DATA.PATH_BASE_SYSTEM}.roll`]: computeFateRoll(permanent, next),
+    });
+
+    await message.update({
+      [`flags.${MODULE_ID}.${FATE_SPEND_FLAG}.undone`]: true,
+      [`flags.${MODULE_ID}.${FATE_SPEND_FLAG}.undoneBy`]: game.user?.id ?? null,
+      [`flags.${MODULE_ID}.${FATE_SPEND_FLAG}.undoneAtMs`]: Date.now(),
+    });
+
+    debug("Undid Fate spend", { messageId: message.id, actorId: actor.id, amount, from: current, to: next });
+  } catch (err) {
+    error("Failed to undo Fate spend", { messageId: message?.id, err });
+  }
+}
@@ -16,30 +16,25 @@ function removeExisting(html) {
  *
  * Why:
  * - Some sheet parts may be conditionally rendered depending on active tab/content.
- * - We prefer inserting next to Willpower, but we fallback gracefully.
+ * - Different actor types render different advantage blocks.
+ * - We prefer inserting next to Willpower, but we fallback gracefully
+ *   (see FATE_UI.ANCHOR_SELECTORS for the lookup order).
  *
  * @param {JQuery} html
  * @returns {JQuery|null}
  */
 function findAnchor(html) {
-  const s = FATE_UI.ANCHOR_SELECTORS;
+  const { anyInnerArea, ...rowSelectors } = FATE_UI.ANCHOR_SELECTORS;
 
-  const wpTemp = html.find(s.willpowerTemp).first();
-  if (wpTemp.length) return wpTemp.closest(FATE_UI.SELECTORS.sheetBoxContainer).length
-    ? wpTemp.closest(FATE_UI.SELECTORS.sheetBoxContainer)
-    : wpTemp;
+  for (const selector of Object.values(rowSelectors)) {
+    const row = html.find(selector).first();
+    if (!row.length) continue;
 
-  const wpPerm = html.find(s.willpowerPerm).first();
-  if (wpPerm.length) return wpPerm.closest(FATE_UI.SELECTORS.sheetBoxContainer).length
-    ? wpPerm.closest(FATE_UI.SELECTORS.sheetBoxContainer)
-    : wpPerm;
-
-  const wpAny = html.find(s.anyWillpower).first();
-  if (wpAny.length) return wpAny.closest(FATE_UI.SELECTORS.sheetBoxContainer).length
-    ? wpAny.closest(FATE_UI.SELECTORS.sheetBoxContainer)
-    : wpAny;
+    const box = row.closest(FATE_UI.SELECTORS.sheetBoxContainer);
+    return box.length ? box : row;
+  }
 
-  const inner = html.find(s.anyInnerArea).first();
+  const inner = html.find(anyInnerArea).first();
   if (inner.length) return inner;
 
   return null;
@@ -1,6 +1,7 @@
 import { MODULE_ID } from "../constants/module-id.js";
 import { debugNs } from "../logger/ns.js";
 import { shouldEnableFate } from "./should-enable-fate.js";
+import { getMessageRuleContext } from "../rule-overrides/get-message-rule-context.js";
 import { buildEmeraldD10Svg } from "./dice/emerald-d10-svg.js";
 
 const { debug, info, warn, error } = debugNs("fate:chat:replace");
@@ -17,7 +18,7 @@ const { debug, info, warn, error } = debugNs("fate:chat:replace");
 export function registerReplaceFateDiceInChatHook() {
   Hooks.on("renderChatMessageHTML", (message, html) => {
     try {
-      if (shouldEnableFate() !== true) return;
+      if (shouldEnableFate(getMessageRuleContext(message)) !== true) return;
 
       const rollCount = Array.isArray(message?.rolls) ? message.rolls.length : 0;
       if (rollCount === 0) return;
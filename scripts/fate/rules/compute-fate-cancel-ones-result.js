@@ -0,0 +1,18 @@
+import { countFateDice } from "./count-fate-dice.js";
+
+/**
+ * Fate rule "cancel-ones".
+ *
+ * Each 10 on a Fate die cancels one 1 rolled on the normal (base/special) dice.
+ * Tens left over after cancelling are not counted; 1s on Fate dice have no effect.
+ *
+ * @param {{ dice: Array<{ type: string, value: number }>, difficulty?: number }} input
+ * @returns {{ kind: "cancel"|"none", value: number }}
+ */
+export function computeFateCancelOnesResult({ dice }) {
+  const { fateTens, normalOnes } = countFateDice(dice);
+  const cancelled = Math.min(fateTens, normalOnes);
+
+  if (cancelled > 0) return { kind: "cancel", value: cancelled };
+  return { kind: "none", value: 0 };
+}
@@ -0,0 +1,20 @@
+import { countFateDice } from "./count-fate-dice.js";
+
+/**
+ * Fate rule "delta" (the original module behaviour).
+ *
+ * - count(10) > count(1) on Fate dice: Fate Success, value = difference
+ * - count(1) > count(10) on Fate dice: Fate Botch, value = difference
+ * - otherwise: nothing to show
+ *
+ * @param {{ dice: Array<{ type: string, value: number }>, difficulty?: number }} input
+ * @returns {{ kind: "success"|"botch"|"none", value: number }}
+ */
+export function computeFateDeltaResult({ dice }) {
+  const { fateOnes, fateTens } = countFateDice(dice);
+  const delta = fateTens - fateOnes;
+
+  if (delta > 0) return { kind: "success", value: delta };
+  if (delta < 0) return { kind: "botch", value: -delta };
+  return { kind: "none", value: 0 };
+}
@@ -0,0 +1,17 @@
+import { FATE_OUTCOME_RULES, DEFAULT_FATE_OUTCOME_RULE } from "./fate-outcome-rules.js";
+
+/**
+ * Run a Fate outcome rule by id.
+ *
+ * Pure: unknown ids fall back to the default rule, so a stale setting value never
+ * breaks chat rendering.
+ *
+ * @param {string} ruleId
+ * @param {{ dice: Array<{ type: string, value: number }>, difficulty?: number }} input
+ * @returns {{ rule: string, kind: string, value: number }}
+ */
+export function computeFateOutcome(ruleId, input) {
+  const rule = Object.hasOwn(FATE_OUTCOME_RULES, ruleId) ? ruleId : DEFAULT_FATE_OUTCOME_RULE;
+  const result = FATE_OUTCOME_RULES[rule]({ dice: input?.dice ?? [], difficulty: input?.difficulty });
+  return { rule, ...result };
+}
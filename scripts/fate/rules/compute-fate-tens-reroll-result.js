@@ -0,0 +1,17 @@
+import { countFateDice } from "./count-fate-dice.js";
+
+/**
+ * Fate rule "tens-reroll".
+ *
+ * Each 10 on a Fate die grants one reroll. The rule only reports how many rerolls
+ * are owed; the players roll them as a separate roll (we never touch the Roll itself).
+ *
+ * @param {{ dice: Array<{ type: string, value: number }>, difficulty?: number }} input
+ * @returns {{ kind: "reroll"|"none", value: number }}
+ */
+export function computeFateTensRerollResult({ dice }) {
+  const { fateTens } = countFateDice(dice);
+
+  if (fateTens > 0) return { kind: "reroll", value: fateTens };
+  return { kind: "none", value: 0 };
+}
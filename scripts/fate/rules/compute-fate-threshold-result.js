@@ -0,0 +1,23 @@
+import { countFateDice } from "./count-fate-dice.js";
+
+/**
+ * Fate rule "difficulty-threshold".
+ *
+ * Fate dice at or above the roll difficulty count as Fate successes, 1s as Fate botches;
+ * the line shows the difference (same presentation as "delta").
+ * Without a known difficulty the threshold falls back to 10, i.e. plain "delta".
+ *
+ * @param {{ dice: Array<{ type: string, value: number }>, difficulty?: number }} input
+ * @returns {{ kind: "success"|"botch"|"none", value: number }}
+ */
+export function computeFateThresholdResult({ dice, difficulty }) {
+  const parsed = Number.parseInt(difficulty, 10);
+  const threshold = Number.isFinite(parsed) && parsed >= 2 && parsed <= 10 ? parsed : 10;
+
+  const { fateOnes, fateHits } = countFateDice(dice, threshold);
+  const delta = fateHits - fateOnes;
+
+  if (delta > 0) return { kind: "success", value: delta };
+  if (delta < 0) return { kind: "botch", value: -delta };
+  return { kind: "none", value: 0 };
+}
@@ -0,0 +1,31 @@
+/**
+ * Tally tagged dice for Fate outcome rules.
+ *
+ * Pure: no Foundry globals, no DOM.
+ *
+ * @param {Array<{ type: string, value: number }>} dice Dice of one roll area, tagged base/special/fate.
+ * @param {number} [threshold=10] Fate dice at or above this value count as `fateHits`.
+ * @returns {{ fateOnes: number, fateTens: number, fateHits: number, normalOnes: number }}
+ */
+export function countFateDice(dice, threshold = 10) {
+  let fateOnes = 0;
+  let fateTens = 0;
+  let fateHits = 0;
+  let normalOnes = 0;
+
+  for (const die of Array.isArray(dice) ? dice : []) {
+    const value = Number.parseInt(die?.value, 10);
+    if (!Number.isFinite(value)) continue;
+
+    if (die?.type !== "fate") {
+      if (value === 1) normalOnes += 1;
+      continue;
+    }
+
+    if (value === 1) fateOnes += 1;
+    if (value === 10) fateTens += 1;
+    if (value >= threshold) fateHits += 1;
+  }
+
+  return { fateOnes, fateTens, fateHits, normalOnes };
+}
@@ -0,0 +1,25 @@
+import { computeFateDeltaResult } from "./compute-fate-delta-result.js";
+import { computeFateCancelOnesResult } from "./compute-fate-cancel-ones-result.js";
+import { computeFateTensRerollResult } from "./compute-fate-tens-reroll-result.js";
+import { computeFateThresholdResult } from "./compute-fate-threshold-result.js";
+
+/**
+ * Registry of Fate outcome rules (world setting `fateOutcomeRule` picks one).
+ *
+ * Every rule is a pure function:
+ *   ({ dice: Array<{ type, value }>, difficulty?: number }) => { kind, value }
+ *
+ * `kind` selects the chat line (`rusbar.homerules.fate.chat.result<Kind>`);
+ * "none" means no line is shown.
+ *
+ * To add a variant: add a compute-*.js file next to this one, register it here and
+ * add its label under `rusbar.homerules.settings.fateOutcomeRule.*`.
+ */
+export const FATE_OUTCOME_RULES = Object.freeze({
+  delta: computeFateDeltaResult,
+  "cancel-ones": computeFateCancelOnesResult,
+  "tens-reroll": computeFateTensRerollResult,
+  "difficulty-threshold": computeFateThresholdResult,
+});
+
+export const DEFAULT_FATE_OUTCOME_RULE = "delta";
@@ -0,0 +1,17 @@
+import { MODULE_ID } from "../../constants/module-id.js";
+import { SETTINGS_KEYS } from "../../constants/settings.js";
+import { FATE_OUTCOME_RULES, DEFAULT_FATE_OUTCOME_RULE } from "./fate-outcome-rules.js";
+
+/**
+ * Read the active Fate outcome rule id from world settings.
+ *
+ * @returns {string}
+ */
+export function getFateOutcomeRule() {
+  try {
+    const id = game.settings.get(MODULE_ID, SETTINGS_KEYS.FATE_OUTCOME_RULE);
+    return Object.hasOwn(FATE_OUTCOME_RULES, id) ? id : DEFAULT_FATE_OUTCOME_RULE;
+  } catch (_err) {
+    return DEFAULT_FATE_OUTCOME_RULE;
+  }
+}
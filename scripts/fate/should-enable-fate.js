@@ -1,13 +1,18 @@
 import { MODULE_ID } from "../constants/module-id.js";
 import { SETTINGS_KEYS } from "../constants/settings.js";
+import { isRuleEnabled } from "../rule-overrides/is-rule-enabled.js";
 
 /**
- * Check whether Fate functionality is enabled via module settings.
+ * Check whether Fate functionality is enabled.
  *
- * This is intentionally tiny and isolated:
- * - allows other fate-related files to stay simple
- * - makes it easy to add additional gating logic later
+ * Resolution: world setting, then scene override, then actor override
+ * (see rule-overrides/is-rule-enabled.js). Without a context only the world
+ * setting counts (GM-wide tools).
+ *
+ * @param {{ actor?: Actor|null, scene?: Scene|null }} [context]
+ * @returns {boolean}
  */
-export function shouldEnableFate() {
-  return game.settings.get(MODULE_ID, SETTINGS_KEYS.ENABLE_FATE) === true;
+export function shouldEnableFate(context = {}) {
+  const worldEnabled = game.settings.get(MODULE_ID, SETTINGS_KEYS.ENABLE_FATE) === true;
+  return isRuleEnabled("fate", worldEnabled, context);
 }
@@ -0,0 +1,101 @@
+import { MODULE_ID } from "../constants/module-id.js";
+import { FATE_DATA } from "../constants/fate-data.js";
+import { debugNs } from "../logger/ns.js";
+import { computeFateRoll } from "./compute-fate-roll.js";
+
+const { debug, info, error } = debugNs("fate:spend");
+
+/**
+ * ChatMessage flag key (under flags[MODULE_ID]) that describes a Fate spend.
+ * The undo hook reads the same key, so keep it exported.
+ */
+export const FATE_SPEND_FLAG = "fateSpend";
+
+/**
+ * Deduct temporary Fate points from an actor and write a chat note about it.
+ *
+ * Invariants (same as bind-fate-clicks.js):
+ * - temporary never drops below 0
+ * - `roll` is kept in sync with computeFateRoll(permanent, temporary)
+ *
+ * Refusal:
+ * - If the actor has fewer temporary points than requested, nothing is changed and
+ *   `{ ok: false, reason: "insufficient" }` is returned. The caller decides how to
+ *   inform the user (the dialog patch shows a notification and aborts the roll).
+ *
+ * @param {Actor} actor
+ * @param {number} amount Number of temporary points to spend.
+ * @returns {Promise<{ ok: boolean, reason: string, before: number, after: number }>}
+ */
+export async function spendFatePoints(actor, amount) {
+  const fate = actor?.system?.advantages?.[FATE_DATA.STAT_KEY] ?? {};
+  const before = Math.max(0, Number.parseInt(fate.temporary ?? 0, 10) || 0);
+  const permanent = Math.max(0, Number.parseInt(fate.permanent ?? 0, 10) || 0);
+
+  const cost = Math.max(0, Number.parseInt(amount ?? 0, 10) || 0);
+  if (!actor || cost === 0) return { ok: true, reason: "free", before, after: before };
+
+  if (before < cost) {
+    debug("Fate spend refused (insufficient temporary Fate)", { actorId: actor.id, before, cost });
+    return { ok: false, reason: "insufficient", before, after: before };
+  }
+
+  const after = before - cost;
+
+  try {
+    await actor.update({
+      [`${FATE_DATA.PATH_BASE_SYSTEM}.temporary`]: after,
+      [`${FATE_DATA.PATH_BASE_SYSTEM}.roll`]: computeFateRoll(permanent, after),
+    });
+  } catch (err) {
+    error("Failed to deduct temporary Fate", { actorId: actor.id, cost, err });
+    return { ok: false, reason: "update-failed", before, after: before };
+  }
+
+  await postFateSpendChatNote(actor, { amount: cost, before, after });
+
+  info("Spent temporary Fate", { actorId: actor.id, cost, before, after });
+  return { ok: true, reason: "spent", before, after };
+}
+
+/**
+ * Write a small chat card about the spend.
+ *
+ * The structured spend data is stored in message flags so the GM undo button does
+ * not have to parse localized text.
+ *
+ * @param {Actor} actor
+ * @param {{ amount: number, before: number, after: number }} spend
+ */
+async function postFateSpendChatNote(actor, { amount, before, after }) {
+  try {
+    const note = document.createElement("div");
+    note.classList.add("rb-fate-spend-note");
+    note.textContent = game.i18n.format("rusbar.homerules.fate.spend.chatNote", {
+      actor: actor.name,
+      amount,
+      before,
+      after,
+    });
+
+    await ChatMessage.create({
+      speaker: ChatMessage.getSpeaker({ actor }),
+      content: note.outerHTML,
+      flags: {
+        [MODULE_ID]: {
+          [FATE_SPEND_FLAG]: {
+            version: 1,
+            actorId: actor.id,
+            amount,
+            before,
+            after,
+            undone: false,
+          },
+        },
+      },
+    });
+  } catch (err) {
+    // The spend itself already happened; a missing note must not break the roll.
+    error("Failed to post Fate spend chat note", { actorId: actor?.id, err });
+  }
+}
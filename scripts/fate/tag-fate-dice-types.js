@@ -1,7 +1,10 @@
 import { MODULE_ID } from "../constants/module-id.js";
 import { debugNs } from "../logger/ns.js";
 import { shouldEnableFate } from "./should-enable-fate.js";
+import { getMessageRuleContext } from "../rule-overrides/get-message-rule-context.js";
 import { consumeLastFateRollContainer } from "./patch-dice-container-with-fate.js";
+import { buildFateResult, FATE_RESULT_FLAG } from "./build-fate-result.js";
+import { getFateOutcomeRule } from "./rules/get-fate-outcome-rule.js";
 
 const { debug, info, warn, error } = debugNs("fate:tag:dice-types");
 
@@ -15,11 +18,15 @@ const { debug, info, warn, error } = debugNs("fate:tag:dice-types");
  * Our transport strategy:
  * - Primary: store diceTypes in message.rolls[0].options.rbFateDiceTypes (stable across rerenders)
  * - Secondary: store diceTypes in flags[MODULE_ID].diceTypes (best-effort; may be rewritten)
+ *
+ * The structured Fate result (per roll area: tens, ones, delta, active rule verdict) is
+ * computed here once from the Roll data and stored in flags[MODULE_ID].fateResult, so
+ * macros/other modules can read it and the chat line does not have to parse the DOM.
  */
 export function registerFateDiceTypeTaggingHook() {
   Hooks.on("preCreateChatMessage", (doc, data) => {
     try {
-      if (shouldEnableFate() !== true) return;
+      if (shouldEnableFate(getMessageRuleContext(doc)) !== true) return;
 
       const rolls = data?.rolls;
       if (!Array.isArray(rolls) || rolls.length === 0) return;
@@ -27,9 +34,14 @@ export function registerFateDiceTypeTaggingHook() {
       const container = consumeLastFateRollContainer();
       if (!container) return;
 
-      const diceTypes = computeDiceTypesForRollMessage(container, rolls);
+      const tagged = computeDiceTypesForRollMessage(container, rolls);
+      const diceTypes = tagged.diceTypes;
       if (!Array.isArray(diceTypes) || diceTypes.length === 0) return;
 
+      // Roll context is attached by an earlier preCreateChatMessage hook (same document).
+      const difficulty = extractDifficulty(doc, container);
+      const fateResult = buildFateResult(tagged, { ruleId: getFateOutcomeRule(), difficulty });
+
       // We keep a cacheId for correlation/debugging only.
       const cacheId = createCacheId();
 
@@ -49,6 +61,7 @@ export function registerFateDiceTypeTaggingHook() {
             diceTypesVersion: 1,
             rbFateMetaVersion: 1,
             rbFateCacheId: cacheId,
+            [FATE_RESULT_FLAG]: fateResult,
           },
         },
         { inplace: false }
@@ -103,6 +116,8 @@ export function registerFateDiceTypeTaggingHook() {
         rolls: rolls.length,
         tagged: diceTypes.length,
         fateAppearanceApplied,
+        fateRule: fateResult.rule,
+        fateAreas: fateResult.areas.map((a) => `${a.kind}:${a.value}`).join(", "),
         roll0OptionKeys: Object.keys(patchedRolls?.[0]?.options ?? {}),
         typesCount: summary.counts,
         typesRle: summary.rle,
@@ -132,6 +147,24 @@ function createCacheId() {
   return `rb-fate-${ts}-${rnd}`;
 }
 
+/**
+ * Roll difficulty for threshold-based Fate rules.
+ * Prefer the attached roll context; fall back to the container.
+ *
+ * @returns {number|null}
+ */
+function extractDifficulty(doc, container) {
+  const raw = doc?.flags?.[MODULE_ID]?.rollContext?.difficulty ?? container?.difficulty;
+  const n = Number.parseInt(raw, 10);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Walk the container targets in the same order as the system DiceRoller and tag each
+ * single-d10 roll with its dice type and roll area (target index).
+ *
+ * @returns {{ diceTypes: string[], dieValues: number[], areaIndexes: number[], areaCount: number }}
+ */
 function computeDiceTypesForRollMessage(container, rolls) {
   const cfg = CONFIG?.worldofdarkness ?? {};
 
@@ -154,8 +187,10 @@ function computeDiceTypesForRollMessage(container, rolls) {
 
   let rollIdx = 0;
   const out = [];
+  const dieValues = [];
+  const areaIndexes = [];
 
-  for (const target of targetlist) {
+  for (const [areaIdx, target] of targetlist.entries()) {
     const baseTargetDice = Number(target?.numDices ?? 0) || 0;
 
     let numberDices = baseTargetDice + woundPenalty;
@@ -176,9 +211,12 @@ function computeDiceTypesForRollMessage(container, rolls) {
       const roll = rolls[rollIdx];
       rollIdx += 1;
 
+      const value = extractSingleD10Value(roll);
+
       out.push(dieType);
+      dieValues.push(value);
+      areaIndexes.push(areaIdx);
 
-      const value = extractSingleD10Value(roll);
       if (canExplodeOnThisRoll === true && value === 10) {
         queue.unshift(dieType);
       }
@@ -187,10 +225,12 @@ function computeDiceTypesForRollMessage(container, rolls) {
 
   while (rollIdx < rolls.length) {
     out.push("unknown");
+    dieValues.push(extractSingleD10Value(rolls[rollIdx]));
+    areaIndexes.push(targetlist.length - 1);
     rollIdx += 1;
   }
 
-  return out;
+  return { diceTypes: out, dieValues, areaIndexes, areaCount: targetlist.length };
 }
 
 function extractSingleD10Value(roll) {
@@ -0,0 +1,17 @@
+import { FATE_DATA } from "../constants/fate-data.js";
+import { isFateActor } from "./is-fate-actor.js";
+
+/**
+ * Check whether an Actor participates in Fate: either its type is a configured
+ * Fate target, or it already carries Fate data (e.g. the targets changed later).
+ *
+ * Used by GM-wide operations so they never add Fate data to unrelated actors.
+ *
+ * @param {Actor} actor
+ * @returns {boolean}
+ */
+export function usesFate(actor) {
+  if (!actor) return false;
+  if (isFateActor(actor) === true) return true;
+  return actor.system?.advantages?.[FATE_DATA.STAT_KEY] !== undefined;
+}
@@ -0,0 +1,314 @@
+/**
+ * Small safe expression language for user-editable formulas (world settings).
+ *
+ * Syntax:
+ * - numbers: `2`, `0.5`
+ * - variables: names from the `variables` list passed to compileFormula
+ * - operators: `+ - * / %`, unary `-` / `+`, parentheses
+ * - functions: see FORMULA_FUNCTIONS (`ceil(max / 2)`, `min(a, b)`, ...)
+ *
+ * Safety:
+ * - The source is tokenized and parsed into a tree; nothing is ever passed to eval/Function.
+ * - Unknown names are compile errors, so a formula can only read the given variables.
+ * - Source length and nesting depth are bounded.
+ *
+ * Errors are returned (not thrown) as `{ code, position, token }` so settings UIs can
+ * localize them (`rusbar.homerules.formulas.error.<code>`).
+ *
+ * Pure: no Foundry globals.
+ */
+
+/**
+ * Allowed functions: name -> { arity: [min, max], fn }.
+ */
+export const FORMULA_FUNCTIONS = Object.freeze({
+  ceil: Object.freeze({ arity: [1, 1], fn: Math.ceil }),
+  floor: Object.freeze({ arity: [1, 1], fn: Math.floor }),
+  round: Object.freeze({ arity: [1, 1], fn: Math.round }),
+  abs: Object.freeze({ arity: [1, 1], fn: Math.abs }),
+  min: Object.freeze({ arity: [1, Infinity], fn: Math.min }),
+  max: Object.freeze({ arity: [1, Infinity], fn: Math.max }),
+  clamp: Object.freeze({ arity: [3, 3], fn: (value, lo, hi) => Math.min(Math.max(value, lo), hi) }),
+});
+
+/**
+ * Longest accepted formula source.
+ */
+export const FORMULA_MAX_LENGTH = 200;
+
+/**
+ * Deepest accepted nesting of parentheses / unary operators / calls.
+ */
+const MAX_DEPTH = 32;
+
+const OPERATORS = "+-*/%(),";
+
+/**
+ * @typedef {{ code: string, position: number, token: string|null }} FormulaError
+ */
+
+/**
+ * Compile a formula.
+ *
+ * @param {string} source
+ * @param {{ variables?: string[] }} [options] Names the formula may reference.
+ * @returns {{ ok: true, evaluate: (values: Record<string, number>) => number, variables: string[] }
+ *   | { ok: false, error: FormulaError }}
+ */
+export function compileFormula(source, { variables = [] } = {}) {
+  const text = typeof source === "string" ? source : "";
+
+  if (text.trim() === "") return fail("empty", 0, null);
+  if (text.length > FORMULA_MAX_LENGTH) return fail("tooLong", FORMULA_MAX_LENGTH, null);
+
+  const tokens = tokenize(text);
+  if (tokens.error) return { ok: false, error: tokens.error };
+
+  const parser = new Parser(tokens.list, new Set(variables));
+  const ast = parser.parse();
+  if (parser.error) return { ok: false, error: parser.error };
+
+  return {
+    ok: true,
+    variables: [...parser.used],
+    evaluate: (values = {}) => evaluateNode(ast, values),
+  };
+}
+
+/**
+ * @param {string} code
+ * @param {number} position
+ * @param {string|null} token
+ */
+function fail(code, position, token) {
+  return { ok: false, error: { code, position, token } };
+}
+
+/**
+ * @param {string} text
+ * @returns {{ list: Array<{ type: string, value: string|number, position: number }>, error?: FormulaError }}
+ */
+function tokenize(text) {
+  const list = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const ch = text[i];
+
+    if (/\s/.test(ch)) {
+      i += 1;
+      continue;
+    }
+
+    const number = /^(\d+(\.\d+)?|\.\d+)/.exec(text.slice(i));
+    if (number) {
+      list.push({ type: "number", value: Number(number[0]), position: i });
+      i += number[0].length;
+      continue;
+    }
+
+    const name = /^[A-Za-z_][A-Za-z0-9_]*/.exec(text.slice(i));
+    if (name) {
+      list.push({ type: "name", value: name[0], position: i });
+      i += name[0].length;
+      continue;
+    }
+
+    if (OPERATORS.includes(ch)) {
+      list.push({ type: "op", value: ch, position: i });
+      i += 1;
+      continue;
+    }
+
+    return { list, error: { code: "unexpectedChar", position: i, token: ch } };
+  }
+
+  list.push({ type: "end", value: "", position: text.length });
+  return { list };
+}
+
+/**
+ * Recursive descent parser:
+ *   expr    := term (("+" | "-") term)*
+ *   term    := unary (("*" | "/" | "%") unary)*
+ *   unary   := ("-" | "+") unary | primary
+ *   primary := number | name | name "(" expr ("," expr)* ")" | "(" expr ")"
+ *
+ * The first error stops parsing; `error` is set and a placeholder node is returned.
+ */
+class Parser {
+  /**
+   * @param {Array<{ type: string, value: string|number, position: number }>} tokens
+   * @param {Set<string>} variables
+   */
+  constructor(tokens, variables) {
+    this.tokens = tokens;
+    this.variables = variables;
+    this.index = 0;
+    this.depth = 0;
+    this.error = null;
+    this.used = new Set();
+  }
+
+  parse() {
+    const node = this.expr();
+    if (!this.error && this.peek().type !== "end") this.setError("unexpectedToken", this.peek());
+    return node;
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  isOp(value) {
+    const token = this.peek();
+    return token.type === "op" && token.value === value;
+  }
+
+  setError(code, token) {
+    if (this.error) return;
+    const atEnd = token?.type === "end";
+    this.error = {
+      code: atEnd && code === "unexpectedToken" ? "unexpectedEnd" : code,
+      position: token?.position ?? 0,
+      token: atEnd ? null : String(token?.value ?? ""),
+    };
+  }
+
+  enter(token) {
+    this.depth += 1;
+    if (this.depth > MAX_DEPTH) this.setError("tooDeep", token);
+    return !this.error;
+  }
+
+  leave() {
+    this.depth -= 1;
+  }
+
+  expr() {
+    let left = this.term();
+    while (!this.error && (this.isOp("+") || this.isOp("-"))) {
+      const op = this.next().value;
+      left = { type: "binary", op, left, right: this.term() };
+    }
+    return left;
+  }
+
+  term() {
+    let left = this.unary();
+    while (!this.error && (this.isOp("*") || this.isOp("/") || this.isOp("%"))) {
+      const op = this.next().value;
+      left = { type: "binary", op, left, right: this.unary() };
+    }
+    return left;
+  }
+
+  unary() {
+    if (this.isOp("-") || this.isOp("+")) {
+      const token = this.next();
+      if (!this.enter(token)) return PLACEHOLDER;
+      const operand = this.unary();
+      this.leave();
+      return token.value === "-" ? { type: "negate", operand } : operand;
+    }
+    return this.primary();
+  }
+
+  primary() {
+    const token = this.next();
+
+    if (token.type === "number") return { type: "number", value: token.value };
+
+    if (token.type === "name") {
+      if (this.isOp("(")) return this.call(token);
+      if (!this.variables.has(token.value)) {
+        this.setError("unknownVariable", token);
+        return PLACEHOLDER;
+      }
+      this.used.add(token.value);
+      return { type: "variable", name: token.value };
+    }
+
+    if (token.type === "op" && token.value === "(") {
+      if (!this.enter(token)) return PLACEHOLDER;
+      const inner = this.expr();
+      this.leave();
+      if (!this.error && !this.isOp(")")) this.setError("unexpectedToken", this.peek());
+      if (!this.error) this.next();
+      return inner;
+    }
+
+    this.setError("unexpectedToken", token);
+    return PLACEHOLDER;
+  }
+
+  /**
+   * @param {{ value: string, position: number }} nameToken
+   */
+  call(nameToken) {
+    const def = Object.hasOwn(FORMULA_FUNCTIONS, nameToken.value) ? FORMULA_FUNCTIONS[nameToken.value] : null;
+    if (!def) {
+      this.setError("unknownFunction", nameToken);
+      return PLACEHOLDER;
+    }
+
+    const open = this.next();
+    if (!this.enter(open)) return PLACEHOLDER;
+
+    const args = [this.expr()];
+    while (!this.error && this.isOp(",")) {
+      this.next();
+      args.push(this.expr());
+    }
+    this.leave();
+
+    if (!this.error && !this.isOp(")")) this.setError("unexpectedToken", this.peek());
+    if (this.error) return PLACEHOLDER;
+    this.next();
+
+    const [min, max] = def.arity;
+    if (args.length < min || args.length > max) {
+      this.setError("argCount", nameToken);
+      return PLACEHOLDER;
+    }
+
+    return { type: "call", fn: def.fn, args };
+  }
+}
+
+const PLACEHOLDER = Object.freeze({ type: "number", value: Number.NaN });
+
+/**
+ * @param {object} node
+ * @param {Record<string, number>} values
+ * @returns {number}
+ */
+function evaluateNode(node, values) {
+  switch (node.type) {
+    case "number":
+      return node.value;
+    case "variable": {
+      const v = Number(values?.[node.name]);
+      return Number.isFinite(v) ? v : 0;
+    }
+    case "negate":
+      return -evaluateNode(node.operand, values);
+    case "call":
+      return node.fn(...node.args.map((arg) => evaluateNode(arg, values)));
+    case "binary": {
+      const a = evaluateNode(node.left, values);
+      const b = evaluateNode(node.right, values);
+      if (node.op === "+") return a + b;
+      if (node.op === "-") return a - b;
+      if (node.op === "*") return a * b;
+      if (node.op === "/") return a / b;
+      return a % b;
+    }
+    default:
+      return Number.NaN;
+  }
+}
@@ -1,12 +1,15 @@
 import { MODULE_ID } from "./constants/module-id.js";
 import { SETTINGS_KEYS } from "./constants/settings.js";
 import { registerSettings } from "./settings/register-settings.js";
+import { registerSettingsRefreshHook } from "./settings/register-settings-refresh-hook.js";
+import { registerModuleApi } from "./api/register-module-api.js";
 
 import { setDebugEnabled } from "./logger/state.js";
 import { debugNs } from "./logger/ns.js";
 
 import { shouldEnableFate } from "./fate/should-enable-fate.js";
 import { isVampireSheet } from "./fate/is-vampire-sheet.js";
+import { isFateSheet } from "./fate/is-fate-sheet.js";
 import { ensureFateData } from "./fate/ensure-fate-data.js";
 import { renderFateScale } from "./fate/render-fate-scale.js";
 import { bindFateClicks } from "./fate/bind-fate-clicks.js";
@@ -17,15 +20,28 @@ import { registerRollDialogFatePatches } from "./fate/patch-roll-dialogs-with-fa
 import { registerFateDiceTypeTaggingHook } from "./fate/tag-fate-dice-types.js";
 import { registerReplaceFateDiceInChatHook } from "./fate/replace-fate-dice-in-chat.js";
 import { registerInsertFateResultInChatHook } from "./fate/insert-fate-result-in-chat.js";
+import { registerFateSpendUndoHook } from "./fate/register-fate-spend-undo-hook.js";
+import { registerFateRulesChangeHook } from "./fate/register-fate-rules-change-hook.js";
+import { registerFateRefreshTools } from "./fate/register-fate-refresh-tools.js";
 import { registerEvilBotchesChatHook } from "./evil-botches/evil-botches-in-chat.js";
+import { registerEvilBotchesPersistHook } from "./evil-botches/persist-evil-botches-verdict.js";
 import { registerFateDiceSoNiceColorsetHook } from "./fate/dice/register-dsn-fate-colorset.js";
 
 import { registerRollDialogRollContextPatches } from "./roll-context/patch-roll-dialogs-roll-context.js";
 import { registerBonusHelperAutoSuccessCapture } from "./roll-context/patch-bonus-helper-auto-success.js";
 import { registerRollContextChatAttachmentHook } from "./roll-context/attach-roll-context-to-chat.js";
+import { registerDiceContainerRollContextCapture } from "./roll-context/patch-dice-container-roll-context.js";
+import { registerRollTraceIdStamping } from "./roll-context/patch-roll-trace-id.js";
+import { logRollContextCoverage } from "./roll-context/coverage.js";
+import { registerRollHistoryHeaderButton } from "./roll-history/register-roll-history-header-button.js";
+import { registerDiceStatsTools } from "./dice-stats/register-dice-stats-tools.js";
+import { registerRuleOverrideControls } from "./rule-overrides/register-rule-override-controls.js";
 
 import { injectBloodpoolExtras } from "./vampire/bloodpool/inject-bloodpool-extras.js";
 import { enforceBloodpoolMaxPerRow } from "./vampire/bloodpool/enforce-bloodpool-max-per-row.js";
+import { registerBloodHungerHook } from "./vampire/bloodpool/register-blood-hunger-hook.js";
+import { registerBloodSpendTracker } from "./vampire/bloodpool/register-blood-spend-tracker.js";
+import { registerFeedingHook } from "./vampire/feeding/register-feeding-hook.js";
 
 import { registerPreserveItemImagesHooks } from "./items/preserve-item-image-paths.js";
 
@@ -33,6 +49,7 @@ const { debug, info, warn, error } = debugNs("init");
 
 /**
  * Foundry init hook:
+ * - expose the public module API (settings onChange handlers rely on it)
  * - register settings (must be done early)
  * - register UI tweak hooks that should exist before any dialogs are rendered
  *
@@ -40,8 +57,15 @@ const { debug, info, warn, error } = debugNs("init");
  * We keep this hook minimal: no DOM operations, no actor mutations here.
  */
 Hooks.once("init", () => {
+  registerModuleApi();
   registerSettings();
 
+  /**
+   * Settings are announced on a module hook (register-settings.js cannot import feature code).
+   * Home-rule changes re-render open actor sheets, roll dialogs and the visible chat log.
+   */
+  registerSettingsRefreshHook();
+
   /**
    * Preserve item images (icons) when creating/updating Items, including embedded Items on Actors.
    *
@@ -51,6 +75,17 @@ Hooks.once("init", () => {
    */
   registerPreserveItemImagesHooks();
 
+  /**
+   * Fate rules are world settings: when they change, re-normalize stored Fate data
+   * (dice pool `roll`, clamps) for every Fate actor. Only the active GM writes.
+   */
+  registerFateRulesChangeHook();
+
+  /**
+   * GM tools: refresh/regain temporary Fate (Token controls button, optional session-start prompt).
+   */
+  registerFateRefreshTools();
+
   /**
    * Dice So Nice integration:
    * Register Fate colorset (emerald/gold) when DSN is ready.
@@ -67,7 +102,7 @@ Hooks.once("init", () => {
   /**
    * Roll dialog integration:
    * - inject "Use Fate" checkbox into upstream roll dialogs
-   * - patch roll dialog prototypes (no system file changes)
+   * - patch roll dialog prototypes (no system file changes); they also spend temporary Fate
    * - patch DiceRollContainer so Fate dice can be applied on assignment
    */
   registerUseFateCheckboxInjection();
@@ -80,21 +115,39 @@ Hooks.once("init", () => {
    * Roll context capture:
    * - Patch upstream roll dialogs to cache per-roll flags (speciality / willpower / origin / difficulty).
    * - Patch BonusHelper to capture attribute_auto_buff auto-successes inside DiceRoller.
-   * - Attach captured context to the next ChatMessage via preCreateChatMessage.
+   * - Patch DiceRollContainer to remember the last container, so dialog-less rolls (auto-damage,
+   *   initiative, ...) still get a context; core initiative messages get a minimal one.
+   * - Patch core Roll evaluation to stamp the dialog's rollTraceId into Roll options.
+   * - Log which roll entry points are covered (also available via api.rollContext.getCoverage()).
+   * - Attach captured context to roll ChatMessages via preCreateChatMessage, matched by rollTraceId.
    *
    * This enables chat-only rules (evil botches) to use reliable structured data
    * rather than parsing localized chat output.
    */
   registerBonusHelperAutoSuccessCapture().catch((err) => error("Failed to patch BonusHelper for auto-success capture", err));
-  registerRollDialogRollContextPatches().catch((err) => error("Failed to patch roll dialogs for roll context", err));
+  const rollContextPatches = [
+    registerRollDialogRollContextPatches().catch((err) => error("Failed to patch roll dialogs for roll context", err)),
+    registerDiceContainerRollContextCapture().catch((err) =>
+      error("Failed to patch DiceRollContainer for roll context", err)
+    ),
+  ];
+  Promise.allSettled(rollContextPatches).then(() => logRollContextCoverage());
+  registerRollTraceIdStamping();
   registerRollContextChatAttachmentHook();
 
   /**
    * Tag dice types (base/special/fate) for Fate-enabled rolls in ChatMessage.flags.
+   * The structured Fate result (per roll area) is computed here once and stored in flags too.
    * This does NOT affect roll success calculation. It is metadata for later features.
    */
   registerFateDiceTypeTaggingHook();
 
+  /**
+   * Evil Botches: compute the verdict once on message creation and store it in ChatMessage.flags,
+   * so every client/reload renders the same result. Needs the roll context attached above.
+   */
+  registerEvilBotchesPersistHook();
+
   /**
    * Chat rendering integration:
    * Replace Fate dice visuals in the system roll template using cached diceTypes metadata.
@@ -103,17 +156,63 @@ Hooks.once("init", () => {
 
   /**
    * Chat rendering integration:
-   * Insert Fate-specific outcome line (10s vs 1s delta) under the base system success line.
+   * Insert Fate-specific outcome line (active rule from the Fate outcome rule registry)
+   * under the base system success line.
    */
   registerInsertFateResultInChatHook();
 
+  /**
+   * Chat rendering integration:
+   * Fate spend notes get a GM-only "Undo" button that refunds the spent temporary Fate.
+   */
+  registerFateSpendUndoHook();
+
   /**
    * Chat rendering integration:
    * Evil Botches: if ones > rawSuccessDice (before subtracting ones), show "Botch: X".
    * This only applies when the system setting "subtract ones" is enabled (CONFIG.worldofdarkness.handleOnes).
+   * Renders the stored verdict; messages without one are evaluated on render (legacy).
    */
   registerEvilBotchesChatHook();
 
+  /**
+   * Actor sheet header: "Roll history" window listing past rolls of the actor
+   * (roll context + stored Evil Botches / Fate results), filterable by origin and date.
+   */
+  registerRollHistoryHeaderButton();
+
+  /**
+   * Rule overrides (GM): Fate / Evil Botches per scene (Scene configuration) and per actor
+   * (sheet header). Resolved world -> scene -> actor by shouldEnableFate / isEvilBotchesEnabled.
+   */
+  registerRuleOverrideControls();
+
+  /**
+   * GM dice statistics window (Token controls): d10 distributions per user / actor, botch rates,
+   * Fate dice outcomes and average successes by difficulty, with JSON/CSV export.
+   */
+  registerDiceStatsTools();
+
+  /**
+   * Vampire Blood Pool: automatic hunger check when blood drops to or below the hunger
+   * threshold (chat warning or upstream frenzy check, see the bloodHungerCheck setting).
+   * The sheet "Wake" / "Check hunger" buttons are injected with the Blood Pool extras.
+   */
+  registerBloodHungerHook();
+
+  /**
+   * Vampire Blood Pool: blood spent per combat round, checked against the per-turn limit
+   * (warn or refuse, see the bloodPerTurnLimit setting); reset on round change.
+   */
+  registerBloodSpendTracker();
+
+  /**
+   * Vampire feeding: the sheet "Feed" button opens the upstream General Roll dialog
+   * (Perception + Streetwise, hunting ground difficulty); this hook adds the successes
+   * of that roll to the Blood Pool.
+   */
+  registerFeedingHook();
+
   debug("Init complete");
 });
 
@@ -137,28 +236,30 @@ Hooks.once("ready", () => {
 
 /**
  * renderActorSheet:
- * We inject Fate UI only when:
- * - the feature is enabled in module settings
- * - the sheet is a Vampire sheet (our supported target)
+ * - Vampire sheets get Blood Pool extras (always on), including the Wake / Check hunger buttons.
+ * - Sheets selected in the Fate target settings (actor types / templates) get the
+ *   Fate scale when the feature is enabled in module settings.
  *
- * Workflow:
+ * Fate workflow:
  * - Ensure data exists (idempotent)
  * - Render Fate scale UI
  * - Bind click handlers for updating data and opening roll dialog
  */
 Hooks.on("renderActorSheet", async (app, html) => {
   try {
-    // Our module currently targets Vampire sheets only.
-    if (isVampireSheet(app) !== true) return;
+    if (isVampireSheet(app) === true) {
+      // Home-rules UI: inject derived Blood Pool information (always on for Vampires).
+      injectBloodpoolExtras(app, html);
 
-    // Home-rules UI: inject derived Blood Pool information (always on for Vampires).
-    injectBloodpoolExtras(app, html);
+      // Home-rules UI: force Blood Pool squares to wrap strictly by 10 per row.
+      enforceBloodpoolMaxPerRow(app, html, { maxPerRow: 10 });
+    }
 
-    // Home-rules UI: force Blood Pool squares to wrap strictly by 10 per row.
-    enforceBloodpoolMaxPerRow(app, html, { maxPerRow: 10 });
+    // Fate targets are configurable (world settings), not limited to Vampires.
+    if (isFateSheet(app) !== true) return;
 
-    // Fate UI is optional and controlled by the module setting.
-    if (shouldEnableFate() !== true) return;
+    // Fate UI is optional and controlled by the module setting (and the actor's rule override).
+    if (shouldEnableFate({ actor: app.actor }) !== true) return;
 
     ensureFateData(app.actor);
 
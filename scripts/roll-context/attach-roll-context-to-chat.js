@@ -1,18 +1,38 @@
 import { debugNs } from "../logger/ns.js";
 import { MODULE_ID } from "../constants/module-id.js";
 import { consumePendingRollContext } from "./store.js";
+import { consumeRollContainerContext } from "./patch-dice-container-roll-context.js";
+import { createRollTraceId } from "./trace-id.js";
+import { getMessageRollTraceIds } from "./get-message-roll-trace-ids.js";
+import { recordRollContextEntryPoint } from "./coverage.js";
 
 const { debug, info, error } = debugNs("rollctx:chat");
 
 /**
- * Attach our one-shot roll context to the next created ChatMessage.
+ * Attach the captured roll context to roll ChatMessages.
  *
  * We use preCreateChatMessage so we can mutate the message data before it is persisted.
  *
+ * Context sources (first match wins):
+ * 1) pending dialog context (patched roll dialogs; most complete), matched by the rollTraceId
+ *    stamped into the message rolls, else the oldest unattached one (see store.js),
+ * 2) the last DiceRollContainer of this user (dialog-less system rolls: auto-damage, initiative, ...),
+ * 3) core initiative messages (`flags.core.initiativeRoll`), for initiative rolled outside DiceRoller.
+ *
+ * Messages without rolls (chat notes, Fate spend cards, ...) never take a context, so they
+ * cannot steal it from the roll message that follows.
+ *
  * Diagnostics:
  * - Logs both "attach" and "skip" paths with all values we can observe.
  */
 export function registerRollContextChatAttachmentHook() {
+  recordRollContextEntryPoint({
+    entryPoint: "ChatMessage flags.core.initiativeRoll",
+    origins: ["initiative"],
+    source: "initiative",
+    covered: true,
+  });
+
   Hooks.on("preCreateChatMessage", (doc, data, _options, userId) => {
     try {
       // Only attach for the user who created the message.
@@ -22,7 +42,15 @@ export function registerRollContextChatAttachmentHook() {
         return;
       }
 
-      const ctx = consumePendingRollContext(uid);
+      const { hasRolls, rollTraceIds } = getMessageRollTraceIds(doc, data);
+      if (!hasRolls) {
+        debug("preCreateChatMessage: skipped (no rolls)", { userId: uid, messageId: doc?.id ?? null });
+        return;
+      }
+
+      const pending = consumePendingRollContext(uid, { rollTraceIds });
+      const fromContainer = consumeRollContainerContext(uid, { use: !pending });
+      const ctx = pending ?? fromContainer ?? buildInitiativeContext(data, uid);
 
       if (!ctx) {
         debug("preCreateChatMessage: no pending roll context to attach", {
@@ -71,6 +99,7 @@ export function registerRollContextChatAttachmentHook() {
         persistedVia: "doc.updateSource",
         // Flatten the most important values so they show up in the console.
         rollTraceId: ctx.rollTraceId ?? null,
+        captureSource: ctx.captureSource ?? null,
         actorId: ctx.actorId ?? null,
         origin: ctx.origin ?? null,
         attribute: ctx.attribute ?? null,
@@ -90,3 +119,26 @@ export function registerRollContextChatAttachmentHook() {
   // Best-effort log for visibility.
   info("Roll context chat attachment hook registered");
 }
+
+/**
+ * Minimal context for core initiative messages (no dialog, no DiceRollContainer).
+ *
+ * @param {object} data preCreateChatMessage data
+ * @param {string} userId
+ * @returns {object|null}
+ */
+function buildInitiativeContext(data, userId) {
+  if (data?.flags?.core?.initiativeRoll !== true) return null;
+
+  return {
+    rollTraceId: createRollTraceId(userId),
+    createdAtMs: Date.now(),
+    captureSource: "initiative",
+    actorId: data?.speaker?.actor ?? null,
+    origin: "initiative",
+    attribute: null,
+    difficulty: null,
+    isSpecialized: false,
+    useWillpower: false,
+  };
+}
@@ -0,0 +1,59 @@
+import { debugNs } from "../logger/ns.js";
+
+const { info } = debugNs("rollctx:coverage");
+
+/**
+ * Roll context coverage diagnostics (client-side, in-memory).
+ *
+ * Every roll context capture point records itself here when it is installed (or fails to
+ * install), so a GM can check which roll origins carry a rollContext in this world:
+ *
+ *   game.modules.get("rusbar-homerules-for-wod-v20-system").api.rollContext.getCoverage()
+ */
+
+const GLOBAL_KEY = "__rusbarWodV20Homerules_rollContextCoverage__";
+
+/**
+ * @returns {{ entries: Record<string, object> }}
+ */
+function getGlobalStore() {
+  const g = globalThis;
+  if (!g[GLOBAL_KEY]) g[GLOBAL_KEY] = { entries: {} };
+  return g[GLOBAL_KEY];
+}
+
+/**
+ * Record the state of one capture point.
+ *
+ * @param {{ entryPoint: string, origins: string[], source: string, covered: boolean, reason?: string }} entry
+ *   - entryPoint: upstream function/hook, e.g. "DialogGeneralRoll._generalRoll"
+ *   - origins: roll origins produced by this entry point ("*" = any origin)
+ *   - source: capture mechanism ("dialog" | "container" | "initiative")
+ */
+export function recordRollContextEntryPoint({ entryPoint, origins, source, covered, reason = null }) {
+  getGlobalStore().entries[entryPoint] = {
+    entryPoint,
+    origins: Array.isArray(origins) ? [...origins] : [],
+    source,
+    covered: covered === true,
+    reason,
+  };
+}
+
+/**
+ * @returns {Array<{ entryPoint: string, origins: string[], source: string, covered: boolean, reason: string|null }>}
+ */
+export function getRollContextCoverage() {
+  return Object.values(getGlobalStore().entries).map((e) => ({ ...e, origins: [...e.origins] }));
+}
+
+/**
+ * Log a one-line-per-entry coverage summary (always on; called once after patches are installed).
+ */
+export function logRollContextCoverage() {
+  const entries = getRollContextCoverage();
+  info("Roll context coverage", {
+    covered: entries.filter((e) => e.covered).map((e) => `${e.entryPoint} [${e.origins.join("|")}]`),
+    missing: entries.filter((e) => !e.covered).map((e) => `${e.entryPoint} (${e.reason ?? "unknown"})`),
+  });
+}
@@ -0,0 +1,39 @@
+import { ROLL_TRACE_OPTION } from "./trace-id.js";
+
+/**
+ * Read the rollTraceIds stamped into the rolls of a ChatMessage being created.
+ *
+ * In preCreateChatMessage, `data.rolls` holds serialized rolls (plain objects or JSON
+ * strings) while `doc.rolls` holds Roll instances; both are checked.
+ *
+ * @param {ChatMessage|null} doc
+ * @param {object|null} data preCreateChatMessage data
+ * @returns {{ hasRolls: boolean, rollTraceIds: string[] }}
+ */
+export function getMessageRollTraceIds(doc, data) {
+  const rolls = [
+    ...(Array.isArray(data?.rolls) ? data.rolls : []),
+    ...(Array.isArray(doc?.rolls) ? doc.rolls : []),
+  ];
+
+  const rollTraceIds = [];
+  for (const raw of rolls) {
+    const roll = typeof raw === "string" ? parseRollJson(raw) : raw;
+    const id = roll?.options?.[ROLL_TRACE_OPTION];
+    if (typeof id === "string" && id && !rollTraceIds.includes(id)) rollTraceIds.push(id);
+  }
+
+  return { hasRolls: rolls.length > 0, rollTraceIds };
+}
+
+/**
+ * @param {string} json
+ * @returns {object|null}
+ */
+function parseRollJson(json) {
+  try {
+    return JSON.parse(json);
+  } catch (_err) {
+    return null;
+  }
+}
@@ -0,0 +1,20 @@
+import { MODULE_ID } from "../constants/module-id.js";
+
+/**
+ * Read the structured roll context attached to a ChatMessage.
+ *
+ * The context is written by `attach-roll-context-to-chat.js` during preCreateChatMessage
+ * and lives in `flags[MODULE_ID].rollContext`.
+ *
+ * @param {ChatMessage} message
+ * @returns {object|null} A copy of the stored roll context, or null when the message carries none.
+ */
+export function getRollContextFromMessage(message) {
+  try {
+    const ctx = message?.flags?.[MODULE_ID]?.rollContext ?? null;
+    if (!ctx || typeof ctx !== "object") return null;
+    return foundry.utils.deepClone(ctx);
+  } catch (_err) {
+    return null;
+  }
+}
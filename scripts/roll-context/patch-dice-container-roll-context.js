@@ -0,0 +1,139 @@
+import { debugNs } from "../logger/ns.js";
+import { SYSTEM_IDS } from "../constants/system-ids.js";
+import { createRollTraceId } from "./trace-id.js";
+import { recordRollContextEntryPoint } from "./coverage.js";
+
+const { debug, info, warn, error } = debugNs("rollctx:patch:container");
+
+const ENTRY_POINT = "DiceRollContainer.origin";
+
+/**
+ * Last DiceRollContainer that received an origin, per user (lazy reference).
+ * The container is only read when the next chat message is created, so values set
+ * after `origin` (difficulty, willpower, ...) are already final by then.
+ */
+const GLOBAL_KEY = "__rusbarWodV20Homerules_lastRollContainer__";
+
+function getGlobalStore() {
+  const g = globalThis;
+  if (!g[GLOBAL_KEY]) g[GLOBAL_KEY] = { byUserId: {} };
+  return g[GLOBAL_KEY];
+}
+
+/**
+ * Patch upstream DiceRollContainer so every roll remembers its container.
+ *
+ * Why:
+ * - Dialog patches (`patch-roll-dialogs-roll-context.js`) only cover rolls started from a dialog.
+ * - System paths that roll without a dialog (auto-damage, initiative, macros calling DiceRoller)
+ *   still build a DiceRollContainer and set its `origin` before calling DiceRoller.
+ * - The chat attachment hook falls back to this container when no dialog context is pending.
+ *
+ * Same accessor technique as the Fate `numDices` patch; the constructor assigns `origin = ""`,
+ * so only non-empty origins are recorded.
+ */
+export async function registerDiceContainerRollContextCapture() {
+  try {
+    const mod = await import(SYSTEM_IDS.ROLL_DICE_MODULE_PATH);
+    const DiceRollContainer = mod?.DiceRollContainer;
+
+    if (!DiceRollContainer?.prototype) {
+      warn("Upstream DiceRollContainer not found; dialog-less rolls will carry no roll context", {
+        path: SYSTEM_IDS.ROLL_DICE_MODULE_PATH,
+      });
+      recordRollContextEntryPoint({
+        entryPoint: ENTRY_POINT,
+        origins: ["*"],
+        source: "container",
+        covered: false,
+        reason: "class-not-found",
+      });
+      return;
+    }
+
+    const proto = DiceRollContainer.prototype;
+    const marker = "__rusbarRollContextOriginPatched__";
+
+    if (proto[marker] === true) {
+      debug("DiceRollContainer origin already patched; skipping");
+      return;
+    }
+
+    const storageKey = "__rusbarOriginValue__";
+
+    Object.defineProperty(proto, "origin", {
+      configurable: true,
+      enumerable: true,
+      get() {
+        return this[storageKey];
+      },
+      set(value) {
+        this[storageKey] = value;
+
+        try {
+          if (typeof value !== "string" || value.trim().length === 0) return;
+
+          const userId = game?.user?.id;
+          if (!userId) return;
+
+          getGlobalStore().byUserId[userId] = { container: this, atMs: Date.now() };
+        } catch (_err) {
+          // Never block upstream behavior.
+        }
+      },
+    });
+
+    proto[marker] = true;
+    recordRollContextEntryPoint({ entryPoint: ENTRY_POINT, origins: ["*"], source: "container", covered: true });
+    info("Patched DiceRollContainer.origin accessor for roll context capture");
+  } catch (err) {
+    recordRollContextEntryPoint({
+      entryPoint: ENTRY_POINT,
+      origins: ["*"],
+      source: "container",
+      covered: false,
+      reason: "patch-failed",
+    });
+    error("Failed to register DiceRollContainer roll context capture", err);
+  }
+}
+
+/**
+ * Consume the user's last container and build a roll context from it.
+ *
+ * Always clears the stored container (also when a dialog context won), so a container is
+ * never attached to a later, unrelated message.
+ *
+ * @param {string} userId
+ * @param {{ use?: boolean, maxAgeMs?: number }} [options] `use: false` only clears.
+ * @returns {object|null}
+ */
+export function consumeRollContainerContext(userId, { use = true, maxAgeMs = 4000 } = {}) {
+  const store = getGlobalStore();
+  const entry = store.byUserId[userId];
+  delete store.byUserId[userId];
+
+  if (!entry || use !== true) return null;
+
+  const ageMs = Date.now() - entry.atMs;
+  if (ageMs > maxAgeMs) {
+    debug("Last roll container is stale; dropping", { userId, ageMs, maxAgeMs });
+    return null;
+  }
+
+  const c = entry.container;
+  const difficulty = Number.parseInt(c?.difficulty, 10);
+
+  return {
+    rollTraceId: createRollTraceId(userId),
+    createdAtMs: entry.atMs,
+    captureSource: "container",
+    actorId: c?.actor?.id ?? c?.actor?._id ?? null,
+    origin: c?.origin ?? null,
+    attribute: c?.attribute ?? null,
+    ability: c?.ability ?? null,
+    difficulty: Number.isFinite(difficulty) ? difficulty : null,
+    isSpecialized: c?.speciality === true,
+    useWillpower: c?.usewillpower === true || c?.useWillpower === true,
+  };
+}
@@ -1,7 +1,9 @@
 import { debugNs } from "../logger/ns.js";
 import { SYSTEM_IDS } from "../constants/system-ids.js";
-import { setPendingRollContext } from "./store.js";
+import { FEEDING } from "../constants/feeding.js";
+import { setPendingRollContext, beginRollTrace, endRollTrace } from "./store.js";
 import { createRollTraceId } from "./trace-id.js";
+import { recordRollContextEntryPoint } from "./coverage.js";
 
 const { debug, info, warn, error } = debugNs("rollctx:patch:dialogs");
 
@@ -11,7 +13,9 @@ const { debug, info, warn, error } = debugNs("rollctx:patch:dialogs");
  * Goal:
  * - Capture per-roll parameters (specialization / willpower / origin / difficulty)
  *   before the dialog triggers DiceRoller.
- * - Store those parameters as a one-shot pending roll context for the current user.
+ * - Queue those parameters as a pending roll context for the current user and keep its
+ *   roll flow active while the upstream method runs, so Rolls evaluated inside it carry
+ *   the rollTraceId (see patch-roll-trace-id.js).
  *
  * Diagnostics:
  * - This file is the earliest point in the roll pipeline we control.
@@ -25,7 +29,9 @@ const { debug, info, warn, error } = debugNs("rollctx:patch:dialogs");
 export async function registerRollDialogRollContextPatches() {
   try {
     await patchDialog(SYSTEM_IDS.DIALOG_GENERAL_ROLL_MODULE_PATH, "DialogGeneralRoll", "_generalRoll", {
-      origin: "general",
+      // Feeding rolls reuse the General Roll dialog; the roll object carries a marker.
+      originSelector: (dialog) => (dialog?.object?.[FEEDING.ROLL_MARKER] ? FEEDING.ORIGIN : "general"),
+      origins: ["general", FEEDING.ORIGIN],
       attributeSelector: (dialog) => dialog?.object?.attributeKey,
       difficultySelector: (dialog) => dialog?.object?.difficulty,
       specializedSelector: (dialog) => dialog?.object?.useSpeciality,
@@ -43,6 +49,7 @@ export async function registerRollDialogRollContextPatches() {
     await patchDialog(SYSTEM_IDS.DIALOG_WEAPON_MODULE_PATH, "DialogWeapon", "_rollAttack", {
       // The dialog itself decides between "attack" and "damage" based on weaponType.
       originSelector: (dialog) => (dialog?.object?.weaponType === "Damage" ? "damage" : "attack"),
+      origins: ["attack", "damage"],
       attributeSelector: (dialog) => dialog?.object?.dice1,
       difficultySelector: (dialog) => dialog?.object?.difficulty,
       specializedSelector: (dialog) => dialog?.object?.useSpeciality,
@@ -107,28 +114,41 @@ export async function registerRollDialogRollContextPatches() {
 async function patchDialog(modulePath, className, rollMethodName, selectors) {
   const marker = `__wodV20RbRollContextPatched__${rollMethodName}`;
 
+  // Coverage diagnostics (see coverage.js).
+  const entryPoint = `${className}.${rollMethodName}`;
+  const origins = selectors?.origins ?? [selectors?.origin ?? "?"];
+  const recordCoverage = (covered, reason = null) =>
+    recordRollContextEntryPoint({ entryPoint, origins, source: "dialog", covered, reason });
+
   try {
     const mod = await import(modulePath);
     const DialogClass = mod?.[className];
 
     if (!DialogClass?.prototype) {
       warn("Dialog class not found; skipping patch", { modulePath, className, rollMethodName });
+      recordCoverage(false, "class-not-found");
       return;
     }
 
     const proto = DialogClass.prototype;
     if (proto[marker]) {
       debug("Dialog roll method already patched; skipping", { className, rollMethodName });
+      recordCoverage(true);
       return;
     }
 
     const original = proto[rollMethodName];
     if (typeof original !== "function") {
       warn("Dialog roll method not found; skipping patch", { className, rollMethodName });
+      recordCoverage(false, "method-not-found");
       return;
     }
 
     proto[rollMethodName] = async function (...args) {
+      // Roll flow of this call; stays active while the upstream method runs (see store.js).
+      let traceUserId = null;
+      let traceId = null;
+
       try {
         const userId = game?.user?.id ?? null;
         const actorId = this?.object?.actor?._id ?? this?.object?.actorId ?? this?.actor?.id ?? null;
@@ -159,9 +179,10 @@ async function patchDialog(modulePath, className, rollMethodName, selectors) {
         const elementConnected = elementRoot && typeof elementRoot === "object" ? Boolean(elementRoot.isConnected) : null;
 
         if (userId) {
-          // One-shot context for the next chat message.
+          // Queued context; matched to chat messages by rollTraceId (see store.js).
           setPendingRollContext(userId, {
             rollTraceId,
+            captureSource: "dialog",
             actorId,
             attribute,
             origin,
@@ -169,6 +190,9 @@ async function patchDialog(modulePath, className, rollMethodName, selectors) {
             isSpecialized,
             useWillpower,
           });
+          beginRollTrace(userId, rollTraceId);
+          traceUserId = userId;
+          traceId = rollTraceId;
 
           // Log *all* captured values (flat + raw) for diagnosis.
           debug("Prepared pending roll context", {
@@ -210,12 +234,18 @@ async function patchDialog(modulePath, className, rollMethodName, selectors) {
         warn("Failed to prepare pending roll context; continuing without context", { className, rollMethodName, err });
       }
 
-      return await original.apply(this, args);
+      try {
+        return await original.apply(this, args);
+      } finally {
+        endRollTrace(traceUserId, traceId);
+      }
     };
 
     proto[marker] = true;
+    recordCoverage(true);
     info("Patched dialog roll method for roll context", { className, rollMethodName });
   } catch (err) {
+    recordCoverage(false, "patch-failed");
     warn("Failed to patch dialog roll method; skipping", { modulePath, className, rollName: rollMethodName, err });
   }
 }
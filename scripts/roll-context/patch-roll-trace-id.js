@@ -0,0 +1,74 @@
+import { debugNs } from "../logger/ns.js";
+import { ROLL_TRACE_OPTION } from "./trace-id.js";
+import { getActiveRollTraceId } from "./store.js";
+
+const { debug, info, warn, error } = debugNs("rollctx:patch:roll");
+
+/**
+ * Patch core Roll evaluation so Rolls evaluated during a running roll flow carry its
+ * rollTraceId in `roll.options[ROLL_TRACE_OPTION]`.
+ *
+ * Why:
+ * - Roll options are serialized with the message rolls, so the chat attachment hook can
+ *   match a message to its pending context by id. Two rapid rolls, or a roll delayed by
+ *   Dice So Nice, can no longer swap or lose their contexts.
+ *
+ * Notes:
+ * - Only stamps when a dialog patch marked a roll flow as active for the current user
+ *   (see `beginRollTrace`); all other Rolls are left untouched.
+ * - An id already present in the options is never overwritten (rerolls, copies).
+ * - Does not change roll results; it only adds an option key.
+ */
+export function registerRollTraceIdStamping() {
+  try {
+    const RollClass = foundry?.dice?.Roll ?? globalThis.Roll;
+    const proto = RollClass?.prototype;
+
+    if (!proto) {
+      warn("Core Roll class not found; messages will be matched to roll contexts by arrival order");
+      return;
+    }
+
+    const marker = "__rusbarRollTraceIdPatched__";
+    if (proto[marker] === true) {
+      debug("Roll evaluation already patched for trace ids; skipping");
+      return;
+    }
+
+    for (const methodName of ["evaluate", "evaluateSync"]) {
+      const original = proto[methodName];
+      if (typeof original !== "function") continue;
+
+      proto[methodName] = function (...args) {
+        stampRollTraceId(this);
+        return original.apply(this, args);
+      };
+    }
+
+    proto[marker] = true;
+    info("Patched Roll evaluation to stamp roll trace ids");
+  } catch (err) {
+    error("Failed to patch Roll evaluation for roll trace ids", err);
+  }
+}
+
+/**
+ * @param {Roll} roll
+ */
+function stampRollTraceId(roll) {
+  try {
+    const userId = game?.user?.id;
+    if (!userId) return;
+
+    const rollTraceId = getActiveRollTraceId(userId);
+    if (!rollTraceId) return;
+
+    if (!roll.options || typeof roll.options !== "object") roll.options = {};
+    if (roll.options[ROLL_TRACE_OPTION]) return;
+
+    roll.options[ROLL_TRACE_OPTION] = rollTraceId;
+    debug("Stamped roll trace id", { userId, rollTraceId, formula: roll.formula ?? null });
+  } catch (_err) {
+    // Never block upstream behavior.
+  }
+}
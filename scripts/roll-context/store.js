@@ -13,25 +13,72 @@ const { debug, warn } = debugNs("rollctx:store");
  *   by inspecting dice results.
  *
  * Therefore we:
- * - Set a one-shot "pending" roll context right before a dialog triggers DiceRoller.
- * - Consume that context in preCreateChatMessage and attach it to message flags.
+ * - Queue a "pending" roll context (keyed by rollTraceId) right before a dialog triggers DiceRoller.
+ * - Mark the roll flow as "active" while the dialog roll method runs, so Rolls evaluated inside it
+ *   carry the rollTraceId in their options (see patch-roll-trace-id.js).
+ * - In preCreateChatMessage, match the message to its context by the rollTraceId found in the
+ *   message rolls, and attach that context to message flags.
+ *
+ * Matching rules:
+ * - By trace id: the context is NOT removed on match, so every message of a multi-message roll
+ *   (e.g. one per target) receives the same context. It is dropped shortly after its roll flow ends.
+ * - Fallback (message rolls carry no known trace id): the oldest context that has not been
+ *   attached yet and is younger than FALLBACK_TTL_MS is consumed (one-shot), i.e. the previous
+ *   arrival-order behavior.
+ * - Contexts never matched expire after PENDING_TTL_MS (long enough for Dice So Nice animations),
+ *   but only a trace id match can claim them that late.
  *
  * Diagnostics:
  * - This store is a critical junction where context can be lost (missing / overwritten / stale).
- * - We log *all* values (flat) on set/consume/stale drop.
+ * - We log *all* values (flat) on set/match/consume/stale drop.
  */
 
 const GLOBAL_KEY = "__rusbarWodV20Homerules_rollContextStore__";
 
 /**
- * @returns {{ pendingByUserId: Record<string, any> }}
+ * Unmatched contexts older than this are dropped as stale.
+ */
+export const PENDING_TTL_MS = 60000;
+
+/**
+ * Unmatched contexts older than this are no longer handed out by arrival order.
+ *
+ * Some dialog rolls never create a message (refused Fate spend, cancelled or failed roll);
+ * without this cap their context would attach to an unrelated dialog-less roll (initiative,
+ * auto-damage) long after, with the wrong origin and difficulty.
+ */
+export const FALLBACK_TTL_MS = 4000;
+
+/**
+ * Matched contexts are kept this long after their roll flow ended, for late messages
+ * of the same roll.
+ */
+export const ATTACHED_GRACE_MS = 5000;
+
+/**
+ * Hard cap per user, so a broken flow can never grow the queue without bound.
+ */
+const MAX_PENDING_PER_USER = 16;
+
+/**
+ * @returns {{ pendingByUserId: Record<string, object[]>, activeTracesByUserId: Record<string, string[]> }}
  */
 function getGlobalStore() {
   const g = globalThis;
-  if (!g[GLOBAL_KEY]) g[GLOBAL_KEY] = { pendingByUserId: {} };
+  if (!g[GLOBAL_KEY]) g[GLOBAL_KEY] = { pendingByUserId: {}, activeTracesByUserId: {} };
   return g[GLOBAL_KEY];
 }
 
+/**
+ * @param {string} userId
+ * @returns {object[]} The live queue (oldest first).
+ */
+function getQueue(userId) {
+  const store = getGlobalStore();
+  if (!Array.isArray(store.pendingByUserId[userId])) store.pendingByUserId[userId] = [];
+  return store.pendingByUserId[userId];
+}
+
 /**
  * Flatten a context into a log-friendly object.
  * @param {any} ctx
@@ -40,6 +87,7 @@ function summarizeCtx(ctx) {
   if (!ctx) return null;
   return {
     rollTraceId: ctx.rollTraceId ?? null,
+    captureSource: ctx.captureSource ?? null,
     createdAtMs: ctx.createdAtMs ?? null,
     actorId: ctx.actorId ?? null,
     origin: ctx.origin ?? null,
@@ -52,38 +100,154 @@ function summarizeCtx(ctx) {
 }
 
 /**
- * Set or replace the pending context for the given user.
+ * Copy of a queue entry without the store bookkeeping fields.
+ * This is what ends up in ChatMessage flags.
+ *
+ * @param {object} entry
+ * @returns {object}
+ */
+function toPublicCtx(entry) {
+  const { attachedCount: _attachedCount, endedAtMs: _endedAtMs, ...ctx } = entry;
+  return { ...ctx };
+}
+
+/**
+ * Drop expired entries from a user's queue.
  *
  * @param {string} userId
- * @param {object} ctx
+ * @param {number} now
  */
-export function setPendingRollContext(userId, ctx) {
-  const store = getGlobalStore();
+function pruneQueue(userId, now) {
+  const queue = getQueue(userId);
+
+  for (let i = queue.length - 1; i >= 0; i--) {
+    const entry = queue[i];
+    const ageMs = now - (entry.createdAtMs || 0);
 
+    if (entry.attachedCount > 0) {
+      const ended = typeof entry.endedAtMs === "number";
+      if ((ended && now - entry.endedAtMs > ATTACHED_GRACE_MS) || ageMs > PENDING_TTL_MS) {
+        queue.splice(i, 1);
+        debug("Released attached roll context", { userId, ageMs, ctx: summarizeCtx(entry) });
+      }
+      continue;
+    }
+
+    if (ageMs > PENDING_TTL_MS) {
+      queue.splice(i, 1);
+      warn("Pending roll context is stale; dropping", {
+        userId,
+        maxAgeMs: PENDING_TTL_MS,
+        now,
+        createdAtMs: entry.createdAtMs ?? null,
+        ageMs,
+        ctx: summarizeCtx(entry),
+      });
+    }
+  }
+}
+
+/**
+ * Queue a pending context for the given user.
+ *
+ * @param {string} userId
+ * @param {object} ctx Must carry a `rollTraceId` to be matchable by id.
+ */
+export function setPendingRollContext(userId, ctx) {
   const createdAtMs = Date.now();
+  pruneQueue(userId, createdAtMs);
+
+  const queue = getQueue(userId);
   const next = {
     ...ctx,
     createdAtMs,
+    attachedCount: 0,
+    endedAtMs: null,
   };
 
-  store.pendingByUserId[userId] = next;
+  queue.push(next);
+
+  while (queue.length > MAX_PENDING_PER_USER) {
+    const dropped = queue.shift();
+    warn("Roll context queue is full; dropping oldest entry", {
+      userId,
+      maxPending: MAX_PENDING_PER_USER,
+      ctx: summarizeCtx(dropped),
+    });
+  }
 
   debug("setPendingRollContext", {
     userId,
     createdAtMs,
+    queueLength: queue.length,
     ctx: summarizeCtx(next),
   });
 }
 
+/**
+ * Mark a roll flow as running for the given user.
+ * Rolls evaluated while it is active get its rollTraceId stamped into their options.
+ *
+ * @param {string} userId
+ * @param {string} rollTraceId
+ */
+export function beginRollTrace(userId, rollTraceId) {
+  if (!userId || !rollTraceId) return;
+  const store = getGlobalStore();
+  if (!Array.isArray(store.activeTracesByUserId[userId])) store.activeTracesByUserId[userId] = [];
+  store.activeTracesByUserId[userId].push(rollTraceId);
+
+  debug("beginRollTrace", { userId, rollTraceId });
+}
+
+/**
+ * Mark a roll flow as finished. Its context stays available for ATTACHED_GRACE_MS
+ * if it was matched, or until PENDING_TTL_MS for a late trace id match otherwise.
+ *
+ * @param {string} userId
+ * @param {string} rollTraceId
+ */
+export function endRollTrace(userId, rollTraceId) {
+  if (!userId || !rollTraceId) return;
+  const store = getGlobalStore();
+
+  const active = store.activeTracesByUserId[userId];
+  if (Array.isArray(active)) {
+    const idx = active.lastIndexOf(rollTraceId);
+    if (idx >= 0) active.splice(idx, 1);
+  }
+
+  const entry = getQueue(userId).find((e) => e.rollTraceId === rollTraceId);
+  if (entry) entry.endedAtMs = Date.now();
+
+  debug("endRollTrace", { userId, rollTraceId, attachedCount: entry?.attachedCount ?? null });
+}
+
+/**
+ * The most recently started roll flow of the user that is still running.
+ *
+ * @param {string} userId
+ * @returns {string|null}
+ */
+export function getActiveRollTraceId(userId) {
+  const active = getGlobalStore().activeTracesByUserId?.[userId];
+  if (!Array.isArray(active) || active.length === 0) return null;
+  return active[active.length - 1];
+}
+
 /**
  * Set auto-successes for the user's current pending context (best-effort).
  *
+ * Target: the context of the active roll flow, or the newest queued context.
+ *
  * @param {string} userId
  * @param {{ actorId?: string, attribute?: string, autoSuccesses?: number }} params
  */
 export function setPendingAutoSuccesses(userId, params) {
-  const store = getGlobalStore();
-  const ctx = store.pendingByUserId?.[userId];
+  const queue = getGlobalStore().pendingByUserId?.[userId] ?? [];
+  const activeTraceId = getActiveRollTraceId(userId);
+  const ctx =
+    (activeTraceId ? queue.find((e) => e.rollTraceId === activeTraceId) : null) ?? queue[queue.length - 1];
 
   if (!ctx) {
     debug("setPendingAutoSuccesses: skipped (no pending ctx)", {
@@ -121,6 +285,7 @@ export function setPendingAutoSuccesses(userId, params) {
   debug("setPendingAutoSuccesses", {
     userId,
     rollTraceId: ctx.rollTraceId ?? null,
+    activeTraceId,
     actorId: params?.actorId ?? null,
     attribute: params?.attribute ?? null,
     rawAutoSuccesses: params?.autoSuccesses ?? null,
@@ -131,47 +296,72 @@ export function setPendingAutoSuccesses(userId, params) {
 }
 
 /**
- * Consume and clear the pending context for the given user.
+ * Read the newest pending context for the given user without consuming it.
+ *
+ * Intended for diagnostics and the public module API: macros may inspect what the
+ * next chat message would receive, but they must never steal it from the chat hook.
  *
  * @param {string} userId
- * @param {number} [maxAgeMs=4000]
- * @returns {object|null}
+ * @returns {object|null} A shallow copy of the pending context, or null.
  */
-export function consumePendingRollContext(userId, maxAgeMs = 4000) {
-  const store = getGlobalStore();
-  const ctx = store.pendingByUserId?.[userId];
-  if (!ctx) {
-    debug("consumePendingRollContext: none", { userId, maxAgeMs });
-    return null;
-  }
+export function peekPendingRollContext(userId) {
+  const queue = getGlobalStore().pendingByUserId?.[userId];
+  if (!Array.isArray(queue) || queue.length === 0) return null;
+  return toPublicCtx(queue[queue.length - 1]);
+}
 
+/**
+ * Take the pending context for a chat message of the given user.
+ *
+ * - If one of `rollTraceIds` (read from the message rolls) is queued, that context is
+ *   returned and kept for further messages of the same roll.
+ * - Otherwise the oldest context not attached to any message yet is consumed, if it was
+ *   queued less than FALLBACK_TTL_MS ago.
+ *
+ * @param {string} userId
+ * @param {{ rollTraceIds?: string[] }} [options]
+ * @returns {object|null}
+ */
+export function consumePendingRollContext(userId, { rollTraceIds = [] } = {}) {
   const now = Date.now();
-  const createdAt = ctx.createdAtMs || 0;
-  const age = now - createdAt;
+  pruneQueue(userId, now);
+
+  const queue = getQueue(userId);
+  const ids = Array.isArray(rollTraceIds) ? rollTraceIds : [];
 
-  if (age > maxAgeMs) {
-    warn("Pending roll context is stale; dropping", {
+  const matched = ids.length > 0 ? queue.find((e) => e.rollTraceId && ids.includes(e.rollTraceId)) : null;
+  if (matched) {
+    matched.attachedCount += 1;
+
+    debug("consumePendingRollContext: matched by trace id", {
       userId,
-      maxAgeMs,
-      now,
-      createdAtMs: createdAt,
-      ageMs: age,
-      ctx: summarizeCtx(ctx),
+      rollTraceIds: ids,
+      attachedCount: matched.attachedCount,
+      ageMs: now - (matched.createdAtMs || 0),
+      queueLength: queue.length,
+      ctx: summarizeCtx(matched),
     });
-    delete store.pendingByUserId[userId];
+
+    return toPublicCtx(matched);
+  }
+
+  const idx = queue.findIndex((e) => e.attachedCount === 0 && now - (e.createdAtMs || 0) <= FALLBACK_TTL_MS);
+  if (idx < 0) {
+    debug("consumePendingRollContext: none", { userId, rollTraceIds: ids, queueLength: queue.length });
     return null;
   }
 
-  delete store.pendingByUserId[userId];
+  const [ctx] = queue.splice(idx, 1);
 
-  debug("consumePendingRollContext", {
+  debug("consumePendingRollContext: arrival order", {
     userId,
-    maxAgeMs,
+    rollTraceIds: ids,
     now,
-    createdAtMs: createdAt,
-    ageMs: age,
+    createdAtMs: ctx.createdAtMs ?? null,
+    ageMs: now - (ctx.createdAtMs || 0),
+    queueLength: queue.length,
     ctx: summarizeCtx(ctx),
   });
 
-  return ctx;
+  return toPublicCtx(ctx);
 }
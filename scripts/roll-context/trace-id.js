@@ -1,5 +1,12 @@
 import { MODULE_ID } from "../constants/module-id.js";
 
+/**
+ * Roll option key (Roll#options) that carries the rollTraceId of the roll flow which
+ * evaluated the Roll. Persisted with the message rolls, so the chat hook can match a
+ * message to its pending context by id instead of by arrival order.
+ */
+export const ROLL_TRACE_OPTION = "rbRollTraceId";
+
 /**
  * Generate a correlation id for a single roll flow.
  *
@@ -21,3 +28,4 @@ export function createRollTraceId(userId) {
     .padStart(6, "0");
   return `${MODULE_ID}:${uid}:${ts}:${rnd}`;
 }
+
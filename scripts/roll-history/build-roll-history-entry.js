@@ -0,0 +1,44 @@
+import { getRollContextFromMessage } from "../roll-context/get-roll-context-from-message.js";
+import { getEvilBotchesVerdictFromMessage } from "../evil-botches/get-evil-botches-verdict-from-message.js";
+import { getFateResultFromMessage } from "../fate/get-fate-result-from-message.js";
+
+/**
+ * Build one roll history row from a ChatMessage.
+ *
+ * Only structured flags are read (roll context, stored Evil Botches verdict, stored Fate
+ * result); chat HTML is never parsed. Messages without a roll context are not rolls we
+ * know anything about and yield null.
+ *
+ * @param {ChatMessage} message
+ * @returns {object|null}
+ */
+export function buildRollHistoryEntry(message) {
+  const ctx = getRollContextFromMessage(message);
+  if (!ctx) return null;
+
+  const verdict = getEvilBotchesVerdictFromMessage(message);
+  const fate = getFateResultFromMessage(message);
+
+  const difficulty = Number.parseInt(ctx.difficulty, 10);
+  const autoSuccesses = Number.parseInt(ctx.autoSuccesses ?? 0, 10);
+
+  return {
+    messageId: message?.id ?? message?._id ?? null,
+    timestamp: Number(message?.timestamp ?? ctx.createdAtMs ?? 0) || 0,
+    actorId: ctx.actorId ?? message?.speaker?.actor ?? null,
+    rollTraceId: ctx.rollTraceId ?? null,
+    captureSource: ctx.captureSource ?? null,
+    origin: ctx.origin ?? null,
+    attribute: ctx.attribute ?? null,
+    ability: ctx.ability ?? null,
+    difficulty: Number.isFinite(difficulty) ? difficulty : null,
+    isSpecialized: ctx.isSpecialized === true,
+    useWillpower: ctx.useWillpower === true,
+    autoSuccesses: Number.isFinite(autoSuccesses) && autoSuccesses > 0 ? autoSuccesses : 0,
+    evilBotches:
+      verdict?.applied === true
+        ? { outcome: verdict.calc?.outcome ?? null, rule: verdict.calc?.rule ?? null }
+        : null,
+    fate: fate ? { rule: fate.rule ?? null, areas: fate.areas.filter(Boolean).map(({ kind, value }) => ({ kind, value })) } : null,
+  };
+}
@@ -0,0 +1,35 @@
+import { buildRollHistoryEntry } from "./build-roll-history-entry.js";
+
+/**
+ * Collect the roll history of one actor from chat messages, newest first.
+ *
+ * Filters (all optional):
+ * - `origin`: exact roll origin ("general", "soak", "initiative", ...); empty = all.
+ * - `fromMs` / `toMs`: inclusive message timestamp range.
+ *
+ * Messages the current user cannot see (`visible === false`, e.g. foreign whispers) are skipped.
+ *
+ * @param {Iterable<ChatMessage>} messages Usually `game.messages`.
+ * @param {string} actorId
+ * @param {{ origin?: string|null, fromMs?: number|null, toMs?: number|null }} [filters]
+ * @returns {object[]} Rows built by buildRollHistoryEntry.
+ */
+export function collectActorRollHistory(messages, actorId, { origin = null, fromMs = null, toMs = null } = {}) {
+  const entries = [];
+  if (!actorId || !messages) return entries;
+
+  for (const message of messages) {
+    if (message?.visible === false) continue;
+
+    const entry = buildRollHistoryEntry(message);
+    if (!entry || entry.actorId !== actorId) continue;
+
+    if (origin && entry.origin !== origin) continue;
+    if (Number.isFinite(fromMs) && entry.timestamp < fromMs) continue;
+    if (Number.isFinite(toMs) && entry.timestamp > toMs) continue;
+
+    entries.push(entry);
+  }
+
+  return entries.sort((a, b) => b.timestamp - a.timestamp);
+}
@@ -0,0 +1,28 @@
+import { debugNs } from "../logger/ns.js";
+import { RollHistoryApp } from "./roll-history-app.js";
+
+const { debug, error } = debugNs("roll-history");
+
+/**
+ * Open (or bring to front) the roll history window of an actor.
+ *
+ * @param {Actor} actor
+ * @returns {Promise<RollHistoryApp|null>}
+ */
+export async function openRollHistory(actor) {
+  if (!actor?.id) return null;
+
+  try {
+    const existing = foundry.applications.instances.get(RollHistoryApp.idFor(actor));
+    const app = existing ?? new RollHistoryApp(actor);
+
+    debug("Opening roll history", { actorId: actor.id, reused: Boolean(existing) });
+    await app.render({ force: true });
+    if (existing) existing.bringToFront();
+
+    return app;
+  } catch (err) {
+    error("Failed to open roll history", { actorId: actor?.id, err });
+    return null;
+  }
+}
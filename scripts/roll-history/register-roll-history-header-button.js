@@ -0,0 +1,30 @@
+import { debugNs } from "../logger/ns.js";
+import { openRollHistory } from "./open-roll-history.js";
+
+const { info, error } = debugNs("roll-history:header");
+
+/**
+ * Add a "Roll history" button to actor sheet headers.
+ *
+ * The system sheets are Application V1 sheets, so we use the V1 header buttons hook
+ * (fired for every class in the sheet's inheritance chain, ActorSheet included).
+ */
+export function registerRollHistoryHeaderButton() {
+  Hooks.on("getActorSheetHeaderButtons", (app, buttons) => {
+    try {
+      if (!app?.actor || !Array.isArray(buttons)) return;
+      if (buttons.some((b) => b?.class === "rb-roll-history")) return;
+
+      buttons.unshift({
+        label: "rusbar.homerules.rollHistory.button",
+        class: "rb-roll-history",
+        icon: "fa-solid fa-clock-rotate-left",
+        onclick: () => openRollHistory(app.actor),
+      });
+    } catch (err) {
+      error("Failed to add roll history header button", err);
+    }
+  });
+
+  info("Registered roll history header button");
+}
@@ -0,0 +1,152 @@
+import { MODULE_ID } from "../constants/module-id.js";
+import { collectActorRollHistory } from "./collect-actor-roll-history.js";
+import { formatOutcomeText } from "../evil-botches/outcome/format-outcome-text.js";
+import { formatFateResultText } from "../fate/format-fate-result-text.js";
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * Per-actor roll history window.
+ *
+ * Rows come from chat messages that carry our roll context flags (see
+ * collect-actor-roll-history.js), so only rolls made with this module active are listed.
+ * Filters (origin, date range) are kept on the instance and applied on every render.
+ */
+export class RollHistoryApp extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    classes: ["rusbar-roll-history"],
+    window: {
+      icon: "fa-solid fa-clock-rotate-left",
+      resizable: true,
+    },
+    position: { width: 820, height: 560 },
+    actions: {
+      refresh: RollHistoryApp.#onRefresh,
+      showMessage: RollHistoryApp.#onShowMessage,
+    },
+  };
+
+  static PARTS = {
+    history: { template: `modules/${MODULE_ID}/templates/roll-history/roll-history.hbs` },
+  };
+
+  /**
+   * Window id for an actor; one history window per actor.
+   *
+   * @param {Actor} actor
+   * @returns {string}
+   */
+  static idFor(actor) {
+    return `rusbar-roll-history-${actor.id}`;
+  }
+
+  /** @type {{ origin: string, from: string, to: string }} */
+  #filters = { origin: "", from: "", to: "" };
+
+  /**
+   * @param {Actor} actor
+   * @param {object} [options]
+   */
+  constructor(actor, options = {}) {
+    super({ ...options, id: RollHistoryApp.idFor(actor) });
+    this.actor = actor;
+  }
+
+  /** @override */
+  get title() {
+    return game.i18n.format("rusbar.homerules.rollHistory.title", { actor: this.actor?.name ?? "" });
+  }
+
+  /** @override */
+  async _prepareContext(options) {
+    const context = await super._prepareContext(options);
+
+    const all = collectActorRollHistory(game.messages ?? [], this.actor?.id);
+    const origins = Array.from(new Set(all.map((e) => e.origin).filter(Boolean))).sort();
+
+    const { fromMs, toMs } = RollHistoryApp.#toDateRangeMs(this.#filters.from, this.#filters.to);
+    const entries = collectActorRollHistory(game.messages ?? [], this.actor?.id, {
+      origin: this.#filters.origin || null,
+      fromMs,
+      toMs,
+    });
+
+    return {
+      ...context,
+      filters: this.#filters,
+      originOptions: Object.fromEntries(origins.map((o) => [o, o])),
+      total: all.length,
+      rows: entries.map((entry) => RollHistoryApp.#toRow(entry)),
+    };
+  }
+
+  /** @override */
+  _onRender(context, options) {
+    super._onRender(context, options);
+
+    this.element.querySelectorAll("[data-rb-filter]").forEach((input) => {
+      input.addEventListener("change", (event) => {
+        const key = event.currentTarget.dataset.rbFilter;
+        if (!Object.hasOwn(this.#filters, key)) return;
+        this.#filters[key] = String(event.currentTarget.value ?? "");
+        this.render();
+      });
+    });
+  }
+
+  /**
+   * Display values for one history entry.
+   *
+   * @param {object} entry
+   * @returns {object}
+   */
+  static #toRow(entry) {
+    const fateLines = (entry.fate?.areas ?? []).map((area) => formatFateResultText(area)).filter(Boolean);
+
+    return {
+      ...entry,
+      date: new Date(entry.timestamp).toLocaleString(game.i18n.lang),
+      trait: [entry.attribute, entry.ability].filter(Boolean).join(" + "),
+      evilBotchesText: entry.evilBotches ? formatOutcomeText(entry.evilBotches.outcome) : "",
+      fateText: fateLines.join(", "),
+    };
+  }
+
+  /**
+   * Convert `<input type="date">` values (YYYY-MM-DD, local time) into an inclusive range.
+   *
+   * @param {string} from
+   * @param {string} to
+   * @returns {{ fromMs: number|null, toMs: number|null }}
+   */
+  static #toDateRangeMs(from, to) {
+    const fromMs = from ? new Date(`${from}T00:00:00`).getTime() : NaN;
+    const toMs = to ? new Date(`${to}T23:59:59.999`).getTime() : NaN;
+    return {
+      fromMs: Number.isFinite(fromMs) ? fromMs : null,
+      toMs: Number.isFinite(toMs) ? toMs : null,
+    };
+  }
+
+  /**
+   * Re-read chat messages (new rolls since the window was opened).
+   *
+   * @this {RollHistoryApp}
+   */
+  static #onRefresh() {
+    this.render();
+  }
+
+  /**
+   * Scroll the chat log to the message of a row.
+   *
+   * @this {RollHistoryApp}
+   * @param {PointerEvent} _event
+   * @param {HTMLElement} target
+   */
+  static #onShowMessage(_event, target) {
+    const messageId = target?.closest("[data-message-id]")?.dataset?.messageId;
+    const el = messageId ? document.querySelector(`#chat-log [data-message-id="${messageId}"]`) : null;
+    el?.scrollIntoView({ behavior: "smooth", block: "center" });
+  }
+}
@@ -0,0 +1,62 @@
+import { RULE_OVERRIDES } from "../../constants/rule-overrides.js";
+import { getRuleOverride } from "../get-rule-override.js";
+
+/**
+ * Marker attribute of the injected fieldset (idempotent re-injection).
+ */
+export const RULE_OVERRIDE_FIELDSET_ATTR = "data-rb-rule-overrides";
+
+/**
+ * Build a fieldset with one select per overridable rule.
+ *
+ * Select names are `<namePrefix>.<rule>`, so the same markup works in the actor dialog
+ * (`ruleOverrides.fate`) and inside Scene configuration, where Foundry submits
+ * `flags.<module>.ruleOverrides.fate` straight into the document flags.
+ *
+ * @param {Actor|Scene} doc
+ * @param {{ namePrefix: string, hintKey: string }} options
+ * @returns {HTMLFieldSetElement}
+ */
+export function buildRuleOverrideFieldset(doc, { namePrefix, hintKey }) {
+  const fieldset = document.createElement("fieldset");
+  fieldset.setAttribute(RULE_OVERRIDE_FIELDSET_ATTR, "true");
+
+  const legend = document.createElement("legend");
+  legend.textContent = game.i18n.localize("rusbar.homerules.ruleOverrides.legend");
+  fieldset.appendChild(legend);
+
+  const hint = document.createElement("p");
+  hint.classList.add("hint");
+  hint.textContent = game.i18n.localize(hintKey);
+  fieldset.appendChild(hint);
+
+  for (const rule of RULE_OVERRIDES.RULES) {
+    const current = getRuleOverride(doc, rule);
+
+    const group = document.createElement("div");
+    group.classList.add("form-group");
+
+    const label = document.createElement("label");
+    label.textContent = game.i18n.localize(`rusbar.homerules.ruleOverrides.rule.${rule}`);
+
+    const fields = document.createElement("div");
+    fields.classList.add("form-fields");
+
+    const select = document.createElement("select");
+    select.name = `${namePrefix}.${rule}`;
+
+    for (const value of RULE_OVERRIDES.VALUES) {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = game.i18n.localize(`rusbar.homerules.ruleOverrides.value.${value}`);
+      if (value === current) option.selected = true;
+      select.appendChild(option);
+    }
+
+    fields.appendChild(select);
+    group.append(label, fields);
+    fieldset.appendChild(group);
+  }
+
+  return fieldset;
+}
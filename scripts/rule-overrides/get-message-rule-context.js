@@ -0,0 +1,22 @@
+import { MODULE_ID } from "../constants/module-id.js";
+
+/**
+ * Rule override context for a chat message: the speaking actor and the speaker scene.
+ *
+ * Every client resolves the same context from the message, independent of the scene
+ * it is currently viewing. Token speakers resolve to the token actor, so overrides on
+ * unlinked NPC tokens are honored; the roll context actor is the fallback.
+ *
+ * @param {ChatMessage} message
+ * @returns {{ actor: Actor|null, scene: Scene|null }}
+ */
+export function getMessageRuleContext(message) {
+  const speaker = message?.speaker ?? {};
+  const scene = speaker.scene ? game?.scenes?.get(speaker.scene) ?? null : null;
+
+  const tokenActor = speaker.token ? scene?.tokens?.get(speaker.token)?.actor ?? null : null;
+  const actorId = speaker.actor ?? message?.flags?.[MODULE_ID]?.rollContext?.actorId;
+  const actor = tokenActor ?? (actorId ? game?.actors?.get(actorId) ?? null : null);
+
+  return { actor, scene };
+}
@@ -0,0 +1,13 @@
+/**
+ * Rule override context for a roll started on this client: the rolling actor and
+ * the scene the user is viewing.
+ *
+ * @param {Actor|null} actor
+ * @returns {{ actor: Actor|null, scene: Scene|null }}
+ */
+export function getRollRuleContext(actor) {
+  return {
+    actor: actor ?? null,
+    scene: game?.scenes?.viewed ?? null,
+  };
+}
@@ -0,0 +1,17 @@
+import { MODULE_ID } from "../constants/module-id.js";
+import { RULE_OVERRIDES } from "../constants/rule-overrides.js";
+
+/**
+ * Read a rule override from an Actor or Scene.
+ *
+ * Reads flags directly (no `getFlag`), so it also works on plain data and never
+ * throws for documents of other modules/systems.
+ *
+ * @param {Actor|Scene|null} document
+ * @param {string} rule One of RULE_OVERRIDES.RULES.
+ * @returns {"inherit"|"enabled"|"disabled"}
+ */
+export function getRuleOverride(document, rule) {
+  const value = document?.flags?.[MODULE_ID]?.[RULE_OVERRIDES.FLAG]?.[rule];
+  return RULE_OVERRIDES.VALUES.includes(value) ? value : "inherit";
+}
@@ -0,0 +1,27 @@
+import { getRuleOverride } from "./get-rule-override.js";
+
+/**
+ * Resolve whether a rule applies: world setting, then scene override, then actor override.
+ *
+ * Examples:
+ * - world on,  scene "disabled"                     => off (flashback scene without Fate)
+ * - world on,  actor "disabled"                     => off (NPC without Evil Botches)
+ * - world off, scene "enabled",  actor "inherit"    => on
+ * - world on,  scene "disabled", actor "enabled"    => on (actor is most specific)
+ *
+ * @param {string} rule One of RULE_OVERRIDES.RULES.
+ * @param {boolean} worldEnabled Value of the world setting.
+ * @param {{ actor?: Actor|null, scene?: Scene|null }} [context]
+ * @returns {boolean}
+ */
+export function isRuleEnabled(rule, worldEnabled, { actor = null, scene = null } = {}) {
+  let enabled = worldEnabled === true;
+
+  for (const document of [scene, actor]) {
+    const override = getRuleOverride(document, rule);
+    if (override === "enabled") enabled = true;
+    else if (override === "disabled") enabled = false;
+  }
+
+  return enabled;
+}
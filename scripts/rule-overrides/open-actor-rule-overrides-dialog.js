@@ -0,0 +1,53 @@
+import { MODULE_ID } from "../constants/module-id.js";
+import { RULE_OVERRIDES } from "../constants/rule-overrides.js";
+import { debugNs } from "../logger/ns.js";
+import { buildRuleOverrideFieldset } from "./dom/build-rule-override-fieldset.js";
+
+const { debug, error } = debugNs("rule-overrides:actor");
+
+/**
+ * GM dialog: edit Fate / Evil Botches overrides of one actor.
+ *
+ * Values are written to `flags[MODULE_ID].ruleOverrides`; "inherit" is stored as-is
+ * (same meaning as a missing flag).
+ *
+ * @param {Actor} actor
+ */
+export async function openActorRuleOverridesDialog(actor) {
+  if (game.user?.isGM !== true || !actor) return;
+
+  try {
+    const fieldset = buildRuleOverrideFieldset(actor, {
+      namePrefix: RULE_OVERRIDES.FLAG,
+      hintKey: "rusbar.homerules.ruleOverrides.actorHint",
+    });
+
+    const data = await foundry.applications.api.DialogV2.prompt({
+      window: {
+        title: game.i18n.format("rusbar.homerules.ruleOverrides.title", { name: actor.name }),
+        icon: "fa-solid fa-scale-balanced",
+      },
+      content: fieldset.outerHTML,
+      ok: {
+        label: "rusbar.homerules.ruleOverrides.save",
+        icon: "fa-solid fa-floppy-disk",
+        callback: (_event, button) => new foundry.applications.ux.FormDataExtended(button.form).object,
+      },
+      rejectClose: false,
+    });
+
+    if (!data) return;
+
+    const overrides = foundry.utils.expandObject(data)?.[RULE_OVERRIDES.FLAG] ?? {};
+    const update = {};
+    for (const rule of RULE_OVERRIDES.RULES) {
+      const value = RULE_OVERRIDES.VALUES.includes(overrides[rule]) ? overrides[rule] : "inherit";
+      update[`flags.${MODULE_ID}.${RULE_OVERRIDES.FLAG}.${rule}`] = value;
+    }
+
+    await actor.update(update);
+    debug("Saved actor rule overrides", { actorId: actor.id, update });
+  } catch (err) {
+    error("Failed to edit actor rule overrides", { actorId: actor?.id, err });
+  }
+}
@@ -0,0 +1,60 @@
+import { MODULE_ID } from "../constants/module-id.js";
+import { RULE_OVERRIDES } from "../constants/rule-overrides.js";
+import { debugNs } from "../logger/ns.js";
+import { buildRuleOverrideFieldset, RULE_OVERRIDE_FIELDSET_ATTR } from "./dom/build-rule-override-fieldset.js";
+import { openActorRuleOverridesDialog } from "./open-actor-rule-overrides-dialog.js";
+
+const { debug, info, error } = debugNs("rule-overrides:ui");
+
+/**
+ * Register GM controls for rule overrides:
+ * - actor sheet header button -> overrides dialog (actor flags)
+ * - Scene configuration -> override selects in the Basics tab (scene flags, saved by the form)
+ */
+export function registerRuleOverrideControls() {
+  Hooks.on("getActorSheetHeaderButtons", (app, buttons) => {
+    try {
+      if (game.user?.isGM !== true) return;
+      if (!app?.actor || !Array.isArray(buttons)) return;
+      if (buttons.some((b) => b?.class === "rb-rule-overrides")) return;
+
+      buttons.unshift({
+        label: "rusbar.homerules.ruleOverrides.button",
+        class: "rb-rule-overrides",
+        icon: "fa-solid fa-scale-balanced",
+        onclick: () => openActorRuleOverridesDialog(app.actor),
+      });
+    } catch (err) {
+      error("Failed to add rule overrides header button", err);
+    }
+  });
+
+  /**
+   * Foundry v13 SceneConfig is an Application V2 document sheet: named inputs inside its
+   * form are submitted with the document, so `flags.<module>.ruleOverrides.*` needs no
+   * custom save handler.
+   */
+  Hooks.on("renderSceneConfig", (app, html) => {
+    try {
+      if (game.user?.isGM !== true) return;
+
+      const root = html?.[0] ?? html;
+      if (!(root instanceof HTMLElement)) return;
+
+      root.querySelectorAll(`[${RULE_OVERRIDE_FIELDSET_ATTR}]`).forEach((el) => el.remove());
+
+      const target = root.querySelector('.tab[data-tab="basics"]') ?? root.querySelector("form") ?? root;
+      const fieldset = buildRuleOverrideFieldset(app.document, {
+        namePrefix: `flags.${MODULE_ID}.${RULE_OVERRIDES.FLAG}`,
+        hintKey: "rusbar.homerules.ruleOverrides.sceneHint",
+      });
+      target.appendChild(fieldset);
+
+      debug("Injected rule overrides into Scene configuration", { sceneId: app.document?.id });
+    } catch (err) {
+      error("Failed to inject rule overrides into Scene configuration", err);
+    }
+  });
+
+  info("Registered rule override controls");
+}
@@ -0,0 +1,170 @@
+import { MODULE_ID } from "../constants/module-id.js";
+import { SETTINGS_KEYS } from "../constants/settings.js";
+import { BLOODPOOL_FORMULAS } from "../constants/bloodpool-formulas.js";
+import { getBloodpoolFormulas } from "../vampire/bloodpool/get-bloodpool-formulas.js";
+import {
+  BLOODPOOL_FORMULA_KEYS,
+  compileBloodpoolFormula,
+} from "../vampire/bloodpool/normalize-bloodpool-formulas.js";
+import { evaluateBloodpoolFormula } from "../vampire/bloodpool/evaluate-bloodpool-formula.js";
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+const PREVIEW_ATTR = "data-rb-formula-preview";
+
+/**
+ * Settings form for the Blood Pool formulas world setting.
+ *
+ * - Every formula is validated and evaluated against editable sample values while typing.
+ * - Saving is refused (the form stays open) while any formula does not compile.
+ * - Sample values are preview-only and never saved.
+ *
+ * IMPORTANT:
+ * - This file is imported by register-settings.js, so it MUST NOT import the logger
+ *   (same rule as register-settings.js).
+ */
+export class BloodpoolFormulasConfig extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    id: "rusbar-bloodpool-formulas-config",
+    tag: "form",
+    window: {
+      title: "rusbar.homerules.settings.bloodpoolFormulas.title",
+      contentClasses: ["standard-form"],
+    },
+    position: { width: 520 },
+    form: {
+      handler: BloodpoolFormulasConfig.#onSubmit,
+      closeOnSubmit: true,
+    },
+    actions: {
+      resetDefaults: BloodpoolFormulasConfig.#onResetDefaults,
+    },
+  };
+
+  static PARTS = {
+    form: { template: `modules/${MODULE_ID}/templates/settings/bloodpool-formulas-config.hbs` },
+    footer: { template: "templates/generic/form-footer.hbs" },
+  };
+
+  /** @override */
+  async _prepareContext(options) {
+    const context = await super._prepareContext(options);
+    const formulas = getBloodpoolFormulas();
+
+    return {
+      ...context,
+      formulas: BLOODPOOL_FORMULA_KEYS.map((key) => ({
+        key,
+        value: formulas[key],
+        defaultValue: BLOODPOOL_FORMULAS.DEFAULTS[key],
+        label: `rusbar.homerules.settings.bloodpoolFormulas.${key}.name`,
+        hint: `rusbar.homerules.settings.bloodpoolFormulas.${key}.hint`,
+      })),
+      variables: BLOODPOOL_FORMULAS.VARIABLES.join(", "),
+      samples: BLOODPOOL_FORMULAS.VARIABLES.map((name) => ({
+        name,
+        value: BLOODPOOL_FORMULAS.PREVIEW_SAMPLE[name] ?? 0,
+      })),
+      buttons: [
+        {
+          type: "button",
+          action: "resetDefaults",
+          icon: "fa-solid fa-rotate-left",
+          label: "rusbar.homerules.settings.bloodpoolFormulas.reset",
+        },
+        { type: "submit", icon: "fa-solid fa-floppy-disk", label: "SETTINGS.Save" },
+      ],
+    };
+  }
+
+  /** @override */
+  _onFirstRender(context, options) {
+    super._onFirstRender(context, options);
+    // The form element survives re-renders, so the listener is bound once.
+    this.element.addEventListener("input", () => this.#updatePreview());
+  }
+
+  /** @override */
+  _onRender(context, options) {
+    super._onRender(context, options);
+    this.#updatePreview();
+  }
+
+  /**
+   * Validate every formula and show its result for the sample values (or the error).
+   */
+  #updatePreview() {
+    const form = this.element;
+    const sample = Object.fromEntries(
+      BLOODPOOL_FORMULAS.VARIABLES.map((name) => [name, Number(form.querySelector(`[name="sample.${name}"]`)?.value)])
+    );
+
+    for (const key of BLOODPOOL_FORMULA_KEYS) {
+      const output = form.querySelector(`[${PREVIEW_ATTR}="${key}"]`);
+      if (!output) continue;
+
+      const source = form.querySelector(`[name="${key}"]`)?.value ?? "";
+      const compiled = compileBloodpoolFormula(source);
+
+      output.style.color = compiled.ok ? "" : "var(--color-level-error, #c00)";
+      if (!compiled.ok) {
+        output.textContent = formatFormulaError(compiled.error);
+        continue;
+      }
+
+      const { value, fallback } = evaluateBloodpoolFormula(key, source, sample);
+      output.textContent = game.i18n.format(
+        fallback
+          ? "rusbar.homerules.settings.bloodpoolFormulas.previewFallback"
+          : "rusbar.homerules.settings.bloodpoolFormulas.preview",
+        { value }
+      );
+    }
+  }
+
+  /**
+   * Put the default formulas back into the form (saved only on submit).
+   *
+   * @this {BloodpoolFormulasConfig}
+   */
+  static #onResetDefaults() {
+    for (const key of BLOODPOOL_FORMULA_KEYS) {
+      const input = this.element.querySelector(`[name="${key}"]`);
+      if (input) input.value = BLOODPOOL_FORMULAS.DEFAULTS[key];
+    }
+    this.#updatePreview();
+  }
+
+  /**
+   * Save the formulas; refuse (keep the form open) when one of them does not compile.
+   *
+   * @param {SubmitEvent} _event
+   * @param {HTMLFormElement} _form
+   * @param {FormDataExtended} formData
+   */
+  static async #onSubmit(_event, _form, formData) {
+    const data = foundry.utils.expandObject(formData.object);
+
+    for (const key of BLOODPOOL_FORMULA_KEYS) {
+      const compiled = compileBloodpoolFormula(data[key]);
+      if (!compiled.ok) {
+        const name = game.i18n.localize(`rusbar.homerules.settings.bloodpoolFormulas.${key}.name`);
+        throw new Error(`${name}: ${formatFormulaError(compiled.error)}`);
+      }
+    }
+
+    const formulas = Object.fromEntries(BLOODPOOL_FORMULA_KEYS.map((key) => [key, String(data[key]).trim()]));
+    await game.settings.set(MODULE_ID, SETTINGS_KEYS.BLOODPOOL_FORMULAS, formulas);
+  }
+}
+
+/**
+ * @param {{ code: string, position: number, token: string|null }} error
+ * @returns {string}
+ */
+function formatFormulaError({ code, position, token }) {
+  return game.i18n.format(`rusbar.homerules.settings.bloodpoolFormulas.error.${code}`, {
+    position: position + 1,
+    token: token ?? "",
+  });
+}
@@ -0,0 +1,65 @@
+import { MODULE_ID } from "../constants/module-id.js";
+import { SETTINGS_KEYS } from "../constants/settings.js";
+import { getFateRules } from "../fate/get-fate-rules.js";
+import { normalizeFateRules, FATE_ROLL_SOURCES } from "../fate/normalize-fate-rules.js";
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * Settings form for the Fate rules world setting.
+ *
+ * IMPORTANT:
+ * - This file is imported by register-settings.js, so it MUST NOT import the logger
+ *   (same rule as register-settings.js).
+ * - Values are normalized before saving; the settings onChange handler announces the
+ *   change and the Fate data hook re-runs ensureFateData.
+ */
+export class FateRulesConfig extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    id: "rusbar-fate-rules-config",
+    tag: "form",
+    window: {
+      title: "rusbar.homerules.settings.fateRules.title",
+      contentClasses: ["standard-form"],
+    },
+    position: { width: 480 },
+    form: {
+      handler: FateRulesConfig.#onSubmit,
+      closeOnSubmit: true,
+    },
+  };
+
+  static PARTS = {
+    form: { template: `modules/${MODULE_ID}/templates/settings/fate-rules-config.hbs` },
+    footer: { template: "templates/generic/form-footer.hbs" },
+  };
+
+  /** @override */
+  async _prepareContext(options) {
+    const context = await super._prepareContext(options);
+    const rules = getFateRules();
+
+    const rollSourceOptions = Object.fromEntries(
+      FATE_ROLL_SOURCES.map((source) => [source, `rusbar.homerules.settings.fateRules.rollSource.${source}`])
+    );
+
+    return {
+      ...context,
+      rules,
+      rollSourceOptions,
+      buttons: [{ type: "submit", icon: "fa-solid fa-floppy-disk", label: "SETTINGS.Save" }],
+    };
+  }
+
+  /**
+   * Save normalized rules into the world setting.
+   *
+   * @param {SubmitEvent} _event
+   * @param {HTMLFormElement} _form
+   * @param {FormDataExtended} formData
+   */
+  static async #onSubmit(_event, _form, formData) {
+    const data = foundry.utils.expandObject(formData.object);
+    await game.settings.set(MODULE_ID, SETTINGS_KEYS.FATE_RULES, normalizeFateRules(data));
+  }
+}
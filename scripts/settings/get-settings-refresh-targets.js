@@ -0,0 +1,42 @@
+import { SETTINGS_KEYS } from "../constants/settings.js";
+
+/**
+ * What has to be re-rendered when a setting changes.
+ *
+ * - sheets:  actor sheets (Fate scale, Blood Pool extras and per-round spend counter)
+ * - dialogs: open system roll dialogs ("Use Fate" checkbox, Willpower lock)
+ * - chat:    rendered chat cards (Fate lines, Evil Botches outcome)
+ *
+ * Settings without visible output (regain rules, XP costs, debug, ...) are not listed.
+ */
+const REFRESH_TARGETS_BY_SETTING = Object.freeze({
+  [SETTINGS_KEYS.ENABLE_FATE]: ["sheets", "dialogs", "chat"],
+  [SETTINGS_KEYS.FATE_ACTOR_TYPES]: ["sheets", "dialogs"],
+  [SETTINGS_KEYS.FATE_SHEET_TEMPLATES]: ["sheets", "dialogs"],
+  [SETTINGS_KEYS.FATE_RULES]: ["sheets"],
+  [SETTINGS_KEYS.FATE_SPEND_COST]: ["dialogs"],
+  [SETTINGS_KEYS.FATE_OUTCOME_RULE]: ["chat"],
+  [SETTINGS_KEYS.EVIL_BOTCHES]: ["chat"],
+  [SETTINGS_KEYS.EVIL_BOTCHES_RULE]: ["chat"],
+  [SETTINGS_KEYS.BLOOD_PER_TURN_LIMIT]: ["sheets"],
+  [SETTINGS_KEYS.BLOODPOOL_FORMULAS]: ["sheets"],
+});
+
+/**
+ * Merge the refresh targets of several changed settings.
+ *
+ * Pure: no Foundry globals.
+ *
+ * @param {Iterable<string>} keys Changed setting keys (SETTINGS_KEYS values).
+ * @returns {{ sheets: boolean, dialogs: boolean, chat: boolean }}
+ */
+export function getSettingsRefreshTargets(keys) {
+  const out = { sheets: false, dialogs: false, chat: false };
+
+  for (const key of keys ?? []) {
+    if (!Object.hasOwn(REFRESH_TARGETS_BY_SETTING, key)) continue;
+    for (const target of REFRESH_TARGETS_BY_SETTING[key]) out[target] = true;
+  }
+
+  return out;
+}
@@ -0,0 +1,110 @@
+import { SETTING_CHANGED_HOOK } from "../constants/settings.js";
+import { debugNs } from "../logger/ns.js";
+import { getSettingsRefreshTargets } from "./get-settings-refresh-targets.js";
+
+const { debug, info, error } = debugNs("settings:refresh");
+
+/**
+ * System roll dialogs our render hooks modify (same list as the Fate checkbox injection).
+ */
+const ROLL_DIALOG_CLASS_NAMES = new Set([
+  "DialogGeneralRoll",
+  "DialogSoakRoll",
+  "DialogWeapon",
+  "DialogPower",
+  "DialogItem",
+  "DialogRoll",
+  "DialogAreteCasting",
+  "DialogCheckFrenzy",
+]);
+
+/**
+ * Saving the settings form changes several settings at once; refresh once afterwards.
+ */
+const REFRESH_DEBOUNCE_MS = 250;
+
+/**
+ * Re-render affected UI when a home-rule setting changes.
+ *
+ * World setting onChange fires on every connected client, and register-settings.js
+ * announces every change on SETTING_CHANGED_HOOK, so each client refreshes its own
+ * open actor sheets, roll dialogs and visible chat cards. Our render hooks then apply
+ * (or no longer apply) the rules with the new values.
+ */
+export function registerSettingsRefreshHook() {
+  /** @type {Set<string>} */
+  const pendingKeys = new Set();
+
+  const flush = foundry.utils.debounce(() => {
+    const keys = Array.from(pendingKeys);
+    pendingKeys.clear();
+
+    try {
+      const targets = getSettingsRefreshTargets(keys);
+      debug("Refreshing UI after setting change", { keys, targets });
+
+      if (targets.sheets || targets.dialogs) refreshOpenApps(targets);
+      if (targets.chat) refreshChatLog();
+    } catch (err) {
+      error("Failed to refresh UI after setting change", { keys, err });
+    }
+  }, REFRESH_DEBOUNCE_MS);
+
+  Hooks.on(SETTING_CHANGED_HOOK, (key) => {
+    pendingKeys.add(key);
+    flush();
+  });
+
+  info("Registered settings refresh hook");
+}
+
+/**
+ * Re-render open actor sheets and/or roll dialogs (Application V1 and V2).
+ *
+ * @param {{ sheets: boolean, dialogs: boolean }} targets
+ */
+function refreshOpenApps(targets) {
+  const apps = new Set([
+    ...Object.values(ui.windows ?? {}),
+    ...(foundry.applications.instances?.values?.() ?? []),
+  ]);
+
+  let sheets = 0;
+  let dialogs = 0;
+
+  for (const app of apps) {
+    if (app?.rendered !== true) continue;
+
+    const isActorSheet = (app.document ?? app.object)?.documentName === "Actor";
+    const isRollDialog = ROLL_DIALOG_CLASS_NAMES.has(app.constructor?.name);
+
+    if (targets.sheets && isActorSheet) {
+      app.render();
+      sheets += 1;
+    } else if (targets.dialogs && isRollDialog) {
+      app.render();
+      dialogs += 1;
+    }
+  }
+
+  debug("Re-rendered open applications", { sheets, dialogs });
+}
+
+/**
+ * Re-render chat messages currently shown in the chat log (sidebar and popout).
+ */
+function refreshChatLog() {
+  const ids = new Set(
+    Array.from(document.querySelectorAll(".chat-message[data-message-id]"), (el) => el.dataset.messageId)
+  );
+
+  let updated = 0;
+  for (const id of ids) {
+    const message = game.messages?.get(id);
+    if (!message) continue;
+    ui.chat?.updateMessage(message);
+    updated += 1;
+  }
+
+  debug("Re-rendered chat messages", { updated });
+}
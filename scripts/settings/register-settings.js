@@ -1,5 +1,14 @@
 import { MODULE_ID } from "../constants/module-id.js";
-import { SETTINGS_KEYS } from "../constants/settings.js";
+import { SETTINGS_KEYS, SETTING_CHANGED_HOOK } from "../constants/settings.js";
+import { normalizeFateRules } from "../fate/normalize-fate-rules.js";
+import { FateRulesConfig } from "./fate-rules-config.js";
+import { BloodpoolFormulasConfig } from "./bloodpool-formulas-config.js";
+import { normalizeBloodpoolFormulas } from "../vampire/bloodpool/normalize-bloodpool-formulas.js";
+import { FATE_OUTCOME_RULES, DEFAULT_FATE_OUTCOME_RULE } from "../fate/rules/fate-outcome-rules.js";
+import {
+  EVIL_BOTCHES_OUTCOME_RULES,
+  DEFAULT_EVIL_BOTCHES_OUTCOME_RULE,
+} from "../evil-botches/outcome/evil-botches-outcome-rules.js";
 
 /**
  * Register module settings.
@@ -19,8 +28,8 @@ export function registerSettings() {
    * enableFate:
    * - Controls whether Fate is displayed/active at all.
    * - Fate UI and Fate data initialization only happen when this is TRUE.
-   * - When toggled, open sheets will update on their next render. (We can add
-   *   forced refresh later if needed.)
+   * - When toggled, open sheets, roll dialogs and chat cards are re-rendered on every
+   *   client (see register-settings-refresh-hook.js).
    */
   game.settings.register(MODULE_ID, SETTINGS_KEYS.ENABLE_FATE, {
     name: "rusbar.homerules.settings.enableFate.name",
@@ -29,18 +38,197 @@ export function registerSettings() {
     config: true,
     type: Boolean,
     default: false,
-    onChange: () => {
-      // Intentionally no logger usage here.
-      // Rendering is driven by renderActorSheet hooks, so open sheets will update
-      // on the next render cycle (or manual reopen). If you want immediate refresh,
-      // we can implement it in a separate non-settings file.
-    }
+    onChange: (value) => Hooks.callAll(SETTING_CHANGED_HOOK, SETTINGS_KEYS.ENABLE_FATE, value),
+  });
+
+  /**
+   * fateActorTypes / fateSheetTemplates:
+   * - Comma-separated lists that select which actor sheets get the Fate scale.
+   * - A sheet qualifies when its actor type OR its template path matches an entry.
+   * - Matching is case-insensitive; template entries match as substrings of the path.
+   * - Like enableFate, open sheets and roll dialogs are re-rendered on change.
+   */
+  game.settings.register(MODULE_ID, SETTINGS_KEYS.FATE_ACTOR_TYPES, {
+    name: "rusbar.homerules.settings.fateActorTypes.name",
+    hint: "rusbar.homerules.settings.fateActorTypes.hint",
+    scope: "world",
+    config: true,
+    type: String,
+    default: "vampire",
+    onChange: (value) => Hooks.callAll(SETTING_CHANGED_HOOK, SETTINGS_KEYS.FATE_ACTOR_TYPES, value),
+  });
+
+  game.settings.register(MODULE_ID, SETTINGS_KEYS.FATE_SHEET_TEMPLATES, {
+    name: "rusbar.homerules.settings.fateSheetTemplates.name",
+    hint: "rusbar.homerules.settings.fateSheetTemplates.hint",
+    scope: "world",
+    config: true,
+    type: String,
+    default: "vampire-sheet.html",
+    onChange: (value) => Hooks.callAll(SETTING_CHANGED_HOOK, SETTINGS_KEYS.FATE_SHEET_TEMPLATES, value),
+  });
+
+  /**
+   * fateSpendCost:
+   * - Number of temporary Fate points spent when "Use Fate" is ticked in a roll dialog.
+   * - 0 keeps the old behavior (Fate dice are added for free).
+   * - Read at roll time, so no refresh is needed on change.
+   */
+  game.settings.register(MODULE_ID, SETTINGS_KEYS.FATE_SPEND_COST, {
+    name: "rusbar.homerules.settings.fateSpendCost.name",
+    hint: "rusbar.homerules.settings.fateSpendCost.hint",
+    scope: "world",
+    config: true,
+    type: Number,
+    range: { min: 0, max: 10, step: 1 },
+    default: 1,
+    onChange: (value) => Hooks.callAll(SETTING_CHANGED_HOOK, SETTINGS_KEYS.FATE_SPEND_COST, value),
+  });
+
+  /**
+   * fateRules:
+   * - Dice pool source (permanent/temporary), data defaults and the max safety cap.
+   * - Hidden from the inline list; edited through the "Fate rules" menu below.
+   * - onChange only announces the change (no logger/feature imports here);
+   *   the Fate data hook re-runs ensureFateData so stored `roll` values stay consistent.
+   */
+  game.settings.register(MODULE_ID, SETTINGS_KEYS.FATE_RULES, {
+    scope: "world",
+    config: false,
+    type: Object,
+    default: normalizeFateRules(null),
+    onChange: (value) => Hooks.callAll(SETTING_CHANGED_HOOK, SETTINGS_KEYS.FATE_RULES, value),
+  });
+
+  game.settings.registerMenu(MODULE_ID, SETTINGS_KEYS.FATE_RULES_MENU, {
+    name: "rusbar.homerules.settings.fateRules.name",
+    label: "rusbar.homerules.settings.fateRules.label",
+    hint: "rusbar.homerules.settings.fateRules.hint",
+    icon: "fa-solid fa-dice-d10",
+    type: FateRulesConfig,
+    restricted: true,
+  });
+
+  /**
+   * fateOutcomeRule:
+   * - Which registered Fate outcome rule computes the extra Fate line in roll chat cards.
+   * - Choices come straight from the rule registry (pure module, no logger import).
+   * - Read at chat render time, so no refresh is needed on change.
+   */
+  game.settings.register(MODULE_ID, SETTINGS_KEYS.FATE_OUTCOME_RULE, {
+    name: "rusbar.homerules.settings.fateOutcomeRule.name",
+    hint: "rusbar.homerules.settings.fateOutcomeRule.hint",
+    scope: "world",
+    config: true,
+    type: String,
+    choices: Object.fromEntries(
+      Object.keys(FATE_OUTCOME_RULES).map((id) => [id, `rusbar.homerules.settings.fateOutcomeRule.${id}`])
+    ),
+    default: DEFAULT_FATE_OUTCOME_RULE,
+    onChange: (value) => Hooks.callAll(SETTING_CHANGED_HOOK, SETTINGS_KEYS.FATE_OUTCOME_RULE, value),
+  });
+
+  /**
+   * Fate refresh/regain:
+   * - fateRegainMode / fateRegainAmount: rule used by the GM refresh tool.
+   * - fateRefreshOnSessionStart: prompt the GM on load to refresh all player characters.
+   * - fateLastSessionRefresh: hidden timestamp of the last session-start refresh.
+   */
+  game.settings.register(MODULE_ID, SETTINGS_KEYS.FATE_REGAIN_MODE, {
+    name: "rusbar.homerules.settings.fateRegainMode.name",
+    hint: "rusbar.homerules.settings.fateRegainMode.hint",
+    scope: "world",
+    config: true,
+    type: String,
+    choices: {
+      full: "rusbar.homerules.settings.fateRegainMode.full",
+      partial: "rusbar.homerules.settings.fateRegainMode.partial",
+    },
+    default: "full",
+    onChange: (value) => Hooks.callAll(SETTING_CHANGED_HOOK, SETTINGS_KEYS.FATE_REGAIN_MODE, value),
+  });
+
+  game.settings.register(MODULE_ID, SETTINGS_KEYS.FATE_REGAIN_AMOUNT, {
+    name: "rusbar.homerules.settings.fateRegainAmount.name",
+    hint: "rusbar.homerules.settings.fateRegainAmount.hint",
+    scope: "world",
+    config: true,
+    type: Number,
+    range: { min: 1, max: 10, step: 1 },
+    default: 1,
+    onChange: (value) => Hooks.callAll(SETTING_CHANGED_HOOK, SETTINGS_KEYS.FATE_REGAIN_AMOUNT, value),
+  });
+
+  game.settings.register(MODULE_ID, SETTINGS_KEYS.FATE_REFRESH_ON_SESSION_START, {
+    name: "rusbar.homerules.settings.fateRefreshOnSessionStart.name",
+    hint: "rusbar.homerules.settings.fateRefreshOnSessionStart.hint",
+    scope: "world",
+    config: true,
+    type: Boolean,
+    default: false,
+    onChange: (value) => Hooks.callAll(SETTING_CHANGED_HOOK, SETTINGS_KEYS.FATE_REFRESH_ON_SESSION_START, value),
+  });
+
+  game.settings.register(MODULE_ID, SETTINGS_KEYS.FATE_LAST_SESSION_REFRESH, {
+    scope: "world",
+    config: false,
+    type: Number,
+    default: 0,
+  });
+
+  /**
+   * Permanent Fate purchases:
+   * - fateXpPurchase: raising permanent Fate from the sheet charges XP (WoD "Experience" items).
+   * - fateXpCostNew / fateXpCostMultiplier: first dot cost and "current rating x N" for further dots.
+   * - fatePermanentGmOnly: players cannot change permanent Fate; the GM still can.
+   * - All read at click time, so no refresh is needed on change.
+   */
+  game.settings.register(MODULE_ID, SETTINGS_KEYS.FATE_XP_PURCHASE, {
+    name: "rusbar.homerules.settings.fateXpPurchase.name",
+    hint: "rusbar.homerules.settings.fateXpPurchase.hint",
+    scope: "world",
+    config: true,
+    type: Boolean,
+    default: false,
+    onChange: (value) => Hooks.callAll(SETTING_CHANGED_HOOK, SETTINGS_KEYS.FATE_XP_PURCHASE, value),
+  });
+
+  game.settings.register(MODULE_ID, SETTINGS_KEYS.FATE_XP_COST_NEW, {
+    name: "rusbar.homerules.settings.fateXpCostNew.name",
+    hint: "rusbar.homerules.settings.fateXpCostNew.hint",
+    scope: "world",
+    config: true,
+    type: Number,
+    range: { min: 0, max: 20, step: 1 },
+    default: 1,
+    onChange: (value) => Hooks.callAll(SETTING_CHANGED_HOOK, SETTINGS_KEYS.FATE_XP_COST_NEW, value),
+  });
+
+  game.settings.register(MODULE_ID, SETTINGS_KEYS.FATE_XP_COST_MULTIPLIER, {
+    name: "rusbar.homerules.settings.fateXpCostMultiplier.name",
+    hint: "rusbar.homerules.settings.fateXpCostMultiplier.hint",
+    scope: "world",
+    config: true,
+    type: Number,
+    range: { min: 0, max: 10, step: 1 },
+    default: 1,
+    onChange: (value) => Hooks.callAll(SETTING_CHANGED_HOOK, SETTINGS_KEYS.FATE_XP_COST_MULTIPLIER, value),
+  });
+
+  game.settings.register(MODULE_ID, SETTINGS_KEYS.FATE_PERMANENT_GM_ONLY, {
+    name: "rusbar.homerules.settings.fatePermanentGmOnly.name",
+    hint: "rusbar.homerules.settings.fatePermanentGmOnly.hint",
+    scope: "world",
+    config: true,
+    type: Boolean,
+    default: false,
+    onChange: (value) => Hooks.callAll(SETTING_CHANGED_HOOK, SETTINGS_KEYS.FATE_PERMANENT_GM_ONLY, value),
   });
 
   /**
    * evilBotches:
-   * - A rules toggle that enables alternative botch handling.
-   * - NOTE: Only the setting is introduced in this task. Rule logic will be added later.
+   * - A rules toggle that enables alternative botch handling (see scripts/evil-botches).
+   * - When toggled, the visible chat log is re-rendered on every client.
    */
   game.settings.register(MODULE_ID, SETTINGS_KEYS.EVIL_BOTCHES, {
     name: "rusbar.homerules.settings.evilBotches.name",
@@ -49,10 +237,92 @@ export function registerSettings() {
     config: true,
     type: Boolean,
     default: false,
-    onChange: () => {
-      // Intentionally no logger usage here.
-      // This setting will be read by the future rule implementation.
-    }
+    onChange: (value) => Hooks.callAll(SETTING_CHANGED_HOOK, SETTINGS_KEYS.EVIL_BOTCHES, value),
+  });
+
+  /**
+   * evilBotchesRule:
+   * - Outcome variant used by Evil Botches (home rule, RAW V20 Willpower, botch only on
+   *   zero successes, ones cancel 10s first).
+   * - Choices come straight from the variant registry (pure module, no logger import).
+   * - Applied to new messages; stored verdicts keep the variant they were computed with.
+   */
+  game.settings.register(MODULE_ID, SETTINGS_KEYS.EVIL_BOTCHES_RULE, {
+    name: "rusbar.homerules.settings.evilBotchesRule.name",
+    hint: "rusbar.homerules.settings.evilBotchesRule.hint",
+    scope: "world",
+    config: true,
+    type: String,
+    choices: Object.fromEntries(
+      Object.keys(EVIL_BOTCHES_OUTCOME_RULES).map((id) => [id, `rusbar.homerules.settings.evilBotchesRule.${id}`])
+    ),
+    default: DEFAULT_EVIL_BOTCHES_OUTCOME_RULE,
+    onChange: (value) => Hooks.callAll(SETTING_CHANGED_HOOK, SETTINGS_KEYS.EVIL_BOTCHES_RULE, value),
+  });
+
+  /**
+   * bloodHungerCheck:
+   * - Automatic hunger check when a Vampire's blood drops to or below the hunger threshold
+   *   (Wake button, sheet edits, spending).
+   * - The sheet "Check hunger" button always runs the check (chat card at least).
+   */
+  game.settings.register(MODULE_ID, SETTINGS_KEYS.BLOOD_HUNGER_CHECK, {
+    name: "rusbar.homerules.settings.bloodHungerCheck.name",
+    hint: "rusbar.homerules.settings.bloodHungerCheck.hint",
+    scope: "world",
+    config: true,
+    type: String,
+    choices: {
+      off: "rusbar.homerules.settings.bloodHungerCheck.off",
+      chat: "rusbar.homerules.settings.bloodHungerCheck.chat",
+      frenzy: "rusbar.homerules.settings.bloodHungerCheck.frenzy",
+    },
+    default: "chat",
+    onChange: (value) => Hooks.callAll(SETTING_CHANGED_HOOK, SETTINGS_KEYS.BLOOD_HUNGER_CHECK, value),
+  });
+
+  /**
+   * bloodPerTurnLimit:
+   * - Blood spent by a Vampire during a combat round is recorded in actor flags and
+   *   compared to the per-turn limit; the counter resets on round change.
+   * - "off" disables tracking entirely.
+   */
+  game.settings.register(MODULE_ID, SETTINGS_KEYS.BLOOD_PER_TURN_LIMIT, {
+    name: "rusbar.homerules.settings.bloodPerTurnLimit.name",
+    hint: "rusbar.homerules.settings.bloodPerTurnLimit.hint",
+    scope: "world",
+    config: true,
+    type: String,
+    choices: {
+      off: "rusbar.homerules.settings.bloodPerTurnLimit.off",
+      warn: "rusbar.homerules.settings.bloodPerTurnLimit.warn",
+      refuse: "rusbar.homerules.settings.bloodPerTurnLimit.refuse",
+    },
+    default: "warn",
+    onChange: (value) => Hooks.callAll(SETTING_CHANGED_HOOK, SETTINGS_KEYS.BLOOD_PER_TURN_LIMIT, value),
+  });
+
+  /**
+   * bloodpoolFormulas:
+   * - Wake cost / hunger formulas used by calcBloodpoolExtras (safe expression language).
+   * - Hidden from the inline list; edited through the "Blood Pool formulas" menu below,
+   *   which validates the formulas and previews their results.
+   */
+  game.settings.register(MODULE_ID, SETTINGS_KEYS.BLOODPOOL_FORMULAS, {
+    scope: "world",
+    config: false,
+    type: Object,
+    default: normalizeBloodpoolFormulas(null),
+    onChange: (value) => Hooks.callAll(SETTING_CHANGED_HOOK, SETTINGS_KEYS.BLOODPOOL_FORMULAS, value),
+  });
+
+  game.settings.registerMenu(MODULE_ID, SETTINGS_KEYS.BLOODPOOL_FORMULAS_MENU, {
+    name: "rusbar.homerules.settings.bloodpoolFormulas.name",
+    label: "rusbar.homerules.settings.bloodpoolFormulas.label",
+    hint: "rusbar.homerules.settings.bloodpoolFormulas.hint",
+    icon: "fa-solid fa-droplet",
+    type: BloodpoolFormulasConfig,
+    restricted: true,
   });
 
   /**
@@ -67,10 +337,7 @@ export function registerSettings() {
     config: true,
     type: Boolean,
     default: true,
-    onChange: () => {
-      // Intentionally no logger usage here.
-      // Hooks are always registered; this flag gates actual behavior.
-    }
+    onChange: (value) => Hooks.callAll(SETTING_CHANGED_HOOK, SETTINGS_KEYS.PRESERVE_ITEM_IMAGE_PATHS, value),
   });
 
   /**
@@ -81,7 +348,8 @@ export function registerSettings() {
    * onChange behavior:
    * - We cannot import the logger here, so we call a function exposed through
    *   game.modules.get(MODULE_ID).api.setDebugEnabled(...)
-   * - That bridge is created in scripts/init.js (Hooks.once("init")).
+   * - That bridge is created by scripts/api/register-module-api.js, called from
+   *   scripts/init.js (Hooks.once("init")) before settings are registered.
    */
   game.settings.register(MODULE_ID, SETTINGS_KEYS.ENABLE_DEBUG, {
     name: "rusbar.homerules.settings.enableDebug.name",
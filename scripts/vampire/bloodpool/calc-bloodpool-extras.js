@@ -1,4 +1,9 @@
 import { debugNs } from "../../logger/ns.js";
+import { DEFAULT_VAMPIRE_GENERATION } from "../../constants/vampire-generations.js";
+import { getGenerationStats } from "../generation/get-generation-stats.js";
+import { getBloodpoolFormulas } from "./get-bloodpool-formulas.js";
+import { evaluateBloodpoolFormula } from "./evaluate-bloodpool-formula.js";
+import { resolveHungerVirtue } from "../virtues/resolve-hunger-virtue.js";
 
 const { debug } = debugNs("vampire:bloodpool:calc");
 
@@ -9,19 +14,26 @@ const { debug } = debugNs("vampire:bloodpool:calc");
  * In this WoD20 system, the maximum Blood Pool (by generation) is stored in
  * `actor.system.advantages.bloodpool.max` (derived data), not in `.permanent`.
  *
- * Rules (as requested):
+ * Rules (default formulas, editable in the "Blood Pool formulas" settings menu):
  * - Wake blood cost:
  *   X = 1 + (13 - generation) + (perTurn - 1)
  *
  * - Hunger:
- *   X = ceil((maxBloodPool / 2) + 1 - (selfControl || instincts))
+ *   X = ceil((maxBloodPool / 2) + 1 - virtue)
+ *   where virtue is Self-Control or Instinct (see resolveHungerVirtue: player choice,
+ *   then the actor's Path of Enlightenment).
+ *
+ * Formula variables: generation, perTurn, maxBloodPool, virtue, humanity.
+ * Results are whole numbers >= 0 (see evaluateBloodpoolFormula).
  *
  * Notes:
  * - We keep this function pure: it does not mutate the actor.
  * - We coerce all values to numbers and use safe fallbacks.
+ * - Missing per-turn / Blood Pool size fall back to the V20 generation table
+ *   (see constants/vampire-generations.js).
  *
  * @param {Actor} actor
- * @returns {{ wakeCost: number, hunger: number, meta: { generation:number, perTurn:number, maxBloodPool:number, virtue:number } }}
+ * @returns {{ wakeCost: number, hunger: number, meta: { generation:number, perTurn:number, maxBloodPool:number, virtue:number, virtueKey:string, virtueSource:string, pathId:string|null, humanity:number } }}
  */
 export function calcBloodpoolExtras(actor) {
   const generationRaw = foundry.utils.getProperty(actor, "system.generation");
@@ -32,29 +44,30 @@ export function calcBloodpoolExtras(actor) {
   // Keep a fallback for older/edge actors, but prefer `.max`.
   const fallbackPermanentRaw = foundry.utils.getProperty(actor, "system.advantages.bloodpool.permanent");
 
-  const selfControlRaw = foundry.utils.getProperty(actor, "system.advantages.virtues.selfcontrol.permanent");
-  const instinctsRawA = foundry.utils.getProperty(actor, "system.advantages.virtues.instincts.permanent");
-  const instinctsRawB = foundry.utils.getProperty(actor, "system.advantages.virtues.instinct.permanent");
+  // Humanity (or the Path rating) for formulas; older actors keep it under `humanity`.
+  const humanityRaw =
+    foundry.utils.getProperty(actor, "system.advantages.path.permanent") ??
+    foundry.utils.getProperty(actor, "system.advantages.humanity.permanent");
 
-  const generation = Number.isFinite(Number(generationRaw)) ? Number(generationRaw) : 13;
-  const perTurn = Number.isFinite(Number(perTurnRaw)) ? Number(perTurnRaw) : 1;
+  const generation = Number.isFinite(Number(generationRaw)) ? Number(generationRaw) : DEFAULT_VAMPIRE_GENERATION;
+  const fromTable = getGenerationStats(generation);
+  const perTurn = Number.isFinite(Number(perTurnRaw)) ? Number(perTurnRaw) : (fromTable?.perTurn ?? 1);
 
   const maxFromSystem = Number.isFinite(Number(maxBloodPoolRaw)) ? Number(maxBloodPoolRaw) : 0;
   const maxFromPermanent = Number.isFinite(Number(fallbackPermanentRaw)) ? Number(fallbackPermanentRaw) : 0;
-  const maxBloodPool = maxFromSystem > 0 ? maxFromSystem : maxFromPermanent;
+  const maxBloodPool =
+    maxFromSystem > 0 ? maxFromSystem : maxFromPermanent > 0 ? maxFromPermanent : (fromTable?.maxBloodPool ?? 0);
 
-  // Prefer Self-Control; fallback to Instincts if a module/homebrew provides it.
-  const selfControl = Number.isFinite(Number(selfControlRaw)) ? Number(selfControlRaw) : 0;
-  const instinctsA = Number.isFinite(Number(instinctsRawA)) ? Number(instinctsRawA) : 0;
-  const instinctsB = Number.isFinite(Number(instinctsRawB)) ? Number(instinctsRawB) : 0;
-  const virtue = selfControl > 0 ? selfControl : (instinctsA > 0 ? instinctsA : instinctsB);
+  // Self-Control or Instinct, by the player's choice or the actor's Path of Enlightenment.
+  const hungerVirtue = resolveHungerVirtue(actor);
+  const virtue = hungerVirtue.value;
+  const humanity = Number.isFinite(Number(humanityRaw)) ? Number(humanityRaw) : 0;
 
-  // Requested formula: 1 + (13 - generation) + (perTurn - 1)
-  const wakeCost = 1 + (13 - generation) + (perTurn - 1);
+  const formulas = getBloodpoolFormulas();
+  const values = { generation, perTurn, maxBloodPool, virtue, humanity };
 
-  // Requested formula: ceil((maxBloodPool / 2) + 1 - virtue)
-  const hungerRaw = (maxBloodPool / 2) + 1 - virtue;
-  const hunger = Math.max(0, Math.ceil(hungerRaw));
+  const { value: wakeCost } = evaluateBloodpoolFormula("wakeCost", formulas.wakeCost, values);
+  const { value: hunger } = evaluateBloodpoolFormula("hunger", formulas.hunger, values);
 
   debug("Calculated bloodpool extras", {
     actorId: actor?.id,
@@ -62,6 +75,9 @@ export function calcBloodpoolExtras(actor) {
     perTurn,
     maxBloodPool,
     virtue,
+    hungerVirtue,
+    humanity,
+    formulas,
     wakeCost,
     hunger,
   });
@@ -74,6 +90,10 @@ export function calcBloodpoolExtras(actor) {
       perTurn,
       maxBloodPool,
       virtue,
+      virtueKey: hungerVirtue.key,
+      virtueSource: hungerVirtue.source,
+      pathId: hungerVirtue.pathId,
+      humanity,
     },
   };
 }
@@ -0,0 +1,86 @@
+import { BLOOD_SPEND } from "../../constants/blood-spend.js";
+
+/**
+ * Spends recorded for the given combat round (0 for a record of another combat/round).
+ *
+ * Pure: no Foundry globals.
+ *
+ * @param {object|null} record flags[MODULE_ID].bloodSpend
+ * @param {{ combatId: string, round: number }} round
+ * @returns {number}
+ */
+export function getRoundBloodSpent(record, { combatId, round }) {
+  if (!isSameRound(record, combatId, round)) return 0;
+  return Math.max(0, Number.parseInt(record.spent ?? 0, 10) || 0);
+}
+
+/**
+ * Apply a blood spend to the per-round record and check it against the per-turn limit.
+ *
+ * - Only limited reasons add to `spent`; UNLIMITED_REASONS (waking up) are listed in
+ *   `entries` but do not count.
+ * - `exceeded`: the spend takes the round total above `perTurn`.
+ * - `refused`: exceeded with the "refuse" mode; the caller must cancel the update and
+ *   keep the old record.
+ *
+ * Pure: no Foundry globals.
+ *
+ * @param {{
+ *   record: object|null,
+ *   combatId: string,
+ *   round: number,
+ *   amount: number,
+ *   perTurn: number,
+ *   reason?: string,
+ *   mode?: string,
+ *   userId?: string|null,
+ *   now?: number,
+ * }} params
+ * @returns {{ record: object, spentBefore: number, spentAfter: number, perTurn: number, exceeded: boolean, refused: boolean }}
+ */
+export function computeBloodSpend({
+  record,
+  combatId,
+  round,
+  amount,
+  perTurn,
+  reason = "other",
+  mode = "warn",
+  userId = null,
+  now = Date.now(),
+}) {
+  const spentBefore = getRoundBloodSpent(record, { combatId, round });
+  const limit = Math.max(0, Number.parseInt(perTurn ?? 0, 10) || 0);
+  const cost = Math.max(0, Number.parseInt(amount ?? 0, 10) || 0);
+  const kind = BLOOD_SPEND.REASONS.includes(reason) ? reason : "other";
+
+  const counts = !BLOOD_SPEND.UNLIMITED_REASONS.includes(kind);
+  const spentAfter = counts ? spentBefore + cost : spentBefore;
+  const exceeded = counts && cost > 0 && spentAfter > limit;
+
+  const previousEntries = isSameRound(record, combatId, round) ? record.entries ?? [] : [];
+  const entries = [...previousEntries, { amount: cost, reason: kind, userId, atMs: now }].slice(
+    -BLOOD_SPEND.MAX_ENTRIES
+  );
+
+  return {
+    record: { combatId, round, spent: spentAfter, entries },
+    spentBefore,
+    spentAfter,
+    perTurn: limit,
+    exceeded,
+    refused: exceeded && mode === "refuse",
+  };
+}
+
+/**
+ * Whether a spend record belongs to the given combat round (same combat and same round number).
+ *
+ * @param {object|null} record
+ * @param {string} combatId
+ * @param {number} round
+ * @returns {boolean}
+ */
+export function isSameRound(record, combatId, round) {
+  return !!record && record.combatId === combatId && record.round === round;
+}
@@ -0,0 +1,22 @@
+/**
+ * Compute the Blood Pool change of waking up at dusk.
+ *
+ * Refusal: with fewer blood points than the wake cost nothing is spent
+ * (`{ ok: false, reason: "insufficient" }`); the Storyteller decides what happens
+ * (torpor, frenzy, ...). Same refusal style as spendFatePoints.
+ *
+ * Pure: no Foundry globals.
+ *
+ * @param {number} temporary Current blood points.
+ * @param {number} wakeCost From calcBloodpoolExtras.
+ * @returns {{ ok: boolean, reason: string, cost: number, before: number, after: number }}
+ */
+export function computeWakeResult(temporary, wakeCost) {
+  const before = Math.max(0, Number.parseInt(temporary ?? 0, 10) || 0);
+  const cost = Math.max(0, Number.parseInt(wakeCost ?? 0, 10) || 0);
+
+  if (cost === 0) return { ok: true, reason: "free", cost, before, after: before };
+  if (before < cost) return { ok: false, reason: "insufficient", cost, before, after: before };
+
+  return { ok: true, reason: "spent", cost, before, after: before - cost };
+}
@@ -0,0 +1,22 @@
+/**
+ * Compare current blood against the hunger threshold (calcBloodpoolExtras().hunger).
+ *
+ * - hungry: blood is at or below the threshold
+ * - crossed: blood went from above the threshold to at/below it (only when `before` is known);
+ *   automatic checks fire on crossings, so every further spent point does not spam the chat.
+ *
+ * Pure: no Foundry globals.
+ *
+ * @param {{ temporary: number, hunger: number, before?: number|null }} params
+ * @returns {{ hungry: boolean, crossed: boolean, temporary: number, hunger: number }}
+ */
+export function evaluateBloodHunger({ temporary, hunger, before = null }) {
+  const current = Math.max(0, Number.parseInt(temporary ?? 0, 10) || 0);
+  const threshold = Math.max(0, Number.parseInt(hunger ?? 0, 10) || 0);
+
+  const hungry = current <= threshold;
+  const previous = Number.parseInt(before ?? "", 10);
+  const crossed = hungry && Number.isFinite(previous) && previous > threshold;
+
+  return { hungry, crossed, temporary: current, hunger: threshold };
+}
@@ -0,0 +1,47 @@
+import { BLOODPOOL_FORMULAS } from "../../constants/bloodpool-formulas.js";
+import { compileBloodpoolFormula } from "./normalize-bloodpool-formulas.js";
+
+/**
+ * Compiled formulas by source text (sheets re-render often; formulas rarely change).
+ */
+const compiledBySource = new Map();
+
+/**
+ * @param {string} source
+ */
+function getCompiled(source) {
+  if (!compiledBySource.has(source)) compiledBySource.set(source, compileBloodpoolFormula(source));
+  return compiledBySource.get(source);
+}
+
+/**
+ * Evaluate a Blood Pool formula into a whole, non-negative number of blood points.
+ *
+ * - Fractions are rounded to the nearest integer (use ceil/floor in the formula for
+ *   another rounding).
+ * - A formula that does not compile or yields no finite number (e.g. division by zero)
+ *   falls back to the default formula for `key`.
+ *
+ * Pure: no Foundry globals.
+ *
+ * @param {"wakeCost"|"hunger"} key
+ * @param {string} source
+ * @param {Record<string, number>} values BLOODPOOL_FORMULAS.VARIABLES values.
+ * @returns {{ value: number, fallback: boolean }}
+ */
+export function evaluateBloodpoolFormula(key, source, values) {
+  const raw = evaluate(source, values);
+  if (Number.isFinite(raw)) return { value: Math.max(0, Math.round(raw)), fallback: false };
+
+  const fallback = evaluate(BLOODPOOL_FORMULAS.DEFAULTS[key] ?? "0", values);
+  return { value: Number.isFinite(fallback) ? Math.max(0, Math.round(fallback)) : 0, fallback: true };
+}
+
+/**
+ * @param {string} source
+ * @param {Record<string, number>} values
+ */
+function evaluate(source, values) {
+  const compiled = getCompiled(source);
+  return compiled.ok ? compiled.evaluate(values) : Number.NaN;
+}
@@ -0,0 +1,22 @@
+/**
+ * The running combat round an actor takes part in.
+ *
+ * The viewed scene's combat (`game.combat`) is preferred; other started combats are
+ * checked as well, so a Vampire on another scene still gets its spends tracked.
+ * Token (synthetic) actors are matched through their token by getCombatantsByActor.
+ *
+ * @param {Actor} actor
+ * @returns {{ combatId: string, round: number }|null} Null outside of a started combat.
+ */
+export function getActorCombatRound(actor) {
+  if (!actor) return null;
+
+  const combats = [game.combat, ...(game.combats?.contents ?? [])].filter(Boolean);
+  for (const combat of combats) {
+    if (combat.started !== true) continue;
+    if (!combat.getCombatantsByActor?.(actor)?.length) continue;
+    return { combatId: combat.id, round: combat.round };
+  }
+
+  return null;
+}
@@ -0,0 +1,17 @@
+import { MODULE_ID } from "../../constants/module-id.js";
+import { SETTINGS_KEYS } from "../../constants/settings.js";
+import { BLOOD_SPEND } from "../../constants/blood-spend.js";
+
+/**
+ * Read the bloodPerTurnLimit setting.
+ *
+ * @returns {"off"|"warn"|"refuse"}
+ */
+export function getBloodPerTurnLimitMode() {
+  try {
+    const value = game.settings.get(MODULE_ID, SETTINGS_KEYS.BLOOD_PER_TURN_LIMIT);
+    return BLOOD_SPEND.LIMIT_MODES.includes(value) ? value : "warn";
+  } catch (_err) {
+    return "warn";
+  }
+}
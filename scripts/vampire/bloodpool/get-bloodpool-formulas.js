@@ -0,0 +1,18 @@
+import { MODULE_ID } from "../../constants/module-id.js";
+import { SETTINGS_KEYS } from "../../constants/settings.js";
+import { normalizeBloodpoolFormulas } from "./normalize-bloodpool-formulas.js";
+
+/**
+ * Read the active Blood Pool formulas (world setting, edited via the Blood Pool formulas menu).
+ *
+ * Falls back to the default formulas when the setting is missing or not registered yet.
+ *
+ * @returns {{ wakeCost: string, hunger: string }}
+ */
+export function getBloodpoolFormulas() {
+  try {
+    return normalizeBloodpoolFormulas(game.settings.get(MODULE_ID, SETTINGS_KEYS.BLOODPOOL_FORMULAS));
+  } catch (_err) {
+    return normalizeBloodpoolFormulas(null);
+  }
+}
@@ -1,5 +1,16 @@
+import { MODULE_ID } from "../../constants/module-id.js";
+import { BLOOD_SPEND } from "../../constants/blood-spend.js";
+import { HUNGER_VIRTUE } from "../../constants/paths-of-enlightenment.js";
 import { debugNs } from "../../logger/ns.js";
 import { calcBloodpoolExtras } from "./calc-bloodpool-extras.js";
+import { getRoundBloodSpent } from "./compute-blood-spend.js";
+import { getActorCombatRound } from "./get-actor-combat-round.js";
+import { getBloodPerTurnLimitMode } from "./get-blood-per-turn-limit-mode.js";
+import { wakeVampire } from "./wake-vampire.js";
+import { runBloodHungerCheck } from "./run-blood-hunger-check.js";
+import { openFeedingDialog } from "../feeding/open-feeding-dialog.js";
+import { findGenerationMismatches } from "../generation/find-generation-mismatches.js";
+import { fixGenerationMismatches } from "../generation/fix-generation-mismatches.js";
 
 const { debug, warn, error } = debugNs("vampire:bloodpool:inject");
 
@@ -21,7 +32,13 @@ function removeExisting(html) {
  *   - an informational line under the track: `div.information-area.centerText`
  *     (shows "Per turn: X").
  *
- * We insert our two lines right after that existing informational line.
+ * The hunger line names the Virtue it was computed from (tooltip: why that Virtue); owners
+ * can pick the Virtue next to it.
+ *
+ * We insert our lines right after that existing informational line (plus the blood spent
+ * this round while in combat), followed by the
+ * "Wake", "Check hunger" and "Feed" buttons for owners of the actor, and a warning (with a
+ * GM-only "Fix" button) when stored Blood Pool values disagree with the V20 generation table.
  *
  * Requirements:
  * - Idempotent: sheets re-render often.
@@ -59,15 +76,37 @@ export function injectBloodpoolExtras(app, html) {
       return;
     }
 
-    const { wakeCost, hunger } = calcBloodpoolExtras(actor);
+    const { wakeCost, hunger, meta } = calcBloodpoolExtras(actor);
 
     const wakeText = game.i18n.format("rusbar.homerules.vampire.bloodpool.wakeCost", { value: wakeCost });
-    const hungerText = game.i18n.format("rusbar.homerules.vampire.bloodpool.hunger", { value: hunger });
+    const hungerText = game.i18n.format("rusbar.homerules.vampire.bloodpool.hunger", {
+      value: hunger,
+      virtue: game.i18n.localize(`rusbar.homerules.vampire.virtue.${meta.virtueKey}`),
+      rating: meta.virtue,
+    });
 
     // Keep upstream look (`information-area`) but enforce font-size as requested.
     const wrapper = $(`<div ${MARKER_ATTR}="${MARKER_VALUE}"></div>`);
     wrapper.append(`<div class="information-area centerText" style="font-size: 12px;">${wakeText}</div>`);
-    wrapper.append(`<div class="information-area centerText" style="font-size: 12px;">${hungerText}</div>`);
+    const hungerLine = $(`<div class="information-area centerText" style="font-size: 12px;"></div>`)
+      .text(hungerText)
+      .attr("title", getHungerVirtueSourceText(meta));
+    if (actor.isOwner) appendHungerVirtueChoice(hungerLine, actor);
+    wrapper.append(hungerLine);
+
+    // In combat (tracker enabled): blood spent this round against the per-turn limit.
+    const round = getBloodPerTurnLimitMode() === "off" ? null : getActorCombatRound(actor);
+    if (round) {
+      const spent = getRoundBloodSpent(actor.getFlag(MODULE_ID, BLOOD_SPEND.FLAG), round);
+      const spentText = game.i18n.format("rusbar.homerules.vampire.bloodpool.spentThisRound", {
+        spent,
+        perTurn: meta.perTurn,
+      });
+      wrapper.append(`<div class="information-area centerText" style="font-size: 12px;">${spentText}</div>`);
+    }
+
+    if (actor.isOwner) appendBloodpoolActions(wrapper, actor);
+    if (actor.isOwner) appendGenerationMismatch(wrapper, actor);
 
     perTurnInfo.after(wrapper);
 
@@ -76,3 +115,155 @@ export function injectBloodpoolExtras(app, html) {
     error("Failed to inject bloodpool extras", err);
   }
 }
+
+/**
+ * Append the Blood Pool action buttons.
+ *
+ * The wrapper is rebuilt on every render, so handlers are bound directly to the new buttons.
+ *
+ * @param {JQuery} wrapper
+ * @param {Actor} actor
+ */
+function appendBloodpoolActions(wrapper, actor) {
+  const wakeLabel = game.i18n.localize("rusbar.homerules.vampire.bloodpool.wake");
+  const wakeTitle = game.i18n.localize("rusbar.homerules.vampire.bloodpool.wakeTitle");
+  const checkLabel = game.i18n.localize("rusbar.homerules.vampire.bloodpool.hungerCheck");
+  const checkTitle = game.i18n.localize("rusbar.homerules.vampire.bloodpool.hungerCheckTitle");
+  const feedLabel = game.i18n.localize("rusbar.homerules.vampire.feeding.feed");
+  const feedTitle = game.i18n.localize("rusbar.homerules.vampire.feeding.feedTitle");
+
+  const row = $(`<div class="centerText" style="display:flex;gap:4px;justify-content:center;margin-top:2px;"></div>`);
+  const wakeButton = $(`<button type="button" data-rb-action="wake" style="font-size: 12px;line-height:18px;width:auto;"></button>`)
+    .text(wakeLabel)
+    .attr("title", wakeTitle);
+  const checkButton = $(`<button type="button" data-rb-action="hunger-check" style="font-size: 12px;line-height:18px;width:auto;"></button>`)
+    .text(checkLabel)
+    .attr("title", checkTitle);
+  const feedButton = $(`<button type="button" data-rb-action="feed" style="font-size: 12px;line-height:18px;width:auto;"></button>`)
+    .text(feedLabel)
+    .attr("title", feedTitle);
+
+  wakeButton.on("click", async (event) => {
+    event.preventDefault();
+    event.stopPropagation();
+    await wakeVampire(actor);
+  });
+
+  checkButton.on("click", async (event) => {
+    event.preventDefault();
+    event.stopPropagation();
+    await runBloodHungerCheck(actor, { manual: true });
+  });
+
+  feedButton.on("click", async (event) => {
+    event.preventDefault();
+    event.stopPropagation();
+    await openFeedingDialog(actor);
+  });
+
+  row.append(wakeButton, checkButton, feedButton);
+  wrapper.append(row);
+}
+
+/**
+ * Append the generation mismatch warning (nothing when values match).
+ *
+ * The one-click fix overwrites the system-derived Blood Pool max and per-turn values,
+ * so only the GM gets the button.
+ *
+ * @param {JQuery} wrapper
+ * @param {Actor} actor
+ */
+function appendGenerationMismatch(wrapper, actor) {
+  const { stats, mismatches } = findGenerationMismatches(actor);
+  if (!stats || mismatches.length === 0) return;
+
+  const details = mismatches
+    .map((m) =>
+      game.i18n.format(`rusbar.homerules.vampire.generation.${m.key}`, {
+        stored: m.stored ?? "-",
+        expected: m.expected,
+      })
+    )
+    .join(", ");
+
+  const text = game.i18n.format("rusbar.homerules.vampire.generation.mismatch", {
+    generation: stats.generation,
+    details,
+  });
+
+  const row = $(`<div class="information-area centerText" style="font-size: 12px;"></div>`).text(text);
+  wrapper.append(row);
+
+  debug("Generation mismatch shown", { actorId: actor.id, generation: stats.generation, mismatches });
+
+  if (game.user?.isGM !== true) return;
+
+  const fixButton = $(`<button type="button" data-rb-action="generation-fix" style="font-size: 12px;line-height:18px;width:auto;margin-left:4px;"></button>`)
+    .text(game.i18n.localize("rusbar.homerules.vampire.generation.fix"))
+    .attr("title", game.i18n.localize("rusbar.homerules.vampire.generation.fixTitle"));
+
+  fixButton.on("click", async (event) => {
+    event.preventDefault();
+    event.stopPropagation();
+
+    const result = await fixGenerationMismatches(actor);
+    if (result.reason === "fixed") {
+      ui.notifications?.info(game.i18n.format("rusbar.homerules.vampire.generation.fixed", { actor: actor.name }));
+    }
+  });
+
+  row.append(fixButton);
+}
+
+/**
+ * Tooltip text explaining where the hunger Virtue came from.
+ *
+ * @param {{ virtueSource: string, pathId: string|null }} meta calcBloodpoolExtras meta
+ * @returns {string}
+ */
+function getHungerVirtueSourceText({ virtueSource, pathId }) {
+  if (virtueSource === "path") {
+    return game.i18n.format("rusbar.homerules.vampire.virtue.source.path", {
+      path: game.i18n.localize(`rusbar.homerules.vampire.path.${pathId}`),
+    });
+  }
+  return game.i18n.localize(`rusbar.homerules.vampire.virtue.source.${virtueSource}`);
+}
+
+/**
+ * Append the hunger Virtue picker (Auto / Self-Control / Instinct) to the hunger line.
+ * "Auto" removes the actor flag, so the Path decides again.
+ *
+ * @param {JQuery} line
+ * @param {Actor} actor
+ */
+function appendHungerVirtueChoice(line, actor) {
+  const current = actor.getFlag(MODULE_ID, HUNGER_VIRTUE.FLAG);
+  const selected = HUNGER_VIRTUE.CHOICES.includes(current) ? current : "auto";
+
+  const select = $(`<select data-rb-action="hunger-virtue" style="font-size: 12px;width:auto;height:auto;margin-left:4px;"></select>`)
+    .attr("title", game.i18n.localize("rusbar.homerules.vampire.virtue.choiceTitle"));
+
+  for (const choice of HUNGER_VIRTUE.CHOICES) {
+    const option = $("<option></option>")
+      .val(choice)
+      .text(game.i18n.localize(`rusbar.homerules.vampire.virtue.choice.${choice}`));
+    option.prop("selected", choice === selected);
+    select.append(option);
+  }
+
+  select.on("change", async (event) => {
+    event.stopPropagation();
+    const value = String(event.currentTarget.value);
+
+    try {
+      if (value === "auto") await actor.unsetFlag(MODULE_ID, HUNGER_VIRTUE.FLAG);
+      else await actor.setFlag(MODULE_ID, HUNGER_VIRTUE.FLAG, value);
+    } catch (err) {
+      error("Failed to store hunger Virtue choice", { actorId: actor.id, value, err });
+    }
+  });
+
+  line.append(select);
+}
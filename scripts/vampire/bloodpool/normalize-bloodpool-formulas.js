@@ -0,0 +1,39 @@
+import { BLOODPOOL_FORMULAS } from "../../constants/bloodpool-formulas.js";
+import { compileFormula } from "../../formulas/compile-formula.js";
+
+/**
+ * Formula keys (same as BLOODPOOL_FORMULAS.DEFAULTS).
+ */
+export const BLOODPOOL_FORMULA_KEYS = Object.freeze(Object.keys(BLOODPOOL_FORMULAS.DEFAULTS));
+
+/**
+ * Compile a Blood Pool formula against the Blood Pool variables.
+ *
+ * @param {string} source
+ */
+export function compileBloodpoolFormula(source) {
+  return compileFormula(source, { variables: BLOODPOOL_FORMULAS.VARIABLES });
+}
+
+/**
+ * Normalize a (possibly partial or user-entered) Blood Pool formulas object.
+ *
+ * Formulas that do not compile fall back to the defaults, so a broken stored value can
+ * never break sheets. The settings form validates before saving.
+ *
+ * Pure: no Foundry globals, safe to use from settings code (no logger import).
+ *
+ * @param {object} [raw]
+ * @returns {{ wakeCost: string, hunger: string }}
+ */
+export function normalizeBloodpoolFormulas(raw) {
+  const src = raw && typeof raw === "object" ? raw : {};
+  const out = {};
+
+  for (const key of BLOODPOOL_FORMULA_KEYS) {
+    const source = typeof src[key] === "string" ? src[key].trim() : "";
+    out[key] = compileBloodpoolFormula(source).ok ? source : BLOODPOOL_FORMULAS.DEFAULTS[key];
+  }
+
+  return out;
+}
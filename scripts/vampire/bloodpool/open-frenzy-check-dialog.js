@@ -0,0 +1,42 @@
+import { debugNs } from "../../logger/ns.js";
+import { SYSTEM_IDS } from "../../constants/system-ids.js";
+
+const { debug, warn, error } = debugNs("vampire:frenzy");
+
+/**
+ * Open the upstream frenzy check dialog for an actor.
+ *
+ * Same approach as openFateRollDialog: the system dialog owns difficulty, modifiers and
+ * the roll itself. The roll object class is the system export named in
+ * SYSTEM_IDS.FRENZY_ROLL_EXPORT_NAME.
+ *
+ * @param {Actor} actor
+ * @returns {Promise<boolean>} False when the dialog could not be opened.
+ */
+export async function openFrenzyCheckDialog(actor) {
+  if (!actor) return false;
+
+  try {
+    const mod = await import(SYSTEM_IDS.DIALOG_FRENZY_MODULE_PATH);
+    const DialogCheckFrenzy = mod?.DialogCheckFrenzy;
+    const FrenzyRoll = mod?.[SYSTEM_IDS.FRENZY_ROLL_EXPORT_NAME];
+
+    if (!DialogCheckFrenzy || !FrenzyRoll) {
+      warn("Upstream DialogCheckFrenzy/Frenzy not found; cannot open frenzy check", {
+        path: SYSTEM_IDS.DIALOG_FRENZY_MODULE_PATH,
+        rollExport: SYSTEM_IDS.FRENZY_ROLL_EXPORT_NAME,
+        exports: Object.keys(mod ?? {}),
+      });
+      return false;
+    }
+
+    const dialog = new DialogCheckFrenzy(actor, new FrenzyRoll(actor));
+    dialog.render(true);
+
+    debug("Opened frenzy check dialog", { actorId: actor.id });
+    return true;
+  } catch (err) {
+    error("Failed to open frenzy check dialog", { actorId: actor?.id, err });
+    return false;
+  }
+}
@@ -0,0 +1,60 @@
+import { BLOODPOOL_DATA } from "../../constants/bloodpool-data.js";
+import { SYSTEM_IDS } from "../../constants/system-ids.js";
+import { debugNs } from "../../logger/ns.js";
+import { calcBloodpoolExtras } from "./calc-bloodpool-extras.js";
+import { evaluateBloodHunger } from "./evaluate-blood-hunger.js";
+import { getBloodHungerCheckMode, runBloodHungerCheck } from "./run-blood-hunger-check.js";
+
+const { debug, info, error } = debugNs("vampire:bloodpool:hunger:hook");
+
+/**
+ * Update option key carrying the Blood Pool value before the update
+ * (from preUpdateActor to updateActor on the same client).
+ */
+const BEFORE_OPTION = "rbBloodBefore";
+
+/**
+ * Run the automatic hunger check when a Vampire's blood drops to or below the hunger threshold.
+ *
+ * Why a hook pair:
+ * - Blood changes come from many places (sheet squares, Wake button, macros, other modules);
+ *   watching actor updates catches them all.
+ * - updateActor only sees the new value, so preUpdateActor remembers the old one in the
+ *   update options. The check fires on crossing the threshold, not on every spent point.
+ *
+ * Only the client that made the update runs the check, so the warning is posted once.
+ */
+export function registerBloodHungerHook() {
+  Hooks.on("preUpdateActor", (actor, changes, options, userId) => {
+    try {
+      if (actor?.type !== SYSTEM_IDS.VAMPIRE_ACTOR_TYPE) return;
+      if (!foundry.utils.hasProperty(changes, BLOODPOOL_DATA.PATH_TEMPORARY)) return;
+      if (getBloodHungerCheckMode() === "off") return;
+
+      options[BEFORE_OPTION] = foundry.utils.getProperty(actor, BLOODPOOL_DATA.PATH_TEMPORARY);
+    } catch (err) {
+      error("preUpdateActor blood hunger bookkeeping failed", { actorId: actor?.id, userId, err });
+    }
+  });
+
+  Hooks.on("updateActor", async (actor, changes, options, userId) => {
+    try {
+      if (userId !== game.user?.id) return;
+      if (options?.[BEFORE_OPTION] === undefined) return;
+      if (!foundry.utils.hasProperty(changes, BLOODPOOL_DATA.PATH_TEMPORARY)) return;
+
+      const temporary = foundry.utils.getProperty(actor, BLOODPOOL_DATA.PATH_TEMPORARY);
+      const { hunger } = calcBloodpoolExtras(actor);
+      const result = evaluateBloodHunger({ temporary, hunger, before: options[BEFORE_OPTION] });
+
+      debug("Blood Pool changed", { actorId: actor.id, before: options[BEFORE_OPTION], ...result });
+      if (!result.crossed) return;
+
+      await runBloodHungerCheck(actor, { temporary });
+    } catch (err) {
+      error("updateActor blood hunger check failed", { actorId: actor?.id, userId, err });
+    }
+  });
+
+  info("Blood hunger hook registered");
+}
@@ -0,0 +1,98 @@
+import { MODULE_ID } from "../../constants/module-id.js";
+import { BLOOD_SPEND } from "../../constants/blood-spend.js";
+import { BLOODPOOL_DATA } from "../../constants/bloodpool-data.js";
+import { SYSTEM_IDS } from "../../constants/system-ids.js";
+import { debugNs } from "../../logger/ns.js";
+import { calcBloodpoolExtras } from "./calc-bloodpool-extras.js";
+import { computeBloodSpend, isSameRound } from "./compute-blood-spend.js";
+import { getActorCombatRound } from "./get-actor-combat-round.js";
+import { getBloodPerTurnLimitMode } from "./get-blood-per-turn-limit-mode.js";
+
+const { debug, info, error } = debugNs("vampire:bloodpool:spend");
+
+const FLAG_PATH = `flags.${MODULE_ID}.${BLOOD_SPEND.FLAG}`;
+
+/**
+ * Track Blood Pool spends per combat round and enforce the per-turn limit.
+ *
+ * preUpdateActor (client that makes the update):
+ * - Any decrease of the temporary Blood Pool of a Vampire in a started combat is a spend.
+ *   The reason comes from the BLOOD_SPEND.REASON_OPTION update option (see spendBlood),
+ *   sheet square clicks are "other".
+ * - The round record is written into the same update, so spend and record never diverge.
+ * - Over the limit (calcBloodpoolExtras meta.perTurn): "warn" notifies, "refuse" notifies
+ *   and cancels the update.
+ *
+ * updateCombat (active GM):
+ * - On a round change, clears the records of the combatants' actors unless they belong to
+ *   this combat's current round. Records of another round already count as empty; this
+ *   only keeps sheets and flags tidy.
+ *
+ * Outside of combat nothing is tracked.
+ */
+export function registerBloodSpendTracker() {
+  Hooks.on("preUpdateActor", (actor, changes, options, userId) => {
+    try {
+      if (actor?.type !== SYSTEM_IDS.VAMPIRE_ACTOR_TYPE) return;
+      if (!foundry.utils.hasProperty(changes, BLOODPOOL_DATA.PATH_TEMPORARY)) return;
+
+      const mode = getBloodPerTurnLimitMode();
+      if (mode === "off") return;
+
+      const before = Number.parseInt(foundry.utils.getProperty(actor, BLOODPOOL_DATA.PATH_TEMPORARY) ?? 0, 10) || 0;
+      const after = Number.parseInt(foundry.utils.getProperty(changes, BLOODPOOL_DATA.PATH_TEMPORARY) ?? 0, 10) || 0;
+      if (after >= before) return;
+
+      const round = getActorCombatRound(actor);
+      if (!round) return;
+
+      const { meta } = calcBloodpoolExtras(actor);
+      const result = computeBloodSpend({
+        record: actor.getFlag(MODULE_ID, BLOOD_SPEND.FLAG) ?? null,
+        ...round,
+        amount: before - after,
+        perTurn: meta.perTurn,
+        reason: options?.[BLOOD_SPEND.REASON_OPTION] ?? "other",
+        mode,
+        userId,
+      });
+
+      debug("Blood spend", { actorId: actor.id, before, after, mode, ...round, ...result });
+
+      if (result.exceeded) {
+        const key = result.refused
+          ? "rusbar.homerules.vampire.bloodpool.perTurnRefused"
+          : "rusbar.homerules.vampire.bloodpool.perTurnExceeded";
+        ui.notifications?.warn(
+          game.i18n.format(key, { actor: actor.name, spent: result.spentAfter, perTurn: result.perTurn })
+        );
+      }
+
+      if (result.refused) return false;
+
+      foundry.utils.setProperty(changes, FLAG_PATH, result.record);
+    } catch (err) {
+      error("Blood spend tracking failed", { actorId: actor?.id, userId, err });
+    }
+  });
+
+  Hooks.on("updateCombat", async (combat, changes) => {
+    try {
+      if (!Object.hasOwn(changes ?? {}, "round")) return;
+      if (game.users?.activeGM?.isSelf !== true) return;
+
+      for (const combatant of combat.combatants ?? []) {
+        const actor = combatant.actor;
+        const record = actor?.getFlag(MODULE_ID, BLOOD_SPEND.FLAG);
+        if (!record || isSameRound(record, combat.id, combat.round)) continue;
+
+        await actor.unsetFlag(MODULE_ID, BLOOD_SPEND.FLAG);
+        debug("Blood spend record reset", { actorId: actor.id, combatId: combat.id, round: combat.round });
+      }
+    } catch (err) {
+      error("Blood spend reset on round change failed", { combatId: combat?.id, err });
+    }
+  });
+
+  info("Blood spend tracker registered");
+}
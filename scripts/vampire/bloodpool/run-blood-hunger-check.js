@@ -0,0 +1,98 @@
+import { MODULE_ID } from "../../constants/module-id.js";
+import { SETTINGS_KEYS } from "../../constants/settings.js";
+import { debugNs } from "../../logger/ns.js";
+import { calcBloodpoolExtras } from "./calc-bloodpool-extras.js";
+import { evaluateBloodHunger } from "./evaluate-blood-hunger.js";
+import { openFrenzyCheckDialog } from "./open-frenzy-check-dialog.js";
+
+const { debug, warn, error } = debugNs("vampire:bloodpool:hunger");
+
+/**
+ * Valid values of the bloodHungerCheck setting.
+ */
+const HUNGER_CHECK_MODES = Object.freeze(["off", "chat", "frenzy"]);
+
+/**
+ * @returns {"off"|"chat"|"frenzy"}
+ */
+export function getBloodHungerCheckMode() {
+  try {
+    const value = game.settings.get(MODULE_ID, SETTINGS_KEYS.BLOOD_HUNGER_CHECK);
+    return HUNGER_CHECK_MODES.includes(value) ? value : "chat";
+  } catch (_err) {
+    return "chat";
+  }
+}
+
+/**
+ * Compare an actor's blood to its hunger threshold and react according to the setting.
+ *
+ * - "chat": post a warning card when the actor is hungry.
+ * - "frenzy": post the warning and open the upstream frenzy check dialog.
+ * - "off": automatic checks do nothing; a manual check (`manual: true`, sheet button)
+ *   still reports the result in chat, with a "not hungry" note as well.
+ *
+ * @param {Actor} actor
+ * @param {{ temporary?: number, manual?: boolean }} [options]
+ *   `temporary` overrides the actor value (e.g. right after an update).
+ * @returns {Promise<{ hungry: boolean, hunger: number, temporary: number }|null>}
+ */
+export async function runBloodHungerCheck(actor, { temporary, manual = false } = {}) {
+  if (!actor) return null;
+
+  try {
+    const configured = getBloodHungerCheckMode();
+    if (configured === "off" && manual !== true) return null;
+
+    const mode = configured === "off" ? "chat" : configured;
+    const { hunger } = calcBloodpoolExtras(actor);
+    const current = temporary ?? actor.system?.advantages?.bloodpool?.temporary;
+    const result = evaluateBloodHunger({ temporary: current, hunger });
+
+    debug("Blood hunger check", { actorId: actor.id, mode, manual, ...result });
+
+    if (!result.hungry) {
+      if (manual === true) await postHungerChatNote(actor, "notHungry", result);
+      return result;
+    }
+
+    await postHungerChatNote(actor, "hungry", result);
+
+    if (mode === "frenzy") {
+      const opened = await openFrenzyCheckDialog(actor);
+      if (!opened) {
+        warn("Frenzy check dialog unavailable; hunger reported in chat only", { actorId: actor.id });
+        ui.notifications?.warn(game.i18n.localize("rusbar.homerules.vampire.bloodpool.frenzyUnavailable"));
+      }
+    }
+
+    return result;
+  } catch (err) {
+    error("Blood hunger check failed", { actorId: actor?.id, err });
+    return null;
+  }
+}
+
+/**
+ * @param {Actor} actor
+ * @param {"hungry"|"notHungry"} kind Localization key under vampire.bloodpool.
+ * @param {{ temporary: number, hunger: number }} result
+ */
+async function postHungerChatNote(actor, kind, { temporary, hunger }) {
+  try {
+    const note = document.createElement("div");
+    note.classList.add("rb-blood-hunger-note");
+    note.textContent = game.i18n.format(`rusbar.homerules.vampire.bloodpool.${kind}`, {
+      actor: actor.name,
+      blood: temporary,
+      hunger,
+    });
+
+    await ChatMessage.create({
+      speaker: ChatMessage.getSpeaker({ actor }),
+      content: note.outerHTML,
+    });
+  } catch (err) {
+    error("Failed to post blood hunger chat note", { actorId: actor?.id, err });
+  }
+}
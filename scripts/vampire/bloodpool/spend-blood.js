@@ -0,0 +1,44 @@
+import { BLOOD_SPEND } from "../../constants/blood-spend.js";
+import { BLOODPOOL_DATA } from "../../constants/bloodpool-data.js";
+import { debugNs } from "../../logger/ns.js";
+
+const { debug, error } = debugNs("vampire:bloodpool:spend");
+
+/**
+ * Spend blood points with a reason recorded by the per-round tracker
+ * (healing, physical, discipline, ...; see BLOOD_SPEND.REASONS).
+ *
+ * Refusal:
+ * - Not enough blood: nothing is changed, `{ ok: false, reason: "insufficient" }`.
+ * - Per-turn limit in "refuse" mode: the tracker cancels the update,
+ *   `{ ok: false, reason: "refused" }`.
+ *
+ * @param {Actor} actor
+ * @param {number} amount
+ * @param {{ reason?: string }} [options]
+ * @returns {Promise<{ ok: boolean, reason: string, before: number, after: number }>}
+ */
+export async function spendBlood(actor, amount, { reason = "other" } = {}) {
+  const temporary = actor ? foundry.utils.getProperty(actor, BLOODPOOL_DATA.PATH_TEMPORARY) : 0;
+  const before = Math.max(0, Number.parseInt(temporary ?? 0, 10) || 0);
+  const cost = Math.max(0, Number.parseInt(amount ?? 0, 10) || 0);
+
+  if (!actor || cost === 0) return { ok: true, reason: "free", before, after: before };
+  if (before < cost) return { ok: false, reason: "insufficient", before, after: before };
+
+  const after = before - cost;
+
+  try {
+    const updated = await actor.update(
+      { [BLOODPOOL_DATA.PATH_TEMPORARY]: after },
+      { [BLOOD_SPEND.REASON_OPTION]: reason }
+    );
+    if (!updated) return { ok: false, reason: "refused", before, after: before };
+  } catch (err) {
+    error("Failed to spend blood", { actorId: actor.id, cost, reason, err });
+    return { ok: false, reason: "update-failed", before, after: before };
+  }
+
+  debug("Spent blood", { actorId: actor.id, cost, reason, before, after });
+  return { ok: true, reason: "spent", before, after };
+}
@@ -0,0 +1,83 @@
+import { BLOOD_SPEND } from "../../constants/blood-spend.js";
+import { BLOODPOOL_DATA } from "../../constants/bloodpool-data.js";
+import { debugNs } from "../../logger/ns.js";
+import { calcBloodpoolExtras } from "./calc-bloodpool-extras.js";
+import { computeWakeResult } from "./compute-wake-result.js";
+
+const { debug, info, error } = debugNs("vampire:bloodpool:wake");
+
+/**
+ * Deduct the wake blood cost from a Vampire's Blood Pool and write a chat note about it.
+ *
+ * Refusal:
+ * - With less blood than the wake cost nothing is changed, a notification is shown and
+ *   `{ ok: false, reason: "insufficient" }` is returned.
+ *
+ * The hunger check is not run here: the Blood Pool update triggers it through the
+ * updateActor hook (see register-blood-hunger-hook.js), like any other blood spend.
+ * The spend is marked as "wake" for the per-round tracker, so it never hits the per-turn limit.
+ *
+ * @param {Actor} actor
+ * @returns {Promise<{ ok: boolean, reason: string, cost: number, before: number, after: number }>}
+ */
+export async function wakeVampire(actor) {
+  if (!actor) return { ok: false, reason: "no-actor", cost: 0, before: 0, after: 0 };
+
+  const temporary = foundry.utils.getProperty(actor, BLOODPOOL_DATA.PATH_TEMPORARY);
+  const { wakeCost } = calcBloodpoolExtras(actor);
+  const result = computeWakeResult(temporary, wakeCost);
+
+  if (!result.ok) {
+    debug("Wake refused (not enough blood)", { actorId: actor.id, ...result });
+    ui.notifications?.warn(
+      game.i18n.format("rusbar.homerules.vampire.bloodpool.wakeNotEnough", {
+        actor: actor.name,
+        cost: result.cost,
+        blood: result.before,
+      })
+    );
+    return result;
+  }
+
+  if (result.reason === "spent") {
+    try {
+      await actor.update(
+        { [BLOODPOOL_DATA.PATH_TEMPORARY]: result.after },
+        { [BLOOD_SPEND.REASON_OPTION]: "wake" }
+      );
+    } catch (err) {
+      error("Failed to deduct wake blood cost", { actorId: actor.id, ...result, err });
+      return { ...result, ok: false, reason: "update-failed", after: result.before };
+    }
+  }
+
+  await postWakeChatNote(actor, result);
+
+  info("Vampire woke up", { actorId: actor.id, ...result });
+  return result;
+}
+
+/**
+ * @param {Actor} actor
+ * @param {{ cost: number, before: number, after: number }} result
+ */
+async function postWakeChatNote(actor, { cost, before, after }) {
+  try {
+    const note = document.createElement("div");
+    note.classList.add("rb-blood-wake-note");
+    note.textContent = game.i18n.format("rusbar.homerules.vampire.bloodpool.wakeNote", {
+      actor: actor.name,
+      cost,
+      before,
+      after,
+    });
+
+    await ChatMessage.create({
+      speaker: ChatMessage.getSpeaker({ actor }),
+      content: note.outerHTML,
+    });
+  } catch (err) {
+    // The blood is already spent; a missing note must not break anything.
+    error("Failed to post wake chat note", { actorId: actor?.id, err });
+  }
+}
@@ -0,0 +1,31 @@
+/**
+ * Blood gained by a feeding roll.
+ *
+ * - Each net success is one blood point, up to the Blood Pool size (the rest is wasted).
+ * - A botch gains nothing; `severity` is the number of botch points of the roll
+ *   (as decided by the active Evil Botches rule, see getMessageNetSuccesses).
+ * - Unknown successes (no verdict, no difficulty) change nothing.
+ *
+ * Pure: no Foundry globals.
+ *
+ * @param {{ successes: number|null, botch: boolean, severity?: number, before: number, max: number }} params
+ * @returns {{ kind: "fed"|"failed"|"botch"|"unknown", gained: number, wasted: number, severity: number, before: number, after: number }}
+ */
+export function computeFeedingResult({ successes, botch, severity = 0, before, max }) {
+  const current = Math.max(0, Number.parseInt(before ?? 0, 10) || 0);
+  const poolSize = Math.max(0, Number.parseInt(max ?? 0, 10) || 0);
+  const base = { gained: 0, wasted: 0, severity: 0, before: current, after: current };
+
+  if (botch === true) return { ...base, kind: "botch", severity: Math.max(0, Number.parseInt(severity, 10) || 0) };
+  if (successes === null || successes === undefined || !Number.isFinite(Number(successes))) {
+    return { ...base, kind: "unknown" };
+  }
+
+  const net = Math.max(0, Number(successes));
+  if (net === 0) return { ...base, kind: "failed" };
+
+  const room = poolSize > 0 ? Math.max(0, poolSize - current) : net;
+  const gained = Math.min(net, room);
+
+  return { ...base, kind: "fed", gained, wasted: net - gained, after: current + gained };
+}
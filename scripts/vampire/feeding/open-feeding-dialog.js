@@ -0,0 +1,95 @@
+import { SYSTEM_IDS } from "../../constants/system-ids.js";
+import { FEEDING } from "../../constants/feeding.js";
+import { debugNs } from "../../logger/ns.js";
+
+const { debug, warn, error } = debugNs("vampire:feeding");
+
+/**
+ * Feeding workflow, step 1: pick a hunting ground, then open the upstream General Roll
+ * dialog with the feeding pool (Perception + Streetwise) and the ground's difficulty.
+ *
+ * Same approach as openFateRollDialog: the system dialog owns modifiers, Willpower and
+ * the roll itself. The roll object is marked (FEEDING.ROLL_MARKER) so the roll context
+ * gets origin "feeding"; the feeding hook then adds the successes to the Blood Pool.
+ *
+ * @param {Actor} actor
+ */
+export async function openFeedingDialog(actor) {
+  if (!actor) return;
+
+  try {
+    const ground = await pickHuntingGround(actor);
+    if (!ground) return;
+
+    const mod = await import(SYSTEM_IDS.DIALOG_GENERAL_ROLL_MODULE_PATH);
+    const { GeneralRoll, DialogGeneralRoll } = mod ?? {};
+
+    if (!GeneralRoll || !DialogGeneralRoll) {
+      warn("Upstream GeneralRoll/DialogGeneralRoll not found; cannot open feeding roll dialog.", {
+        path: SYSTEM_IDS.DIALOG_GENERAL_ROLL_MODULE_PATH,
+      });
+      return;
+    }
+
+    const roll = new GeneralRoll(FEEDING.ABILITY, "ability", actor);
+    roll.attributeKey = FEEDING.ATTRIBUTE;
+    roll.difficulty = FEEDING.HUNTING_GROUNDS[ground];
+    roll[FEEDING.ROLL_MARKER] = ground;
+
+    const dialog = new DialogGeneralRoll(actor, roll);
+    dialog.render(true);
+
+    debug("Opened feeding roll dialog", { actorId: actor.id, ground, difficulty: roll.difficulty });
+  } catch (err) {
+    error("Failed to open feeding roll dialog", { actorId: actor?.id, err });
+  }
+}
+
+/**
+ * @param {Actor} actor
+ * @returns {Promise<string|null>} Hunting ground key, or null when cancelled.
+ */
+async function pickHuntingGround(actor) {
+  const select = document.createElement("select");
+  select.name = "ground";
+
+  for (const [key, difficulty] of Object.entries(FEEDING.HUNTING_GROUNDS)) {
+    const option = document.createElement("option");
+    option.value = key;
+    option.selected = key === FEEDING.DEFAULT_HUNTING_GROUND;
+    option.textContent = game.i18n.format("rusbar.homerules.vampire.feeding.groundOption", {
+      ground: game.i18n.localize(`rusbar.homerules.vampire.feeding.ground.${key}`),
+      difficulty,
+    });
+    select.append(option);
+  }
+
+  const group = document.createElement("div");
+  group.classList.add("form-group");
+  const label = document.createElement("label");
+  label.textContent = game.i18n.localize("rusbar.homerules.vampire.feeding.groundLabel");
+  const fields = document.createElement("div");
+  fields.classList.add("form-fields");
+  fields.append(select);
+  group.append(label, fields);
+
+  const hint = document.createElement("p");
+  hint.classList.add("hint");
+  hint.textContent = game.i18n.localize("rusbar.homerules.vampire.feeding.hint");
+
+  const ground = await foundry.applications.api.DialogV2.prompt({
+    window: {
+      title: game.i18n.format("rusbar.homerules.vampire.feeding.title", { name: actor.name }),
+      icon: "fa-solid fa-droplet",
+    },
+    content: `${group.outerHTML}${hint.outerHTML}`,
+    ok: {
+      label: "rusbar.homerules.vampire.feeding.roll",
+      icon: "fa-solid fa-dice-d10",
+      callback: (_event, button) => button.form.elements.ground.value,
+    },
+    rejectClose: false,
+  });
+
+  return Object.hasOwn(FEEDING.HUNTING_GROUNDS, ground ?? "") ? ground : null;
+}
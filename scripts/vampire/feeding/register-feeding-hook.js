@@ -0,0 +1,96 @@
+import { FEEDING } from "../../constants/feeding.js";
+import { BLOODPOOL_DATA } from "../../constants/bloodpool-data.js";
+import { SYSTEM_IDS } from "../../constants/system-ids.js";
+import { debugNs } from "../../logger/ns.js";
+import { getRollContextFromMessage } from "../../roll-context/get-roll-context-from-message.js";
+import { getMessageRuleContext } from "../../rule-overrides/get-message-rule-context.js";
+import { getMessageNetSuccesses } from "../../evil-botches/get-message-net-successes.js";
+import { calcBloodpoolExtras } from "../bloodpool/calc-bloodpool-extras.js";
+import { computeFeedingResult } from "./compute-feeding-result.js";
+
+const { debug, info, error } = debugNs("vampire:feeding:hook");
+
+/**
+ * Roll traces already turned into blood (a roll may produce several messages).
+ */
+const appliedTraceIds = new Set();
+
+/**
+ * Feeding workflow, step 2: add the successes of a feeding roll to the Blood Pool.
+ *
+ * - Runs on createChatMessage for messages whose roll context origin is "feeding"
+ *   (see openFeedingDialog), only on the client that rolled.
+ * - Successes and botches come from the stored Evil Botches verdict when the active rule
+ *   applied, otherwise from a plain V20 count (getMessageNetSuccesses).
+ * - A chat note reports the gain, the wasted blood (pool full) or the botch.
+ */
+export function registerFeedingHook() {
+  Hooks.on("createChatMessage", async (message, _options, userId) => {
+    try {
+      if (userId !== game.user?.id) return;
+
+      const ctx = getRollContextFromMessage(message);
+      if (ctx?.origin !== FEEDING.ORIGIN) return;
+
+      const traceId = ctx.rollTraceId ?? message.id;
+      if (appliedTraceIds.has(traceId)) return;
+      appliedTraceIds.add(traceId);
+
+      const { actor } = getMessageRuleContext(message);
+      if (actor?.type !== SYSTEM_IDS.VAMPIRE_ACTOR_TYPE) return;
+
+      const { successes, botch, severity } = getMessageNetSuccesses(message);
+      const { meta } = calcBloodpoolExtras(actor);
+      const result = computeFeedingResult({
+        successes,
+        botch,
+        severity,
+        before: foundry.utils.getProperty(actor, BLOODPOOL_DATA.PATH_TEMPORARY),
+        max: meta.maxBloodPool,
+      });
+
+      debug("Feeding roll resolved", { actorId: actor.id, messageId: message.id, successes, botch, severity, ...result });
+      if (result.kind === "unknown") return;
+
+      if (result.gained > 0) await actor.update({ [BLOODPOOL_DATA.PATH_TEMPORARY]: result.after });
+      await postFeedingChatNote(actor, result);
+
+      info("Feeding applied", { actorId: actor.id, kind: result.kind, gained: result.gained });
+    } catch (err) {
+      error("Failed to apply feeding roll", { messageId: message?.id, err });
+    }
+  });
+
+  info("Feeding hook registered");
+}
+
+/**
+ * @param {Actor} actor
+ * @param {{ kind: string, gained: number, wasted: number, severity: number, before: number, after: number }} result
+ */
+async function postFeedingChatNote(actor, { kind, gained, wasted, severity, before, after }) {
+  try {
+    const note = document.createElement("div");
+    note.classList.add("rb-feeding-note");
+    note.textContent = game.i18n.format(`rusbar.homerules.vampire.feeding.result.${kind}`, {
+      actor: actor.name,
+      gained,
+      severity,
+      before,
+      after,
+    });
+
+    if (wasted > 0) {
+      const extra = document.createElement("div");
+      extra.textContent = game.i18n.format("rusbar.homerules.vampire.feeding.result.wasted", { wasted });
+      note.append(extra);
+    }
+
+    await ChatMessage.create({
+      speaker: ChatMessage.getSpeaker({ actor }),
+      content: note.outerHTML,
+    });
+  } catch (err) {
+    error("Failed to post feeding chat note", { actorId: actor?.id, err });
+  }
+}
@@ -0,0 +1,35 @@
+import { BLOODPOOL_DATA } from "../../constants/bloodpool-data.js";
+import { getGenerationStats } from "./get-generation-stats.js";
+
+/**
+ * Stored actor values that must follow the generation table.
+ * `key` is the matching getGenerationStats() field.
+ */
+const CHECKED_FIELDS = Object.freeze([
+  Object.freeze({ key: "maxBloodPool", path: BLOODPOOL_DATA.PATH_MAX }),
+  Object.freeze({ key: "perTurn", path: BLOODPOOL_DATA.PATH_PER_TURN }),
+]);
+
+/**
+ * Compare a Vampire's stored Blood Pool values with the V20 generation table.
+ *
+ * Trait maximums are part of getGenerationStats() but not stored on the actor,
+ * so there is nothing to compare them with.
+ *
+ * @param {Actor} actor
+ * @returns {{ stats: object|null, mismatches: Array<{ key: string, path: string, stored: number|null, expected: number }> }}
+ *   `stats` is null (and no mismatch reported) for generations outside the table.
+ */
+export function findGenerationMismatches(actor) {
+  const stats = getGenerationStats(foundry.utils.getProperty(actor ?? {}, BLOODPOOL_DATA.PATH_GENERATION));
+  if (!stats) return { stats: null, mismatches: [] };
+
+  const mismatches = [];
+  for (const { key, path } of CHECKED_FIELDS) {
+    const raw = foundry.utils.getProperty(actor, path);
+    const stored = Number.isFinite(Number(raw)) && raw !== null && raw !== "" ? Number(raw) : null;
+    if (stored !== stats[key]) mismatches.push({ key, path, stored, expected: stats[key] });
+  }
+
+  return { stats, mismatches };
+}
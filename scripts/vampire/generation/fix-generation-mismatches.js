@@ -0,0 +1,41 @@
+import { BLOOD_SPEND } from "../../constants/blood-spend.js";
+import { BLOODPOOL_DATA } from "../../constants/bloodpool-data.js";
+import { debugNs } from "../../logger/ns.js";
+import { findGenerationMismatches } from "./find-generation-mismatches.js";
+
+const { info, error } = debugNs("vampire:generation:fix");
+
+/**
+ * Write the generation table values over the mismatching stored values.
+ *
+ * The current blood is clamped to the corrected Blood Pool size, so lowering the
+ * pool never leaves more blood than squares (recorded as a "correction", not a spend).
+ * GM only: the stored values are normally derived by the system.
+ *
+ * @param {Actor} actor
+ * @returns {Promise<{ ok: boolean, reason: string, update: Record<string, number> }>}
+ */
+export async function fixGenerationMismatches(actor) {
+  if (game.user?.isGM !== true) return { ok: false, reason: "not-gm", update: {} };
+
+  const { stats, mismatches } = findGenerationMismatches(actor);
+  if (!actor || !stats) return { ok: false, reason: "unknown-generation", update: {} };
+  if (mismatches.length === 0) return { ok: true, reason: "nothing-to-fix", update: {} };
+
+  const update = Object.fromEntries(mismatches.map((m) => [m.path, m.expected]));
+
+  const temporary = Number(foundry.utils.getProperty(actor, BLOODPOOL_DATA.PATH_TEMPORARY));
+  if (Number.isFinite(temporary) && temporary > stats.maxBloodPool) {
+    update[BLOODPOOL_DATA.PATH_TEMPORARY] = stats.maxBloodPool;
+  }
+
+  try {
+    await actor.update(update, { [BLOOD_SPEND.REASON_OPTION]: "correction" });
+  } catch (err) {
+    error("Failed to fix generation values", { actorId: actor.id, update, err });
+    return { ok: false, reason: "update-failed", update };
+  }
+
+  info("Fixed generation values", { actorId: actor.id, generation: stats.generation, update });
+  return { ok: true, reason: "fixed", update };
+}
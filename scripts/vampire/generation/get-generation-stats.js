@@ -0,0 +1,16 @@
+import { VAMPIRE_GENERATIONS } from "../../constants/vampire-generations.js";
+
+/**
+ * All generation-derived values for a generation.
+ *
+ * Pure: no Foundry globals.
+ *
+ * @param {number|string} generation
+ * @returns {{ generation: number, traitMax: number, maxBloodPool: number, perTurn: number }|null}
+ *   Null for generations outside the table.
+ */
+export function getGenerationStats(generation) {
+  const gen = Number.parseInt(generation ?? "", 10);
+  if (!Number.isFinite(gen) || !Object.hasOwn(VAMPIRE_GENERATIONS, gen)) return null;
+  return { generation: gen, ...VAMPIRE_GENERATIONS[gen] };
+}
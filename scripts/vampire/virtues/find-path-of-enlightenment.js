@@ -0,0 +1,32 @@
+import { PATHS_OF_ENLIGHTENMENT } from "../../constants/paths-of-enlightenment.js";
+
+/**
+ * Identify a Path of Enlightenment from a stored name or label.
+ *
+ * Accepts ids ("feralHeart"), labels ("Path of the Feral Heart") and system localization
+ * keys ("wod.advantages.path.humanity"): the text is lowercased, the key prefix and the
+ * leading "the" and the "path of (the)" words are dropped, and only letters are kept before matching aliases.
+ *
+ * Pure: no Foundry globals.
+ *
+ * @param {string|null|undefined} name
+ * @returns {string|null} Path id (PATHS_OF_ENLIGHTENMENT key) or null when unknown.
+ */
+export function findPathOfEnlightenment(name) {
+  if (typeof name !== "string" || name.trim() === "") return null;
+
+  const normalized = name
+    .trim()
+    .toLowerCase()
+    .replace(/^.*\./, "")
+    .replace(/^the\s+/, "")
+    .replace(/\bpath\s+of\s+(the\s+)?/g, "")
+    .replace(/[^a-z]/g, "");
+
+  if (!normalized) return null;
+
+  for (const [id, def] of Object.entries(PATHS_OF_ENLIGHTENMENT)) {
+    if (id.toLowerCase() === normalized || def.aliases.includes(normalized)) return id;
+  }
+  return null;
+}
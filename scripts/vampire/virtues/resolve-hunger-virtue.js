@@ -0,0 +1,56 @@
+import { MODULE_ID } from "../../constants/module-id.js";
+import { HUNGER_VIRTUE, PATHS_OF_ENLIGHTENMENT, PATH_NAME_DATA_PATHS } from "../../constants/paths-of-enlightenment.js";
+import { findPathOfEnlightenment } from "./find-path-of-enlightenment.js";
+
+/**
+ * Decide which Virtue feeds the hunger formula for an actor, and read its rating.
+ *
+ * Order:
+ * 1. The player's choice (flags[MODULE_ID].hungerVirtue = "selfcontrol" | "instinct").
+ * 2. The actor's Path of Enlightenment (Self-Control or Instinct, see PATHS_OF_ENLIGHTENMENT).
+ * 3. Unknown Path: Self-Control if rated, else Instinct (the original behavior).
+ *
+ * Instinct is read from `virtues.instinct` / `virtues.instincts`; when neither is rated, the
+ * Self-Control slot is used, since sheets keep the second Virtue there whatever its name.
+ *
+ * @param {Actor} actor
+ * @returns {{ key: "selfcontrol"|"instinct", value: number, source: "override"|"path"|"fallback", pathId: string|null }}
+ */
+export function resolveHungerVirtue(actor) {
+  const selfControl = readRating(actor, "system.advantages.virtues.selfcontrol.permanent");
+  const instinct =
+    readRating(actor, "system.advantages.virtues.instinct.permanent") ||
+    readRating(actor, "system.advantages.virtues.instincts.permanent");
+
+  const pathName = PATH_NAME_DATA_PATHS.map((p) => foundry.utils.getProperty(actor ?? {}, p)).find(
+    (v) => typeof v === "string" && v.trim() !== ""
+  );
+  const pathId = findPathOfEnlightenment(pathName);
+  const override = actor?.getFlag?.(MODULE_ID, HUNGER_VIRTUE.FLAG);
+
+  let key;
+  let source;
+  if (override === "selfcontrol" || override === "instinct") {
+    key = override;
+    source = "override";
+  } else if (pathId) {
+    key = PATHS_OF_ENLIGHTENMENT[pathId].virtues[1];
+    source = "path";
+  } else {
+    key = selfControl > 0 || instinct === 0 ? "selfcontrol" : "instinct";
+    source = "fallback";
+  }
+
+  const value = key === "instinct" ? instinct || selfControl : selfControl;
+  return { key, value, source, pathId };
+}
+
+/**
+ * @param {Actor} actor
+ * @param {string} path
+ * @returns {number}
+ */
+function readRating(actor, path) {
+  const n = Number(foundry.utils.getProperty(actor ?? {}, path));
+  return Number.isFinite(n) ? n : 0;
+}
@@ -0,0 +1,160 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { installFoundryStubs, d10Roll } from "../helpers/foundry-stubs.js";
+import { MODULE_ID } from "../../scripts/constants/module-id.js";
+import { buildDiceStatsSample } from "../../scripts/dice-stats/build-dice-stats-sample.js";
+import { collectDiceStatsSamples } from "../../scripts/dice-stats/collect-dice-stats-samples.js";
+import { aggregateDiceStats } from "../../scripts/dice-stats/aggregate-dice-stats.js";
+import { diceStatsToCsv } from "../../scripts/dice-stats/dice-stats-to-csv.js";
+
+const message = ({ id, timestamp = 1000, values, user = "u1", actor = "a1", rollContext = null, flags = {} }) => ({
+  id,
+  timestamp,
+  author: { id: user, name: `User ${user}` },
+  speaker: { actor, alias: `Actor ${actor}` },
+  rolls: values.map((v) => d10Roll(v)),
+  flags: { [MODULE_ID]: { ...(rollContext ? { rollContext } : {}), ...flags } },
+});
+
+describe("buildDiceStatsSample", () => {
+  beforeEach(() => installFoundryStubs());
+
+  it("counts plain V20 successes when no verdict is stored", () => {
+    const sample = buildDiceStatsSample(
+      message({ id: "m1", values: [8, 10, 1, 3], rollContext: { actorId: "a1", origin: "general", difficulty: 6 } })
+    );
+    assert.deepEqual(sample.dieValues, [8, 10, 1, 3]);
+    assert.equal(sample.successes, 1);
+    assert.equal(sample.botch, false);
+    assert.equal(sample.userName, "User u1");
+  });
+
+  it("prefers the stored Evil Botches verdict", () => {
+    const sample = buildDiceStatsSample(
+      message({
+        id: "m1",
+        values: [1, 1, 7],
+        rollContext: { difficulty: 6 },
+        flags: { evilBotches: { applied: true, calc: { outcome: { kind: "botch", value: 1 } } } },
+      })
+    );
+    assert.equal(sample.successes, 0);
+    assert.equal(sample.botch, true);
+  });
+
+  it("counts like the system chat card without a verdict", () => {
+    const sample = (values, ctx) =>
+      buildDiceStatsSample(message({ id: "m1", values, rollContext: { difficulty: 6, ...ctx } }));
+
+    assert.equal(sample([10, 7], { isSpecialized: true }).successes, 3);
+    assert.equal(sample([3, 1], { useWillpower: true }).successes, 1);
+    assert.equal(sample([8, 1], { autoSuccesses: 1 }).successes, 1);
+    assert.equal(aggregateDiceStats([sample([10, 7], { isSpecialized: true })]).byDifficulty[0].averageSuccesses, 3);
+
+    installFoundryStubs({ wodConfig: { handleOnes: false } });
+    assert.equal(sample([8, 1]).successes, 1);
+  });
+
+  it("leaves successes unknown without a difficulty", () => {
+    assert.equal(buildDiceStatsSample(message({ id: "m1", values: [5] })).successes, null);
+  });
+
+  it("skips messages without d10 results", () => {
+    assert.equal(buildDiceStatsSample(message({ id: "m1", values: [] })), null);
+  });
+
+  it("sums stored Fate areas", () => {
+    const sample = buildDiceStatsSample(
+      message({
+        id: "m1",
+        values: [10],
+        flags: {
+          fateResult: {
+            rule: "delta",
+            areas: [
+              { fateDice: 2, tens: 1, ones: 0, kind: "success" },
+              { fateDice: 1, tens: 0, ones: 1, kind: "botch" },
+            ],
+          },
+        },
+      })
+    );
+    assert.deepEqual(sample.fate, { dice: 3, tens: 1, ones: 1, kinds: ["success", "botch"] });
+  });
+});
+
+describe("aggregateDiceStats", () => {
+  beforeEach(() => installFoundryStubs());
+
+  const samples = () =>
+    collectDiceStatsSamples([
+      message({ id: "m2", timestamp: 2000, values: [1, 2], user: "u2", actor: "a2", rollContext: { difficulty: 6 } }),
+      message({ id: "m1", timestamp: 1000, values: [10, 6, 1], rollContext: { difficulty: 6 } }),
+      message({ id: "m3", timestamp: 3000, values: [7, 7], rollContext: { difficulty: 8 } }),
+    ]);
+
+  it("collects samples oldest first and filters by time", () => {
+    assert.deepEqual(samples().map((s) => s.messageId), ["m1", "m2", "m3"]);
+    assert.equal(collectDiceStatsSamples([message({ id: "m1", timestamp: 5, values: [3] })], { fromMs: 10 }).length, 0);
+  });
+
+  it("builds totals and per-user groups", () => {
+    const stats = aggregateDiceStats(samples());
+    assert.deepEqual(stats.totals, { rolls: 3, dice: 7, botches: 1, botchRate: 0.33 });
+
+    const [u1, u2] = stats.byUser;
+    assert.equal(u1.id, "u1");
+    assert.equal(u1.rolls, 2);
+    assert.deepEqual(u1.distribution, [1, 0, 0, 0, 0, 1, 2, 0, 0, 1]);
+    assert.equal(u1.averageSuccesses, 0.5);
+    assert.equal(u2.botchRate, 1);
+  });
+
+  it("averages successes by difficulty", () => {
+    assert.deepEqual(aggregateDiceStats(samples()).byDifficulty, [
+      { difficulty: 6, rolls: 2, averageSuccesses: 0.5, botches: 1, botchRate: 0.5 },
+      { difficulty: 8, rolls: 1, averageSuccesses: 0, botches: 0, botchRate: 0 },
+    ]);
+  });
+
+  it("counts a botch as 0 successes in the averages", () => {
+    const sample = { userId: "u1", dieValues: [1, 1], difficulty: 6, successes: -2, botch: true };
+    const stats = aggregateDiceStats([sample, { ...sample, dieValues: [8, 9], successes: 2, botch: false }]);
+    assert.equal(stats.byUser[0].averageSuccesses, 1);
+    assert.deepEqual(stats.byDifficulty, [{ difficulty: 6, rolls: 2, averageSuccesses: 1, botches: 1, botchRate: 0.5 }]);
+  });
+
+  it("handles an empty log", () => {
+    const stats = aggregateDiceStats([]);
+    assert.deepEqual(stats.totals, { rolls: 0, dice: 0, botches: 0, botchRate: 0 });
+    assert.deepEqual(stats.byUser, []);
+  });
+});
+
+describe("diceStatsToCsv", () => {
+  it("writes one row per group and quotes names", () => {
+    const csv = diceStatsToCsv({
+      byUser: [
+        {
+          id: "u1",
+          name: 'Ann, "the cursed"',
+          rolls: 1,
+          dice: 1,
+          distribution: [1, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+          averageDie: 1,
+          botches: 1,
+          botchRate: 1,
+          averageSuccesses: 0,
+        },
+      ],
+      byActor: [],
+      byDifficulty: [{ difficulty: 6, rolls: 1, averageSuccesses: 0, botches: 1, botchRate: 1 }],
+    });
+
+    const lines = csv.trim().split("\n");
+    assert.equal(lines.length, 3);
+    assert.equal(lines[1], 'user,u1,"Ann, ""the cursed""",1,1,1,0,0,0,0,0,0,0,0,0,1,1,1,0');
+    assert.equal(lines[2], "difficulty,6,,1,,,,,,,,,,,,,1,1,0");
+  });
+});
@@ -0,0 +1,45 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { installFoundryStubs } from "../helpers/foundry-stubs.js";
+import { buildEvilBotchesVerdict } from "../../scripts/evil-botches/build-evil-botches-verdict.js";
+import { computeEvilBotchesResult } from "../../scripts/evil-botches/rolls/compute-evil-botches-result.js";
+
+describe("buildEvilBotchesVerdict", () => {
+  beforeEach(() => installFoundryStubs());
+
+  it("records skipped rolls with their gate reason", () => {
+    const verdict = buildEvilBotchesVerdict({ ok: false, reason: "favorited-trait", rollCtx: { rollTraceId: "t1" } });
+    assert.deepEqual(verdict, { version: 1, applied: false, reason: "favorited-trait", rollTraceId: "t1" });
+  });
+
+  it("stores inputs and calc without the localized text", () => {
+    const dieValues = [10, 1, 1];
+    const calc = computeEvilBotchesResult({
+      dieValues,
+      difficulty: 6,
+      isSpecialized: false,
+      autoSuccesses: 0,
+      isWillpowerUsed: false,
+    });
+
+    const verdict = buildEvilBotchesVerdict({
+      ok: true,
+      rollCtx: { rollTraceId: "t2" },
+      origin: "general",
+      difficulty: 6,
+      isSpecialized: false,
+      isWillpowerUsed: false,
+      autoSuccesses: 0,
+      dieValues,
+      calc,
+    });
+
+    assert.equal(verdict.applied, true);
+    assert.equal(verdict.rollTraceId, "t2");
+    assert.deepEqual(verdict.dieValues, dieValues);
+    assert.equal(verdict.calc.outcome.kind, "botch");
+    assert.equal(verdict.calc.outcome.value, 1);
+    assert.equal("outcomeText" in verdict.calc, false);
+  });
+});
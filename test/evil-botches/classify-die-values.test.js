@@ -0,0 +1,25 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { classifyDieValues } from "../../scripts/evil-botches/rolls/classify-die-values.js";
+
+describe("classifyDieValues", () => {
+  it("classifies dice against the difficulty", () => {
+    assert.deepEqual(
+      classifyDieValues([1, 10, 6, 5], 6).map((d) => d.kind),
+      ["one", "ten", "success", "fail"]
+    );
+  });
+
+  it("classifies 10 as a ten and 1 as a one even at extreme difficulties", () => {
+    assert.deepEqual(
+      classifyDieValues([10, 1], 10).map((d) => d.kind),
+      ["ten", "one"]
+    );
+    assert.equal(classifyDieValues([1], 1)[0].kind, "one");
+  });
+
+  it("returns an empty list for missing input", () => {
+    assert.deepEqual(classifyDieValues(undefined, 6), []);
+  });
+});
@@ -0,0 +1,82 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { installFoundryStubs } from "../helpers/foundry-stubs.js";
+import { computeEvilBotchesResult } from "../../scripts/evil-botches/rolls/compute-evil-botches-result.js";
+import { getTenSuccessValue } from "../../scripts/evil-botches/rolls/get-ten-success-value.js";
+
+describe("getTenSuccessValue", () => {
+  beforeEach(() => installFoundryStubs());
+
+  it("uses specialityAddSuccess for specialized rolls", () => {
+    assert.equal(getTenSuccessValue(true), 2);
+  });
+
+  it("counts 1 for unspecialized rolls without the ten rule", () => {
+    assert.equal(getTenSuccessValue(false), 1);
+  });
+
+  it("uses tenAddSuccess when the ten rule is enabled", () => {
+    installFoundryStubs({ wodConfig: { usetenAddSuccess: true, tenAddSuccess: 3 } });
+    assert.equal(getTenSuccessValue(false), 3);
+  });
+
+  it("falls back to sane values for invalid config", () => {
+    installFoundryStubs({ wodConfig: { specialityAddSuccess: "x" } });
+    assert.equal(getTenSuccessValue(true), 2);
+  });
+
+  it("returns 1 without a system config", () => {
+    globalThis.CONFIG = {};
+    assert.equal(getTenSuccessValue(true), 1);
+  });
+});
+
+describe("computeEvilBotchesResult", () => {
+  beforeEach(() => installFoundryStubs());
+
+  const base = { difficulty: 6, isSpecialized: false, autoSuccesses: 0, isWillpowerUsed: false };
+
+  it("counts successes, ones and tens", () => {
+    const calc = computeEvilBotchesResult({ ...base, dieValues: [10, 7, 6, 5, 1] });
+    assert.equal(calc.ones, 1);
+    assert.equal(calc.tens, 1);
+    assert.equal(calc.diceSuccesses, 3);
+    assert.equal(calc.successesBeforeOnes, 3);
+    assert.equal(calc.outcome.kind, "success");
+    assert.equal(calc.outcome.value, 2);
+    assert.equal(calc.outcome.rule, "home");
+  });
+
+  it("doubles 10s on specialized rolls", () => {
+    const calc = computeEvilBotchesResult({ ...base, isSpecialized: true, dieValues: [10, 1] });
+    assert.equal(calc.tenValue, 2);
+    assert.equal(calc.diceSuccesses, 2);
+    assert.equal(calc.outcome.value, 1);
+  });
+
+  it("adds auto-successes before subtracting ones", () => {
+    const calc = computeEvilBotchesResult({ ...base, autoSuccesses: 2, dieValues: [1, 3] });
+    assert.equal(calc.successesBeforeOnes, 2);
+    assert.equal(calc.outcome.kind, "success");
+    assert.equal(calc.outcome.value, 1);
+  });
+
+  it("reports an evil botch when ones exceed successes", () => {
+    const calc = computeEvilBotchesResult({ ...base, dieValues: [8, 1, 1, 1] });
+    assert.equal(calc.outcome.kind, "botch");
+    assert.equal(calc.outcome.value, 2);
+    assert.match(calc.outcomeText, /evilBotches\.chat\.botch/);
+  });
+
+  it("ignores invalid auto-successes", () => {
+    const calc = computeEvilBotchesResult({ ...base, autoSuccesses: Number.NaN, dieValues: [7] });
+    assert.equal(calc.successesBeforeOnes, 1);
+  });
+
+  it("passes the selected outcome variant through", () => {
+    const calc = computeEvilBotchesResult({ ...base, dieValues: [8, 1, 1, 1], outcomeRule: "botch-zero-successes" });
+    assert.equal(calc.outcome.rule, "botch-zero-successes");
+    assert.equal(calc.outcome.kind, "failure");
+  });
+});
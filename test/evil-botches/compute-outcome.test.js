@@ -0,0 +1,46 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { computeOutcome } from "../../scripts/evil-botches/outcome/compute-outcome.js";
+
+describe("computeOutcome (home rule)", () => {
+  it("subtracts ones from successes", () => {
+    const out = computeOutcome(3, 1, false);
+    assert.equal(out.kind, "success");
+    assert.equal(out.value, 2);
+    assert.equal(out.willpowerRuleApplied, "none");
+  });
+
+  it("botches when ones exceed successes", () => {
+    const out = computeOutcome(1, 3, false);
+    assert.equal(out.kind, "botch");
+    assert.equal(out.value, 2);
+  });
+
+  it("fails when ones equal successes", () => {
+    const out = computeOutcome(2, 2, false);
+    assert.equal(out.kind, "failure");
+    assert.equal(out.value, 0);
+  });
+
+  it("adds one success with Willpower when net is positive", () => {
+    const out = computeOutcome(3, 1, true);
+    assert.equal(out.kind, "success");
+    assert.equal(out.value, 3);
+    assert.equal(out.netBeforeWillpower, 2);
+    assert.equal(out.willpowerRuleApplied, "plus-1");
+  });
+
+  it("sets the result to one success with Willpower when net is zero or less", () => {
+    const out = computeOutcome(0, 4, true);
+    assert.equal(out.kind, "success");
+    assert.equal(out.value, 1);
+    assert.equal(out.netBeforeWillpower, -4);
+    assert.equal(out.willpowerRuleApplied, "set-to-1");
+  });
+
+  it("treats non-numeric input as zero", () => {
+    const out = computeOutcome(Number.NaN, undefined, false);
+    assert.equal(out.kind, "failure");
+  });
+});
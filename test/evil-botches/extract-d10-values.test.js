@@ -0,0 +1,65 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { d10Roll } from "../helpers/foundry-stubs.js";
+import { extractD10ValuesFromRoll } from "../../scripts/evil-botches/rolls/extract-d10-values-from-roll.js";
+import { extractD10ValuesFromRolls } from "../../scripts/evil-botches/rolls/extract-d10-values-from-rolls.js";
+import { getMessageRolls } from "../../scripts/evil-botches/rolls/get-message-rolls.js";
+
+describe("extractD10ValuesFromRoll", () => {
+  it("reads results from roll.dice", () => {
+    assert.deepEqual(extractD10ValuesFromRoll(d10Roll(7)), [7]);
+  });
+
+  it("ignores non-d10 dice and out-of-range results", () => {
+    const roll = {
+      dice: [
+        { faces: 6, results: [{ result: 4 }] },
+        { faces: 10, results: [{ result: 3 }, { result: 11 }, { result: "x" }] },
+      ],
+    };
+    assert.deepEqual(extractD10ValuesFromRoll(roll), [3]);
+  });
+
+  it("falls back to scanning nested terms", () => {
+    const roll = {
+      terms: [
+        { terms: [{ faces: 10, results: [{ result: 10 }] }] },
+        { operator: "+" },
+        { faces: 10, results: [{ result: 1 }] },
+      ],
+    };
+    assert.deepEqual(extractD10ValuesFromRoll(roll).sort((a, b) => a - b), [1, 10]);
+  });
+
+  it("returns an empty list for garbage", () => {
+    assert.deepEqual(extractD10ValuesFromRoll(null), []);
+    assert.deepEqual(extractD10ValuesFromRoll({ terms: "nope" }), []);
+  });
+});
+
+describe("extractD10ValuesFromRolls", () => {
+  it("aggregates one-die rolls into a pool", () => {
+    assert.deepEqual(extractD10ValuesFromRolls([d10Roll(1), d10Roll(6), d10Roll(10)]), [1, 6, 10]);
+  });
+
+  it("handles missing input", () => {
+    assert.deepEqual(extractD10ValuesFromRolls(undefined), []);
+  });
+});
+
+describe("getMessageRolls", () => {
+  it("prefers message.rolls", () => {
+    const rolls = [d10Roll(5)];
+    assert.equal(getMessageRolls({ rolls }), rolls);
+  });
+
+  it("falls back to a single message.roll", () => {
+    const roll = d10Roll(5);
+    assert.deepEqual(getMessageRolls({ rolls: [], roll }), [roll]);
+  });
+
+  it("returns an empty list without rolls", () => {
+    assert.deepEqual(getMessageRolls({}), []);
+  });
+});
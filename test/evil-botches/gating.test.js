@@ -0,0 +1,76 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { installFoundryStubs, createStubActor } from "../helpers/foundry-stubs.js";
+import { getFavoritedSnapshot } from "../../scripts/evil-botches/gating/get-favorited-snapshot.js";
+import { shouldApplyEvilBotchesToRoll } from "../../scripts/evil-botches/gating/should-apply-evil-botches-to-roll.js";
+
+const favoritedActor = () =>
+  createStubActor({
+    system: {
+      attributes: { dexterity: { isfavorited: true }, strength: {} },
+      abilities: { brawl: { isfavorited: false }, firearms: { isfavorited: true } },
+    },
+  });
+
+describe("getFavoritedSnapshot", () => {
+  it("detects a favorited attribute", () => {
+    const snap = getFavoritedSnapshot(favoritedActor(), { attribute: "dexterity", ability: "brawl" });
+    assert.equal(snap.isFavorited, true);
+    assert.deepEqual(snap.hits, [{ path: "attributes.dexterity.isfavorited" }]);
+  });
+
+  it("checks swapped namespaces", () => {
+    const snap = getFavoritedSnapshot(favoritedActor(), { attribute: "firearms", ability: null });
+    assert.equal(snap.isFavorited, true);
+    assert.deepEqual(snap.hits, [{ path: "abilities.firearms.isfavorited" }]);
+  });
+
+  it("reports nothing for plain traits", () => {
+    const snap = getFavoritedSnapshot(favoritedActor(), { attribute: "strength", ability: "brawl" });
+    assert.equal(snap.isFavorited, false);
+    assert.deepEqual(snap.hits, []);
+  });
+
+  it("tolerates a missing actor", () => {
+    assert.equal(getFavoritedSnapshot(null, { attribute: "strength" }).isFavorited, false);
+  });
+});
+
+describe("shouldApplyEvilBotchesToRoll", () => {
+  beforeEach(() => installFoundryStubs());
+
+  const actor = createStubActor();
+
+  it("applies to ordinary rolls", () => {
+    const gate = shouldApplyEvilBotchesToRoll({ rollCtx: { origin: "general" }, actor });
+    assert.equal(gate.ok, true);
+  });
+
+  it("skips when the system does not subtract ones", () => {
+    installFoundryStubs({ wodConfig: { handleOnes: false } });
+    const gate = shouldApplyEvilBotchesToRoll({ rollCtx: {}, actor });
+    assert.equal(gate.reason, "system-handleOnes-disabled");
+  });
+
+  it("mirrors the soak and damage origin toggles", () => {
+    assert.equal(shouldApplyEvilBotchesToRoll({ rollCtx: { origin: "soak" }, actor }).reason, "system-useOnesSoak-disabled");
+    assert.equal(
+      shouldApplyEvilBotchesToRoll({ rollCtx: { origin: "damage" }, actor }).reason,
+      "system-useOnesDamage-disabled"
+    );
+
+    installFoundryStubs({ wodConfig: { useOnesSoak: true } });
+    assert.equal(shouldApplyEvilBotchesToRoll({ rollCtx: { origin: "soak" }, actor }).ok, true);
+  });
+
+  it("skips rolls without an actor", () => {
+    const gate = shouldApplyEvilBotchesToRoll({ rollCtx: { actorId: "missing" }, actor: null });
+    assert.equal(gate.reason, "no-actor");
+  });
+
+  it("skips favorited traits", () => {
+    const gate = shouldApplyEvilBotchesToRoll({ rollCtx: { attribute: "dexterity" }, actor: favoritedActor() });
+    assert.equal(gate.reason, "favorited-trait");
+  });
+});
@@ -0,0 +1,144 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { computeOutcomeRawV20 } from "../../scripts/evil-botches/outcome/compute-outcome-raw-v20.js";
+import { computeOutcomeBotchZeroSuccesses } from "../../scripts/evil-botches/outcome/compute-outcome-botch-zero-successes.js";
+import { computeOutcomeOnesCancelTensFirst } from "../../scripts/evil-botches/outcome/compute-outcome-ones-cancel-tens-first.js";
+import { applyWillpowerHomeRule } from "../../scripts/evil-botches/outcome/apply-willpower-home-rule.js";
+import {
+  EVIL_BOTCHES_OUTCOME_RULES,
+  DEFAULT_EVIL_BOTCHES_OUTCOME_RULE,
+  computeEvilBotchesOutcome,
+} from "../../scripts/evil-botches/outcome/evil-botches-outcome-rules.js";
+
+describe("applyWillpowerHomeRule", () => {
+  it("leaves net untouched without Willpower", () => {
+    assert.deepEqual(applyWillpowerHomeRule(-2, false), { net: -2, willpowerRuleApplied: "none" });
+  });
+
+  it("adds one to a positive net", () => {
+    assert.deepEqual(applyWillpowerHomeRule(2, true), { net: 3, willpowerRuleApplied: "plus-1" });
+  });
+
+  it("raises a non-positive net to one", () => {
+    assert.deepEqual(applyWillpowerHomeRule(0, true), { net: 1, willpowerRuleApplied: "set-to-1" });
+  });
+});
+
+describe("computeOutcomeRawV20", () => {
+  it("adds the Willpower success before ones", () => {
+    const out = computeOutcomeRawV20({ successesBeforeOnes: 2, ones: 1, isWillpowerUsed: true });
+    assert.equal(out.kind, "success");
+    assert.equal(out.value, 2);
+    assert.equal(out.willpowerRuleApplied, "auto-success");
+  });
+
+  it("lets ones cancel the Willpower success", () => {
+    const out = computeOutcomeRawV20({ successesBeforeOnes: 0, ones: 1, isWillpowerUsed: true });
+    assert.equal(out.kind, "failure");
+  });
+
+  it("botches when ones exceed successes including Willpower", () => {
+    const out = computeOutcomeRawV20({ successesBeforeOnes: 0, ones: 3, isWillpowerUsed: true });
+    assert.equal(out.kind, "botch");
+    assert.equal(out.value, 2);
+  });
+
+  it("matches the home rule without Willpower", () => {
+    const out = computeOutcomeRawV20({ successesBeforeOnes: 1, ones: 3, isWillpowerUsed: false });
+    assert.equal(out.kind, "botch");
+    assert.equal(out.value, 2);
+  });
+});
+
+describe("computeOutcomeBotchZeroSuccesses", () => {
+  it("botches only when no successes were rolled", () => {
+    const out = computeOutcomeBotchZeroSuccesses({ successesBeforeOnes: 0, ones: 2, isWillpowerUsed: false });
+    assert.equal(out.kind, "botch");
+    assert.equal(out.value, 2);
+  });
+
+  it("fails instead of botching when some successes were rolled", () => {
+    const out = computeOutcomeBotchZeroSuccesses({ successesBeforeOnes: 1, ones: 3, isWillpowerUsed: false });
+    assert.equal(out.kind, "failure");
+    assert.equal(out.value, 0);
+  });
+
+  it("uses the home Willpower rule", () => {
+    const out = computeOutcomeBotchZeroSuccesses({ successesBeforeOnes: 0, ones: 2, isWillpowerUsed: true });
+    assert.equal(out.kind, "success");
+    assert.equal(out.value, 1);
+    assert.equal(out.willpowerRuleApplied, "set-to-1");
+  });
+
+  it("fails on zero successes and zero ones", () => {
+    const out = computeOutcomeBotchZeroSuccesses({ successesBeforeOnes: 0, ones: 0, isWillpowerUsed: false });
+    assert.equal(out.kind, "failure");
+  });
+});
+
+describe("computeOutcomeOnesCancelTensFirst", () => {
+  it("cancels a specialized 10 with its full value", () => {
+    // dice: 10 (x2), 7, 1 => successes 3, one 1 cancels the 10 worth 2
+    const out = computeOutcomeOnesCancelTensFirst({
+      successesBeforeOnes: 3,
+      ones: 1,
+      tens: 1,
+      tenValue: 2,
+      isWillpowerUsed: false,
+    });
+    assert.equal(out.kind, "success");
+    assert.equal(out.value, 1);
+    assert.equal(out.cancelledTens, 1);
+  });
+
+  it("applies remaining ones to ordinary successes", () => {
+    const out = computeOutcomeOnesCancelTensFirst({
+      successesBeforeOnes: 2,
+      ones: 3,
+      tens: 1,
+      tenValue: 1,
+      isWillpowerUsed: false,
+    });
+    assert.equal(out.cancelledTens, 1);
+    assert.equal(out.kind, "botch");
+    assert.equal(out.value, 1);
+  });
+
+  it("behaves like the home rule when no 10s were rolled", () => {
+    const out = computeOutcomeOnesCancelTensFirst({
+      successesBeforeOnes: 3,
+      ones: 1,
+      tens: 0,
+      tenValue: 2,
+      isWillpowerUsed: true,
+    });
+    assert.equal(out.kind, "success");
+    assert.equal(out.value, 3);
+    assert.equal(out.willpowerRuleApplied, "plus-1");
+  });
+});
+
+describe("computeEvilBotchesOutcome (registry)", () => {
+  it("registers every variant", () => {
+    assert.deepEqual(Object.keys(EVIL_BOTCHES_OUTCOME_RULES), [
+      "home",
+      "raw-v20",
+      "botch-zero-successes",
+      "ones-cancel-tens-first",
+    ]);
+    assert.equal(DEFAULT_EVIL_BOTCHES_OUTCOME_RULE, "home");
+  });
+
+  it("adds the resolved rule id to the outcome", () => {
+    const out = computeEvilBotchesOutcome("raw-v20", { successesBeforeOnes: 1, ones: 0, isWillpowerUsed: true });
+    assert.equal(out.rule, "raw-v20");
+    assert.equal(out.value, 2);
+  });
+
+  it("falls back to the home rule for unknown ids", () => {
+    const out = computeEvilBotchesOutcome("nope", { successesBeforeOnes: 0, ones: 1, isWillpowerUsed: true });
+    assert.equal(out.rule, "home");
+    assert.equal(out.willpowerRuleApplied, "set-to-1");
+  });
+});
@@ -0,0 +1,100 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { installFoundryStubs, createStubActor } from "../helpers/foundry-stubs.js";
+import { computeFateRegain, FATE_REGAIN_MODES } from "../../scripts/fate/compute-fate-regain.js";
+import { computeFatePurchaseCost } from "../../scripts/fate/compute-fate-purchase-cost.js";
+import { getAvailableExperience } from "../../scripts/fate/get-available-experience.js";
+import { buildFateLogUpdate, FATE_LOG_FLAG } from "../../scripts/fate/build-fate-log-update.js";
+import { MODULE_ID } from "../../scripts/constants/module-id.js";
+import { SYSTEM_IDS } from "../../scripts/constants/system-ids.js";
+
+describe("computeFateRegain", () => {
+  it("exposes both modes", () => {
+    assert.deepEqual([...FATE_REGAIN_MODES], ["full", "partial"]);
+  });
+
+  it("full: refreshes temporary to permanent", () => {
+    assert.equal(computeFateRegain(1, 4, { mode: "full" }), 4);
+  });
+
+  it("partial: adds the amount, capped by permanent", () => {
+    assert.equal(computeFateRegain(1, 4, { mode: "partial", amount: 2 }), 3);
+    assert.equal(computeFateRegain(3, 4, { mode: "partial", amount: 2 }), 4);
+  });
+
+  it("clamps broken current values", () => {
+    assert.equal(computeFateRegain(9, 3, { mode: "partial", amount: 1 }), 3);
+    assert.equal(computeFateRegain(-2, 3, { mode: "partial", amount: 1 }), 1);
+  });
+
+  it("defaults to a full refresh", () => {
+    assert.equal(computeFateRegain(0, 2), 2);
+  });
+});
+
+describe("computeFatePurchaseCost", () => {
+  const costs = { newDot: 3, multiplier: 2 };
+
+  it("charges the new-dot cost for the first dot", () => {
+    assert.equal(computeFatePurchaseCost(0, 1, costs), 3);
+  });
+
+  it("charges current rating x multiplier for further dots", () => {
+    assert.equal(computeFatePurchaseCost(2, 3, costs), 4);
+    assert.equal(computeFatePurchaseCost(0, 3, costs), 3 + 2 + 4);
+  });
+
+  it("is free when lowering or unchanged", () => {
+    assert.equal(computeFatePurchaseCost(3, 1, costs), 0);
+    assert.equal(computeFatePurchaseCost(2, 2, costs), 0);
+  });
+});
+
+describe("getAvailableExperience", () => {
+  const xp = (type, amount) => ({ type: SYSTEM_IDS.EXPERIENCE_ITEM_TYPE, system: { type, amount } });
+
+  it("subtracts spent from gained experience", () => {
+    const actor = createStubActor({
+      items: [
+        xp(SYSTEM_IDS.EXPERIENCE_GAINED_TYPE, 10),
+        xp(SYSTEM_IDS.EXPERIENCE_GAINED_TYPE, "5"),
+        xp(SYSTEM_IDS.EXPERIENCE_SPENT_TYPE, 4),
+        { type: "Feature", system: { amount: 100 } },
+        xp("other", 50),
+      ],
+    });
+    assert.equal(getAvailableExperience(actor), 11);
+  });
+
+  it("returns 0 for actors without items", () => {
+    assert.equal(getAvailableExperience(null), 0);
+  });
+});
+
+describe("buildFateLogUpdate", () => {
+  beforeEach(() => installFoundryStubs({ user: { id: "gm1" } }));
+
+  const path = `flags.${MODULE_ID}.${FATE_LOG_FLAG}`;
+
+  it("appends an entry stamped with time and user", () => {
+    const actor = createStubActor({ flags: { [MODULE_ID]: { [FATE_LOG_FLAG]: [{ type: "old" }] } } });
+    const update = buildFateLogUpdate(actor, { type: "purchase", from: 1, to: 2 });
+
+    assert.equal(update[path].length, 2);
+    const entry = update[path][1];
+    assert.equal(entry.type, "purchase");
+    assert.equal(entry.userId, "gm1");
+    assert.equal(typeof entry.atMs, "number");
+  });
+
+  it("keeps only the newest 100 entries", () => {
+    const log = Array.from({ length: 100 }, (_v, i) => ({ type: "old", i }));
+    const actor = createStubActor({ flags: { [MODULE_ID]: { [FATE_LOG_FLAG]: log } } });
+    const update = buildFateLogUpdate(actor, { type: "refresh" });
+
+    assert.equal(update[path].length, 100);
+    assert.equal(update[path][0].i, 1);
+    assert.equal(update[path][99].type, "refresh");
+  });
+});
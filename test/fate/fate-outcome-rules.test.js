@@ -0,0 +1,111 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { countFateDice } from "../../scripts/fate/rules/count-fate-dice.js";
+import { computeFateOutcome } from "../../scripts/fate/rules/compute-fate-outcome.js";
+import { FATE_OUTCOME_RULES, DEFAULT_FATE_OUTCOME_RULE } from "../../scripts/fate/rules/fate-outcome-rules.js";
+import { buildFateResult } from "../../scripts/fate/build-fate-result.js";
+
+const dice = (...pairs) => pairs.map(([type, value]) => ({ type, value }));
+
+describe("countFateDice", () => {
+  it("separates Fate dice from normal dice", () => {
+    const counts = countFateDice(dice(["fate", 10], ["fate", 1], ["base", 1], ["special", 1], ["fate", 7]));
+    assert.deepEqual(counts, { fateOnes: 1, fateTens: 1, fateHits: 1, normalOnes: 2 });
+  });
+
+  it("counts hits against a threshold", () => {
+    assert.equal(countFateDice(dice(["fate", 6], ["fate", 5], ["fate", 10]), 6).fateHits, 2);
+  });
+
+  it("ignores invalid values", () => {
+    assert.deepEqual(countFateDice([{ type: "fate", value: "x" }, null]), {
+      fateOnes: 0,
+      fateTens: 0,
+      fateHits: 0,
+      normalOnes: 0,
+    });
+  });
+});
+
+describe("Fate outcome rules", () => {
+  const roll = dice(["fate", 10], ["fate", 10], ["fate", 7], ["fate", 1], ["base", 1], ["base", 1], ["base", 1]);
+
+  it("registers every variant with delta as default", () => {
+    assert.deepEqual(Object.keys(FATE_OUTCOME_RULES), ["delta", "cancel-ones", "tens-reroll", "difficulty-threshold"]);
+    assert.equal(DEFAULT_FATE_OUTCOME_RULE, "delta");
+  });
+
+  it("delta: tens minus ones on Fate dice", () => {
+    assert.deepEqual(computeFateOutcome("delta", { dice: roll }), { rule: "delta", kind: "success", value: 1 });
+    assert.deepEqual(computeFateOutcome("delta", { dice: dice(["fate", 1], ["fate", 1]) }), {
+      rule: "delta",
+      kind: "botch",
+      value: 2,
+    });
+    assert.equal(computeFateOutcome("delta", { dice: dice(["fate", 1], ["fate", 10]) }).kind, "none");
+  });
+
+  it("cancel-ones: Fate tens cancel ones on normal dice", () => {
+    assert.deepEqual(computeFateOutcome("cancel-ones", { dice: roll }), { rule: "cancel-ones", kind: "cancel", value: 2 });
+    assert.equal(computeFateOutcome("cancel-ones", { dice: dice(["fate", 10], ["base", 5]) }).kind, "none");
+  });
+
+  it("tens-reroll: one reroll per Fate ten", () => {
+    assert.deepEqual(computeFateOutcome("tens-reroll", { dice: roll }), { rule: "tens-reroll", kind: "reroll", value: 2 });
+  });
+
+  it("difficulty-threshold: Fate dice succeed at the roll difficulty", () => {
+    assert.deepEqual(computeFateOutcome("difficulty-threshold", { dice: roll, difficulty: 7 }), {
+      rule: "difficulty-threshold",
+      kind: "success",
+      value: 2,
+    });
+  });
+
+  it("difficulty-threshold: falls back to 10 without a valid difficulty", () => {
+    assert.equal(computeFateOutcome("difficulty-threshold", { dice: roll, difficulty: null }).value, 1);
+    assert.equal(computeFateOutcome("difficulty-threshold", { dice: roll, difficulty: 42 }).value, 1);
+  });
+
+  it("falls back to the default rule for unknown ids", () => {
+    assert.equal(computeFateOutcome("nope", { dice: roll }).rule, "delta");
+  });
+});
+
+describe("buildFateResult", () => {
+  it("groups dice per roll area and keeps areas dense", () => {
+    const result = buildFateResult(
+      {
+        diceTypes: ["base", "fate", "fate", "base", "fate"],
+        dieValues: [1, 10, 10, 5, 1],
+        areaIndexes: [0, 0, 0, 2, 2],
+        areaCount: 3,
+      },
+      { ruleId: "delta", difficulty: 6 }
+    );
+
+    assert.equal(result.version, 1);
+    assert.equal(result.rule, "delta");
+    assert.equal(result.difficulty, 6);
+    assert.deepEqual(
+      result.areas.map((a) => [a.area, a.fateDice, a.tens, a.ones, a.delta, a.kind, a.value]),
+      [
+        [0, 2, 2, 0, 2, "success", 2],
+        [1, 0, 0, 0, 0, "none", 0],
+        [2, 1, 0, 1, -1, "botch", 1],
+      ]
+    );
+  });
+
+  it("stores the verdict of the selected rule", () => {
+    const result = buildFateResult(
+      { diceTypes: ["base", "fate"], dieValues: [1, 10], areaIndexes: [0, 0], areaCount: 1 },
+      { ruleId: "cancel-ones" }
+    );
+    assert.equal(result.rule, "cancel-ones");
+    assert.equal(result.difficulty, null);
+    assert.equal(result.areas[0].kind, "cancel");
+    assert.equal(result.areas[0].delta, 1);
+  });
+});
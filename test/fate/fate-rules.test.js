@@ -0,0 +1,70 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { installFoundryStubs } from "../helpers/foundry-stubs.js";
+import { normalizeFateRules } from "../../scripts/fate/normalize-fate-rules.js";
+import { computeFateRoll } from "../../scripts/fate/compute-fate-roll.js";
+import { getFateRules } from "../../scripts/fate/get-fate-rules.js";
+import { FATE_RULES } from "../../scripts/constants/fate-rules.js";
+import { SETTINGS_KEYS } from "../../scripts/constants/settings.js";
+
+describe("normalizeFateRules", () => {
+  it("returns the frozen defaults for empty input", () => {
+    assert.deepEqual(normalizeFateRules(undefined), {
+      rollSource: FATE_RULES.ROLL_SOURCE,
+      defaults: { permanent: 0, temporary: 0, max: FATE_RULES.DEFAULTS.max },
+      maxCap: FATE_RULES.MAX_CAP,
+    });
+  });
+
+  it("keeps valid values", () => {
+    const rules = normalizeFateRules({
+      rollSource: "temporary",
+      defaults: { permanent: 3, temporary: 2, max: 5 },
+      maxCap: 20,
+    });
+    assert.deepEqual(rules, { rollSource: "temporary", defaults: { permanent: 3, temporary: 2, max: 5 }, maxCap: 20 });
+  });
+
+  it("clamps values into their invariants", () => {
+    const rules = normalizeFateRules({
+      rollSource: "bogus",
+      defaults: { permanent: 9, temporary: 12, max: 500 },
+      maxCap: 0,
+    });
+    assert.equal(rules.rollSource, FATE_RULES.ROLL_SOURCE);
+    assert.equal(rules.maxCap, 1);
+    assert.equal(rules.defaults.max, 1);
+    assert.equal(rules.defaults.permanent, 1);
+    assert.equal(rules.defaults.temporary, 1);
+  });
+
+  it("parses numeric strings from form input", () => {
+    const rules = normalizeFateRules({ defaults: { max: "7", permanent: "4", temporary: "x" }, maxCap: "200" });
+    assert.equal(rules.maxCap, 100);
+    assert.deepEqual(rules.defaults, { permanent: 4, temporary: 0, max: 7 });
+  });
+});
+
+describe("computeFateRoll", () => {
+  it("uses permanent by default", () => {
+    assert.equal(computeFateRoll(4, 2, { rollSource: "permanent" }), 4);
+  });
+
+  it("uses temporary when configured", () => {
+    assert.equal(computeFateRoll(4, 2, { rollSource: "temporary" }), 2);
+  });
+
+  it("reads the world setting when rules are omitted", () => {
+    installFoundryStubs({ settings: { [SETTINGS_KEYS.FATE_RULES]: { rollSource: "temporary" } } });
+    assert.equal(computeFateRoll(5, 1), 1);
+  });
+});
+
+describe("getFateRules", () => {
+  beforeEach(() => installFoundryStubs());
+
+  it("falls back to defaults when the setting is not available", () => {
+    assert.equal(getFateRules().rollSource, FATE_RULES.ROLL_SOURCE);
+  });
+});
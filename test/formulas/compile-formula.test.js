@@ -0,0 +1,75 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { compileFormula, FORMULA_MAX_LENGTH } from "../../scripts/formulas/compile-formula.js";
+
+const VARIABLES = ["a", "b"];
+const run = (source, values = {}) => {
+  const compiled = compileFormula(source, { variables: VARIABLES });
+  assert.equal(compiled.ok, true, JSON.stringify(compiled.error));
+  return compiled.evaluate(values);
+};
+const errorOf = (source) => compileFormula(source, { variables: VARIABLES }).error;
+
+describe("compileFormula: evaluation", () => {
+  it("respects operator precedence and parentheses", () => {
+    assert.equal(run("1 + 2 * 3"), 7);
+    assert.equal(run("(1 + 2) * 3"), 9);
+    assert.equal(run("10 - 4 - 3"), 3);
+    assert.equal(run("7 % 4 + 8 / 2"), 7);
+  });
+
+  it("supports unary operators and decimals", () => {
+    assert.equal(run("-a + +b", { a: 2, b: 5 }), 3);
+    assert.equal(run("-(-.5) * 4"), 2);
+  });
+
+  it("calls the allowed functions", () => {
+    assert.equal(run("ceil(a / 2)", { a: 11 }), 6);
+    assert.equal(run("floor(2.7) + round(2.5) + abs(-1)"), 6);
+    assert.equal(run("min(a, b, 3) + max(a, b)", { a: 1, b: 9 }), 10);
+    assert.equal(run("clamp(a, 0, 5)", { a: 12 }), 5);
+  });
+
+  it("reads missing or invalid variable values as 0", () => {
+    assert.equal(run("a + b", { a: 4 }), 4);
+    assert.equal(run("a + 1", { a: "x" }), 1);
+  });
+
+  it("lists the variables a formula uses", () => {
+    assert.deepEqual(compileFormula("b * 2", { variables: VARIABLES }).variables, ["b"]);
+  });
+});
+
+describe("compileFormula: errors", () => {
+  it("rejects empty and oversized sources", () => {
+    assert.equal(errorOf("  ").code, "empty");
+    assert.equal(errorOf(null).code, "empty");
+    assert.equal(errorOf("1+".repeat(FORMULA_MAX_LENGTH)).code, "tooLong");
+  });
+
+  it("reports unknown names with their position", () => {
+    assert.deepEqual(errorOf("a + c"), { code: "unknownVariable", position: 4, token: "c" });
+    assert.deepEqual(errorOf("sqrt(a)"), { code: "unknownFunction", position: 0, token: "sqrt" });
+    assert.equal(errorOf("constructor").code, "unknownVariable");
+    assert.equal(errorOf("toString(1)").code, "unknownFunction");
+  });
+
+  it("reports syntax errors", () => {
+    assert.deepEqual(errorOf("1 $ 2"), { code: "unexpectedChar", position: 2, token: "$" });
+    assert.deepEqual(errorOf("1 2"), { code: "unexpectedToken", position: 2, token: "2" });
+    assert.equal(errorOf("(1 + 2").code, "unexpectedEnd");
+    assert.equal(errorOf("1 +").code, "unexpectedEnd");
+    assert.equal(errorOf("min()").code, "unexpectedToken");
+  });
+
+  it("checks function arity", () => {
+    assert.deepEqual(errorOf("clamp(1, 2)"), { code: "argCount", position: 0, token: "clamp" });
+    assert.equal(errorOf("ceil(1, 2)").code, "argCount");
+  });
+
+  it("bounds nesting depth", () => {
+    assert.equal(errorOf(`${"(".repeat(40)}1${")".repeat(40)}`).code, "tooDeep");
+    assert.equal(errorOf(`${"-".repeat(40)}1`).code, "tooDeep");
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * Minimal Foundry VTT global stubs for headless unit tests.
+ *
+ * Module code reads `game`, `Hooks`, `CONFIG` and `foundry.utils` lazily (inside functions),
+ * so tests can install fresh stubs in `beforeEach` and import modules normally.
+ *
+ * Only what rule modules touch is stubbed; anything DOM/Application related is out of scope.
+ *
+ * Usage:
+ *   import { installFoundryStubs } from "../helpers/foundry-stubs.js";
+ *   beforeEach(() => installFoundryStubs({ settings: { evilBotches: true } }));
+ */
+
+import { MODULE_ID } from "../../scripts/constants/module-id.js";
+
+/**
+ * Default `CONFIG.worldofdarkness` values (system defaults relevant to dice rules).
+ */
+export const DEFAULT_WOD_CONFIG = Object.freeze({
+  handleOnes: true,
+  useOnesSoak: false,
+  useOnesDamage: false,
+  usetenAddSuccess: false,
+  tenAddSuccess: 1,
+  usespecialityAddSuccess: true,
+  specialityAddSuccess: 2,
+  specialityAllowBotch: false,
+  useexplodingDice: false,
+  explodingDice: "",
+});
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function getProperty(object, key) {
+  if (!object || typeof key !== "string") return undefined;
+  let target = object;
+  for (const part of key.split(".")) {
+    if (target === null || target === undefined) return undefined;
+    target = target[part];
+  }
+  return target;
+}
+
+function setProperty(object, key, value) {
+  const parts = key.split(".");
+  const last = parts.pop();
+  let target = object;
+  for (const part of parts) {
+    if (!isPlainObject(target[part])) target[part] = {};
+    target = target[part];
+  }
+  target[last] = value;
+  return true;
+}
+
+function expandObject(obj) {
+  const out = {};
+  for (const [key, value] of Object.entries(obj ?? {})) {
+    setProperty(out, key, isPlainObject(value) ? expandObject(value) : value);
+  }
+  return out;
+}
+
+function mergeObject(original, other = {}, { inplace = true, insertKeys = true } = {}) {
+  const target = inplace ? original : structuredClone(original);
+  for (const [key, value] of Object.entries(expandObject(other))) {
+    if (!insertKeys && !(key in target)) continue;
+    if (isPlainObject(value) && isPlainObject(target[key])) {
+      mergeObject(target[key], value, { inplace: true, insertKeys });
+    } else {
+      target[key] = structuredClone(value);
+    }
+  }
+  return target;
+}
+
+/**
+ * Create a stub actor with the shape rule modules read (`system`, `items`, flags).
+ *
+ * @param {{ id?: string, type?: string, name?: string, system?: object, items?: object[], flags?: object }} [data]
+ */
+export function createStubActor({ id = "actor1", type = "vampire", name = "Test Actor", system = {}, items = [], flags = {} } = {}) {
+  return {
+    id,
+    type,
+    name,
+    system: structuredClone(system),
+    items,
+    flags: structuredClone(flags),
+    getFlag(scope, key) {
+      return getProperty(this.flags, `${scope}.${key}`);
+    },
+  };
+}
+
+/**
+ * Install fresh stubs on `globalThis`.
+ *
+ * @param {object} [options]
+ * @param {Record<string, unknown>} [options.settings] Module settings by key (SETTINGS_KEYS values).
+ * @param {object} [options.wodConfig] Overrides merged into DEFAULT_WOD_CONFIG.
+ * @param {object[]} [options.actors] Actors resolvable through `game.actors.get(id)`.
+ * @param {{ id?: string, isGM?: boolean }} [options.user]
+ * @returns {{ settings: Map<string, unknown>, hookCalls: Array<{ hook: string, args: unknown[] }> }}
+ */
+export function installFoundryStubs({ settings = {}, wodConfig = {}, actors = [], user = {} } = {}) {
+  const settingValues = new Map(Object.entries(settings));
+  const hookCalls = [];
+  const actorMap = new Map(actors.map((a) => [a.id, a]));
+
+  globalThis.foundry = {
+    utils: {
+      deepClone: (value) => structuredClone(value),
+      getProperty,
+      setProperty,
+      expandObject,
+      mergeObject,
+    },
+  };
+
+  globalThis.CONFIG = { worldofdarkness: { ...DEFAULT_WOD_CONFIG, ...wodConfig } };
+
+  globalThis.Hooks = {
+    on: () => 0,
+    once: () => 0,
+    off: () => undefined,
+    call: (hook, ...args) => {
+      hookCalls.push({ hook, args });
+      return true;
+    },
+    callAll: (hook, ...args) => {
+      hookCalls.push({ hook, args });
+      return true;
+    },
+  };
+
+  globalThis.game = {
+    user: { id: user.id ?? "user1", isGM: user.isGM === true },
+    users: { activeGM: null },
+    actors: { get: (id) => actorMap.get(id) ?? null },
+    settings: {
+      get: (scope, key) => {
+        if (scope !== MODULE_ID || !settingValues.has(key)) {
+          throw new Error(`Setting ${scope}.${key} is not registered`);
+        }
+        return settingValues.get(key);
+      },
+      set: async (scope, key, value) => {
+        settingValues.set(key, value);
+        return value;
+      },
+    },
+    i18n: {
+      localize: (key) => key,
+      format: (key, data) => `${key} ${JSON.stringify(data ?? {})}`,
+    },
+  };
+
+  return { settings: settingValues, hookCalls };
+}
+
+/**
+ * Remove all stubs from `globalThis`.
+ */
+export function removeFoundryStubs() {
+  delete globalThis.foundry;
+  delete globalThis.CONFIG;
+  delete globalThis.Hooks;
+  delete globalThis.game;
+}
+
+/**
+ * Build a single-d10 Roll-like object as the WoD system creates them (one Roll per die).
+ *
+ * @param {number} value
+ */
+export function d10Roll(value) {
+  return { dice: [{ faces: 10, results: [{ result: value, active: true }] }] };
+}
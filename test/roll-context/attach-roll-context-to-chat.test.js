@@ -0,0 +1,90 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { installFoundryStubs } from "../helpers/foundry-stubs.js";
+import { MODULE_ID } from "../../scripts/constants/module-id.js";
+import { registerRollContextChatAttachmentHook } from "../../scripts/roll-context/attach-roll-context-to-chat.js";
+import { setPendingRollContext } from "../../scripts/roll-context/store.js";
+import { getRollContextCoverage } from "../../scripts/roll-context/coverage.js";
+
+const USER = "user1";
+
+/**
+ * Register the hook against the stubs and return its preCreateChatMessage handler.
+ */
+function registerHandler() {
+  let handler = null;
+  globalThis.Hooks.on = (hook, fn) => {
+    if (hook === "preCreateChatMessage") handler = fn;
+    return 1;
+  };
+  registerRollContextChatAttachmentHook();
+  return handler;
+}
+
+/**
+ * Run the handler for a message and return the attached roll context (or null).
+ */
+function attach(handler, data) {
+  let source = null;
+  const doc = { id: "m1", rolls: [], updateSource: (changes) => (source = changes) };
+  handler(doc, data, {}, USER);
+  return source?.flags?.[MODULE_ID]?.rollContext ?? null;
+}
+
+describe("roll context chat attachment", () => {
+  beforeEach(() => {
+    installFoundryStubs();
+    delete globalThis.__rusbarWodV20Homerules_rollContextStore__;
+    delete globalThis.__rusbarWodV20Homerules_lastRollContainer__;
+    delete globalThis.__rusbarWodV20Homerules_rollContextCoverage__;
+  });
+
+  it("falls back to the last roll container for dialog-less rolls", () => {
+    const handler = registerHandler();
+    globalThis.__rusbarWodV20Homerules_lastRollContainer__ = {
+      byUserId: { [USER]: { container: { origin: "damage", difficulty: 6 }, atMs: Date.now() } },
+    };
+
+    const ctx = attach(handler, { rolls: [{}] });
+    assert.equal(ctx.captureSource, "container");
+    assert.equal(ctx.origin, "damage");
+  });
+
+  it("prefers a pending dialog context over the container", () => {
+    const handler = registerHandler();
+    setPendingRollContext(USER, { rollTraceId: "t1", origin: "general" });
+    globalThis.__rusbarWodV20Homerules_lastRollContainer__ = {
+      byUserId: { [USER]: { container: { origin: "damage" }, atMs: Date.now() } },
+    };
+
+    assert.equal(attach(handler, { rolls: [{}] }).origin, "general");
+    // The container was cleared, so it cannot leak into the next message.
+    assert.equal(attach(handler, { rolls: [{}] }), null);
+  });
+
+  it("builds an initiative context for core initiative messages", () => {
+    const handler = registerHandler();
+
+    const ctx = attach(handler, { rolls: [{}], speaker: { actor: "a1" }, flags: { core: { initiativeRoll: true } } });
+    assert.equal(ctx.captureSource, "initiative");
+    assert.equal(ctx.origin, "initiative");
+    assert.equal(ctx.actorId, "a1");
+  });
+
+  it("leaves messages without rolls alone", () => {
+    const handler = registerHandler();
+    setPendingRollContext(USER, { rollTraceId: "t1", origin: "general" });
+
+    assert.equal(attach(handler, { rolls: [], flags: { core: { initiativeRoll: true } } }), null);
+    assert.equal(attach(handler, { rolls: [{}] }).origin, "general");
+  });
+
+  it("records the initiative entry point as covered", () => {
+    registerHandler();
+    assert.deepEqual(
+      getRollContextCoverage().map((e) => [e.entryPoint, e.covered]),
+      [["ChatMessage flags.core.initiativeRoll", true]]
+    );
+  });
+});
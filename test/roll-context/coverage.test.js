@@ -0,0 +1,59 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { recordRollContextEntryPoint, getRollContextCoverage } from "../../scripts/roll-context/coverage.js";
+
+describe("roll context coverage", () => {
+  beforeEach(() => {
+    delete globalThis.__rusbarWodV20Homerules_rollContextCoverage__;
+  });
+
+  it("lists recorded entry points", () => {
+    recordRollContextEntryPoint({
+      entryPoint: "DialogSoakRoll._soakRoll",
+      origins: ["soak"],
+      source: "dialog",
+      covered: true,
+    });
+    recordRollContextEntryPoint({
+      entryPoint: "DiceRollContainer.origin",
+      origins: ["*"],
+      source: "container",
+      covered: false,
+      reason: "class-not-found",
+    });
+
+    assert.deepEqual(getRollContextCoverage(), [
+      { entryPoint: "DialogSoakRoll._soakRoll", origins: ["soak"], source: "dialog", covered: true, reason: null },
+      {
+        entryPoint: "DiceRollContainer.origin",
+        origins: ["*"],
+        source: "container",
+        covered: false,
+        reason: "class-not-found",
+      },
+    ]);
+  });
+
+  it("keeps the last state of an entry point", () => {
+    recordRollContextEntryPoint({ entryPoint: "X", origins: ["a"], source: "dialog", covered: false, reason: "patch-failed" });
+    recordRollContextEntryPoint({ entryPoint: "X", origins: ["a"], source: "dialog", covered: true });
+
+    const [entry] = getRollContextCoverage();
+    assert.equal(getRollContextCoverage().length, 1);
+    assert.equal(entry.covered, true);
+    assert.equal(entry.reason, null);
+  });
+
+  it("treats only `covered: true` as covered and tolerates missing origins", () => {
+    recordRollContextEntryPoint({ entryPoint: "X", source: "dialog", covered: "yes" });
+    assert.deepEqual(getRollContextCoverage()[0].origins, []);
+    assert.equal(getRollContextCoverage()[0].covered, false);
+  });
+
+  it("returns copies that do not change the recorded state", () => {
+    recordRollContextEntryPoint({ entryPoint: "X", origins: ["a"], source: "dialog", covered: true });
+    getRollContextCoverage()[0].origins.push("b");
+    assert.deepEqual(getRollContextCoverage()[0].origins, ["a"]);
+  });
+});
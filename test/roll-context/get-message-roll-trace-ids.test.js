@@ -0,0 +1,30 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { getMessageRollTraceIds } from "../../scripts/roll-context/get-message-roll-trace-ids.js";
+import { ROLL_TRACE_OPTION } from "../../scripts/roll-context/trace-id.js";
+
+describe("getMessageRollTraceIds", () => {
+  it("reads ids from serialized and instantiated rolls without duplicates", () => {
+    const data = {
+      rolls: [{ options: { [ROLL_TRACE_OPTION]: "t1" } }, JSON.stringify({ options: { [ROLL_TRACE_OPTION]: "t2" } })],
+    };
+    const doc = { rolls: [{ options: { [ROLL_TRACE_OPTION]: "t1" } }] };
+
+    assert.deepEqual(getMessageRollTraceIds(doc, data), { hasRolls: true, rollTraceIds: ["t1", "t2"] });
+  });
+
+  it("reports messages without rolls", () => {
+    assert.deepEqual(getMessageRollTraceIds({ rolls: [] }, { content: "note" }), {
+      hasRolls: false,
+      rollTraceIds: [],
+    });
+  });
+
+  it("ignores rolls without a stamped id", () => {
+    assert.deepEqual(getMessageRollTraceIds(null, { rolls: [{ options: {} }, "not json"] }), {
+      hasRolls: true,
+      rollTraceIds: [],
+    });
+  });
+});
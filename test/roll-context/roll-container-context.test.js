@@ -0,0 +1,85 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+
+import { installFoundryStubs } from "../helpers/foundry-stubs.js";
+import { consumeRollContainerContext } from "../../scripts/roll-context/patch-dice-container-roll-context.js";
+
+const USER = "user1";
+const STORE_KEY = "__rusbarWodV20Homerules_lastRollContainer__";
+
+/**
+ * Remember a container the way the patched `origin` setter does.
+ */
+function rememberContainer(container) {
+  globalThis[STORE_KEY] = { byUserId: { [USER]: { container, atMs: Date.now() } } };
+}
+
+const container = (extra = {}) => ({
+  actor: { id: "a1" },
+  origin: "damage",
+  attribute: "strength",
+  ability: "",
+  difficulty: "6",
+  speciality: false,
+  usewillpower: false,
+  ...extra,
+});
+
+describe("consumeRollContainerContext", () => {
+  beforeEach(() => {
+    installFoundryStubs();
+    delete globalThis[STORE_KEY];
+    mock.timers.enable({ apis: ["Date"], now: 1_000_000 });
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  it("builds a context from a fresh container", () => {
+    rememberContainer(container({ usewillpower: true }));
+    mock.timers.tick(1000);
+
+    const ctx = consumeRollContainerContext(USER);
+    assert.equal(ctx.captureSource, "container");
+    assert.equal(ctx.createdAtMs, 1_000_000);
+    assert.equal(ctx.actorId, "a1");
+    assert.equal(ctx.origin, "damage");
+    assert.equal(ctx.difficulty, 6);
+    assert.equal(ctx.useWillpower, true);
+    assert.equal(typeof ctx.rollTraceId, "string");
+  });
+
+  it("is one-shot", () => {
+    rememberContainer(container());
+    assert.notEqual(consumeRollContainerContext(USER), null);
+    assert.equal(consumeRollContainerContext(USER), null);
+  });
+
+  it("drops a container older than 4 seconds by default", () => {
+    rememberContainer(container());
+    mock.timers.tick(4001);
+    assert.equal(consumeRollContainerContext(USER), null);
+  });
+
+  it("honors a custom max age", () => {
+    rememberContainer(container());
+    mock.timers.tick(1500);
+    assert.equal(consumeRollContainerContext(USER, { maxAgeMs: 1000 }), null);
+
+    rememberContainer(container());
+    mock.timers.tick(1500);
+    assert.notEqual(consumeRollContainerContext(USER, { maxAgeMs: 2000 }), null);
+  });
+
+  it("only clears the container when a dialog context won", () => {
+    rememberContainer(container());
+    assert.equal(consumeRollContainerContext(USER, { use: false }), null);
+    assert.equal(consumeRollContainerContext(USER), null);
+  });
+
+  it("keeps an unknown difficulty as null", () => {
+    rememberContainer(container({ difficulty: undefined }));
+    assert.equal(consumeRollContainerContext(USER).difficulty, null);
+  });
+});
@@ -0,0 +1,113 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  PENDING_TTL_MS,
+  FALLBACK_TTL_MS,
+  ATTACHED_GRACE_MS,
+  setPendingRollContext,
+  setPendingAutoSuccesses,
+  beginRollTrace,
+  endRollTrace,
+  getActiveRollTraceId,
+  peekPendingRollContext,
+  consumePendingRollContext,
+} from "../../scripts/roll-context/store.js";
+
+const USER = "user1";
+
+const ctx = (rollTraceId, extra = {}) => ({ rollTraceId, actorId: "a1", attribute: "dexterity", ...extra });
+
+describe("roll context store", () => {
+  beforeEach(() => {
+    delete globalThis.__rusbarWodV20Homerules_rollContextStore__;
+    mock.timers.enable({ apis: ["Date"], now: 1_000_000 });
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  it("matches contexts by trace id regardless of arrival order", () => {
+    setPendingRollContext(USER, ctx("t1", { origin: "general" }));
+    setPendingRollContext(USER, ctx("t2", { origin: "soak" }));
+
+    assert.equal(consumePendingRollContext(USER, { rollTraceIds: ["t2"] }).origin, "soak");
+    assert.equal(consumePendingRollContext(USER, { rollTraceIds: ["t1"] }).origin, "general");
+  });
+
+  it("keeps a matched context for further messages of the same roll", () => {
+    setPendingRollContext(USER, ctx("t1"));
+    beginRollTrace(USER, "t1");
+
+    assert.equal(consumePendingRollContext(USER, { rollTraceIds: ["t1"] }).rollTraceId, "t1");
+    assert.equal(consumePendingRollContext(USER, { rollTraceIds: ["t1"] }).rollTraceId, "t1");
+
+    endRollTrace(USER, "t1");
+    mock.timers.tick(ATTACHED_GRACE_MS + 1);
+    assert.equal(consumePendingRollContext(USER, { rollTraceIds: ["t1"] }), null);
+  });
+
+  it("falls back to the oldest unattached context without trace ids", () => {
+    setPendingRollContext(USER, ctx("t1"));
+    setPendingRollContext(USER, ctx("t2"));
+    consumePendingRollContext(USER, { rollTraceIds: ["t1"] });
+
+    assert.equal(consumePendingRollContext(USER).rollTraceId, "t2");
+    assert.equal(consumePendingRollContext(USER), null);
+  });
+
+  it("survives slow rolls and expires after the TTL", () => {
+    setPendingRollContext(USER, ctx("t1"));
+    mock.timers.tick(10000);
+    assert.equal(consumePendingRollContext(USER, { rollTraceIds: ["t1"] }).rollTraceId, "t1");
+
+    setPendingRollContext(USER, ctx("t2"));
+    mock.timers.tick(PENDING_TTL_MS + 1);
+    assert.equal(consumePendingRollContext(USER, { rollTraceIds: ["t2"] }), null);
+  });
+
+  it("hands out unmatched contexts by arrival order only for a short time", () => {
+    setPendingRollContext(USER, ctx("t1", { origin: "general" }));
+    mock.timers.tick(FALLBACK_TTL_MS + 1);
+    assert.equal(consumePendingRollContext(USER), null);
+
+    // Still claimable by its own trace id (slow Dice So Nice roll).
+    assert.equal(consumePendingRollContext(USER, { rollTraceIds: ["t1"] }).origin, "general");
+  });
+
+  it("does not leak store bookkeeping into returned contexts", () => {
+    setPendingRollContext(USER, ctx("t1"));
+    const out = consumePendingRollContext(USER, { rollTraceIds: ["t1"] });
+    assert.equal("attachedCount" in out, false);
+    assert.equal("endedAtMs" in out, false);
+    assert.equal(out.createdAtMs, 1_000_000);
+  });
+
+  it("tracks the most recent active roll flow", () => {
+    beginRollTrace(USER, "t1");
+    beginRollTrace(USER, "t2");
+    assert.equal(getActiveRollTraceId(USER), "t2");
+    endRollTrace(USER, "t2");
+    assert.equal(getActiveRollTraceId(USER), "t1");
+    endRollTrace(USER, "t1");
+    assert.equal(getActiveRollTraceId(USER), null);
+  });
+
+  it("applies auto-successes to the context of the active roll flow", () => {
+    setPendingRollContext(USER, ctx("t1"));
+    setPendingRollContext(USER, ctx("t2"));
+    beginRollTrace(USER, "t1");
+
+    setPendingAutoSuccesses(USER, { actorId: "a1", attribute: "dexterity", autoSuccesses: 2 });
+
+    assert.equal(consumePendingRollContext(USER, { rollTraceIds: ["t1"] }).autoSuccesses, 2);
+    assert.equal(peekPendingRollContext(USER).autoSuccesses, undefined);
+  });
+
+  it("ignores auto-successes for a different actor", () => {
+    setPendingRollContext(USER, ctx("t1"));
+    setPendingAutoSuccesses(USER, { actorId: "other", autoSuccesses: 2 });
+    assert.equal(peekPendingRollContext(USER).autoSuccesses, undefined);
+  });
+});
@@ -0,0 +1,65 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { installFoundryStubs } from "../helpers/foundry-stubs.js";
+import { MODULE_ID } from "../../scripts/constants/module-id.js";
+import { collectActorRollHistory } from "../../scripts/roll-history/collect-actor-roll-history.js";
+
+const message = (id, timestamp, rollContext, extraFlags = {}, extra = {}) => ({
+  id,
+  timestamp,
+  visible: true,
+  speaker: { actor: rollContext?.actorId ?? null },
+  flags: { [MODULE_ID]: { rollContext, ...extraFlags } },
+  ...extra,
+});
+
+const messages = () => [
+  message("m1", 1000, { actorId: "a1", origin: "general", attribute: "dexterity", difficulty: "7", isSpecialized: true }),
+  message("m2", 3000, { actorId: "a1", origin: "soak", attribute: "stamina", difficulty: 6, useWillpower: true }, {
+    evilBotches: { applied: true, calc: { rule: "home", outcome: { kind: "botch", value: 2 } } },
+    fateResult: { rule: "delta", areas: [{ kind: "success", value: 1, tens: 1 }] },
+  }),
+  message("m3", 2000, { actorId: "a2", origin: "general" }),
+  message("m4", 4000, null),
+  message("m5", 5000, { actorId: "a1", origin: "general" }, {}, { visible: false }),
+];
+
+describe("collectActorRollHistory", () => {
+  beforeEach(() => installFoundryStubs());
+
+  it("lists only the actor's visible roll messages, newest first", () => {
+    const rows = collectActorRollHistory(messages(), "a1");
+    assert.deepEqual(rows.map((r) => r.messageId), ["m2", "m1"]);
+  });
+
+  it("normalizes roll context fields", () => {
+    const [, first] = collectActorRollHistory(messages(), "a1");
+    assert.equal(first.difficulty, 7);
+    assert.equal(first.isSpecialized, true);
+    assert.equal(first.useWillpower, false);
+    assert.equal(first.evilBotches, null);
+    assert.equal(first.fate, null);
+  });
+
+  it("includes stored Evil Botches and Fate results", () => {
+    const [latest] = collectActorRollHistory(messages(), "a1");
+    assert.deepEqual(latest.evilBotches, { outcome: { kind: "botch", value: 2 }, rule: "home" });
+    assert.deepEqual(latest.fate, { rule: "delta", areas: [{ kind: "success", value: 1 }] });
+  });
+
+  it("filters by origin and date range", () => {
+    assert.deepEqual(
+      collectActorRollHistory(messages(), "a1", { origin: "general" }).map((r) => r.messageId),
+      ["m1"]
+    );
+    assert.deepEqual(
+      collectActorRollHistory(messages(), "a1", { fromMs: 2000, toMs: 3000 }).map((r) => r.messageId),
+      ["m2"]
+    );
+  });
+
+  it("returns nothing without an actor id", () => {
+    assert.deepEqual(collectActorRollHistory(messages(), null), []);
+  });
+});
@@ -0,0 +1,59 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { installFoundryStubs } from "../helpers/foundry-stubs.js";
+import { MODULE_ID } from "../../scripts/constants/module-id.js";
+import { SETTINGS_KEYS } from "../../scripts/constants/settings.js";
+import { getRuleOverride } from "../../scripts/rule-overrides/get-rule-override.js";
+import { isRuleEnabled } from "../../scripts/rule-overrides/is-rule-enabled.js";
+import { shouldEnableFate } from "../../scripts/fate/should-enable-fate.js";
+import { isEvilBotchesEnabled } from "../../scripts/evil-botches/settings/is-evil-botches-enabled.js";
+
+const withOverrides = (ruleOverrides) => ({ flags: { [MODULE_ID]: { ruleOverrides } } });
+
+describe("getRuleOverride", () => {
+  it("reads known values", () => {
+    assert.equal(getRuleOverride(withOverrides({ fate: "disabled" }), "fate"), "disabled");
+  });
+
+  it("treats missing or unknown values as inherit", () => {
+    assert.equal(getRuleOverride(null, "fate"), "inherit");
+    assert.equal(getRuleOverride(withOverrides({ fate: "maybe" }), "fate"), "inherit");
+  });
+});
+
+describe("isRuleEnabled", () => {
+  it("uses the world setting without overrides", () => {
+    assert.equal(isRuleEnabled("fate", true), true);
+    assert.equal(isRuleEnabled("fate", false, { actor: withOverrides({}) }), false);
+  });
+
+  it("lets a scene override the world", () => {
+    assert.equal(isRuleEnabled("fate", true, { scene: withOverrides({ fate: "disabled" }) }), false);
+    assert.equal(isRuleEnabled("fate", false, { scene: withOverrides({ fate: "enabled" }) }), true);
+  });
+
+  it("lets an actor override the scene", () => {
+    const scene = withOverrides({ evilBotches: "disabled" });
+    assert.equal(isRuleEnabled("evilBotches", true, { scene, actor: withOverrides({ evilBotches: "enabled" }) }), true);
+    assert.equal(isRuleEnabled("evilBotches", true, { scene, actor: withOverrides({ evilBotches: "inherit" }) }), false);
+  });
+
+  it("keeps rules independent", () => {
+    assert.equal(isRuleEnabled("fate", true, { actor: withOverrides({ evilBotches: "disabled" }) }), true);
+  });
+});
+
+describe("gating functions", () => {
+  beforeEach(() => installFoundryStubs({ settings: { [SETTINGS_KEYS.ENABLE_FATE]: true, [SETTINGS_KEYS.EVIL_BOTCHES]: true } }));
+
+  it("shouldEnableFate honors actor overrides", () => {
+    assert.equal(shouldEnableFate(), true);
+    assert.equal(shouldEnableFate({ actor: withOverrides({ fate: "disabled" }) }), false);
+  });
+
+  it("isEvilBotchesEnabled honors scene overrides", () => {
+    assert.equal(isEvilBotchesEnabled(), true);
+    assert.equal(isEvilBotchesEnabled({ scene: withOverrides({ evilBotches: "disabled" }) }), false);
+  });
+});
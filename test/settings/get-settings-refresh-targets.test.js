@@ -0,0 +1,35 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { SETTINGS_KEYS } from "../../scripts/constants/settings.js";
+import { getSettingsRefreshTargets } from "../../scripts/settings/get-settings-refresh-targets.js";
+
+describe("getSettingsRefreshTargets", () => {
+  it("refreshes everything when Fate is toggled", () => {
+    assert.deepEqual(getSettingsRefreshTargets([SETTINGS_KEYS.ENABLE_FATE]), { sheets: true, dialogs: true, chat: true });
+  });
+
+  it("refreshes only the chat log for Evil Botches", () => {
+    assert.deepEqual(getSettingsRefreshTargets([SETTINGS_KEYS.EVIL_BOTCHES, SETTINGS_KEYS.EVIL_BOTCHES_RULE]), {
+      sheets: false,
+      dialogs: false,
+      chat: true,
+    });
+  });
+
+  it("merges targets of several changed settings", () => {
+    assert.deepEqual(getSettingsRefreshTargets([SETTINGS_KEYS.FATE_SPEND_COST, SETTINGS_KEYS.FATE_RULES]), {
+      sheets: true,
+      dialogs: true,
+      chat: false,
+    });
+  });
+
+  it("ignores settings without visible output", () => {
+    assert.deepEqual(getSettingsRefreshTargets([SETTINGS_KEYS.ENABLE_DEBUG, "unknown"]), {
+      sheets: false,
+      dialogs: false,
+      chat: false,
+    });
+  });
+});
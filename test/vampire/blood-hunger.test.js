@@ -0,0 +1,57 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { computeWakeResult } from "../../scripts/vampire/bloodpool/compute-wake-result.js";
+import { evaluateBloodHunger } from "../../scripts/vampire/bloodpool/evaluate-blood-hunger.js";
+
+describe("computeWakeResult", () => {
+  it("spends the wake cost", () => {
+    assert.deepEqual(computeWakeResult(10, 3), { ok: true, reason: "spent", cost: 3, before: 10, after: 7 });
+  });
+
+  it("allows spending down to exactly zero", () => {
+    assert.deepEqual(computeWakeResult(2, 2), { ok: true, reason: "spent", cost: 2, before: 2, after: 0 });
+  });
+
+  it("refuses when there is not enough blood", () => {
+    assert.deepEqual(computeWakeResult(1, 3), { ok: false, reason: "insufficient", cost: 3, before: 1, after: 1 });
+  });
+
+  it("is free for a zero or negative cost", () => {
+    assert.equal(computeWakeResult(5, 0).reason, "free");
+    assert.deepEqual(computeWakeResult(5, -2), { ok: true, reason: "free", cost: 0, before: 5, after: 5 });
+  });
+
+  it("coerces missing and string values", () => {
+    assert.deepEqual(computeWakeResult("4", "1"), { ok: true, reason: "spent", cost: 1, before: 4, after: 3 });
+    assert.deepEqual(computeWakeResult(undefined, 1), { ok: false, reason: "insufficient", cost: 1, before: 0, after: 0 });
+  });
+});
+
+describe("evaluateBloodHunger", () => {
+  it("is hungry at or below the threshold", () => {
+    assert.equal(evaluateBloodHunger({ temporary: 4, hunger: 4 }).hungry, true);
+    assert.equal(evaluateBloodHunger({ temporary: 3, hunger: 4 }).hungry, true);
+    assert.equal(evaluateBloodHunger({ temporary: 5, hunger: 4 }).hungry, false);
+  });
+
+  it("reports a crossing only when blood was above the threshold before", () => {
+    assert.equal(evaluateBloodHunger({ temporary: 4, hunger: 4, before: 6 }).crossed, true);
+    assert.equal(evaluateBloodHunger({ temporary: 3, hunger: 4, before: 4 }).crossed, false);
+    assert.equal(evaluateBloodHunger({ temporary: 5, hunger: 4, before: 8 }).crossed, false);
+  });
+
+  it("never reports a crossing without a previous value", () => {
+    assert.equal(evaluateBloodHunger({ temporary: 0, hunger: 4 }).crossed, false);
+    assert.equal(evaluateBloodHunger({ temporary: 0, hunger: 4, before: null }).crossed, false);
+  });
+
+  it("normalizes inputs", () => {
+    assert.deepEqual(evaluateBloodHunger({ temporary: "-2", hunger: "3", before: "5" }), {
+      hungry: true,
+      crossed: true,
+      temporary: 0,
+      hunger: 3,
+    });
+  });
+});
@@ -0,0 +1,60 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { installFoundryStubs, createStubActor } from "../helpers/foundry-stubs.js";
+import { normalizeBloodpoolFormulas } from "../../scripts/vampire/bloodpool/normalize-bloodpool-formulas.js";
+import { evaluateBloodpoolFormula } from "../../scripts/vampire/bloodpool/evaluate-bloodpool-formula.js";
+import { calcBloodpoolExtras } from "../../scripts/vampire/bloodpool/calc-bloodpool-extras.js";
+import { BLOODPOOL_FORMULAS } from "../../scripts/constants/bloodpool-formulas.js";
+import { SETTINGS_KEYS } from "../../scripts/constants/settings.js";
+
+describe("normalizeBloodpoolFormulas", () => {
+  it("returns the defaults for missing input", () => {
+    assert.deepEqual(normalizeBloodpoolFormulas(null), { ...BLOODPOOL_FORMULAS.DEFAULTS });
+  });
+
+  it("keeps valid formulas (trimmed) and replaces invalid ones", () => {
+    const out = normalizeBloodpoolFormulas({ wakeCost: "  perTurn * 2 ", hunger: "ceil(" });
+    assert.equal(out.wakeCost, "perTurn * 2");
+    assert.equal(out.hunger, BLOODPOOL_FORMULAS.DEFAULTS.hunger);
+  });
+});
+
+describe("evaluateBloodpoolFormula", () => {
+  it("rounds and clamps results", () => {
+    assert.deepEqual(evaluateBloodpoolFormula("hunger", "maxBloodPool / 4", { maxBloodPool: 10 }), {
+      value: 3,
+      fallback: false,
+    });
+    assert.equal(evaluateBloodpoolFormula("wakeCost", "1 - generation", { generation: 13 }).value, 0);
+  });
+
+  it("falls back to the default formula for non-finite results", () => {
+    const out = evaluateBloodpoolFormula("hunger", "maxBloodPool / virtue", { maxBloodPool: 10, virtue: 0 });
+    assert.deepEqual(out, { value: 6, fallback: true });
+  });
+});
+
+describe("calcBloodpoolExtras with custom formulas", () => {
+  beforeEach(() =>
+    installFoundryStubs({
+      settings: {
+        [SETTINGS_KEYS.BLOODPOOL_FORMULAS]: { wakeCost: "perTurn + 1", hunger: "10 - humanity" },
+      },
+    })
+  );
+
+  it("uses the configured formulas and exposes humanity", () => {
+    const actor = createStubActor({
+      system: {
+        generation: 10,
+        advantages: { bloodpool: { perturn: 2, max: 13 }, path: { permanent: 6 } },
+      },
+    });
+
+    const out = calcBloodpoolExtras(actor);
+    assert.equal(out.wakeCost, 3);
+    assert.equal(out.hunger, 4);
+    assert.equal(out.meta.humanity, 6);
+  });
+});
@@ -0,0 +1,61 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { installFoundryStubs, createStubActor } from "../helpers/foundry-stubs.js";
+import { calcBloodpoolExtras } from "../../scripts/vampire/bloodpool/calc-bloodpool-extras.js";
+
+const vampire = ({ generation, perturn, max, permanent, selfcontrol, instincts } = {}) =>
+  createStubActor({
+    system: {
+      generation,
+      advantages: {
+        bloodpool: { perturn, max, permanent },
+        virtues: { selfcontrol: { permanent: selfcontrol }, instincts: { permanent: instincts } },
+      },
+    },
+  });
+
+describe("calcBloodpoolExtras", () => {
+  beforeEach(() => installFoundryStubs());
+
+  it("computes wake cost and hunger for a 13th generation vampire", () => {
+    const out = calcBloodpoolExtras(vampire({ generation: 13, perturn: 1, max: 10, selfcontrol: 3 }));
+    assert.equal(out.wakeCost, 1);
+    assert.equal(out.hunger, 3);
+    assert.deepEqual(out.meta, {
+      generation: 13,
+      perTurn: 1,
+      maxBloodPool: 10,
+      virtue: 3,
+      virtueKey: "selfcontrol",
+      virtueSource: "fallback",
+      pathId: null,
+      humanity: 0,
+    });
+  });
+
+  it("scales wake cost with generation and blood per turn", () => {
+    const out = calcBloodpoolExtras(vampire({ generation: 9, perturn: 2, max: 14, selfcontrol: 4 }));
+    assert.equal(out.wakeCost, 1 + 4 + 1);
+    assert.equal(out.hunger, 4);
+  });
+
+  it("rounds hunger up and never goes below zero", () => {
+    assert.equal(calcBloodpoolExtras(vampire({ max: 11, selfcontrol: 2 })).hunger, 5);
+    assert.equal(calcBloodpoolExtras(vampire({ max: 2, selfcontrol: 5 })).hunger, 0);
+  });
+
+  it("falls back to Instincts and to the permanent pool", () => {
+    const out = calcBloodpoolExtras(vampire({ permanent: 10, instincts: 4 }));
+    assert.equal(out.meta.maxBloodPool, 10);
+    assert.equal(out.meta.virtue, 4);
+    assert.equal(out.hunger, 2);
+  });
+
+  it("uses safe defaults for an empty actor", () => {
+    const out = calcBloodpoolExtras(createStubActor());
+    assert.equal(out.meta.generation, 13);
+    assert.equal(out.meta.perTurn, 1);
+    assert.equal(out.wakeCost, 1);
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { computeBloodSpend, getRoundBloodSpent, isSameRound } from "../../scripts/vampire/bloodpool/compute-blood-spend.js";
+import { BLOOD_SPEND } from "../../scripts/constants/blood-spend.js";
+
+const ROUND = { combatId: "c1", round: 2 };
+
+describe("getRoundBloodSpent", () => {
+  it("reads the record of the same round", () => {
+    assert.equal(getRoundBloodSpent({ ...ROUND, spent: 2 }, ROUND), 2);
+  });
+
+  it("treats other rounds, other combats and missing records as empty", () => {
+    assert.equal(getRoundBloodSpent({ combatId: "c1", round: 1, spent: 2 }, ROUND), 0);
+    assert.equal(getRoundBloodSpent({ combatId: "c2", round: 2, spent: 2 }, ROUND), 0);
+    assert.equal(getRoundBloodSpent(null, ROUND), 0);
+  });
+});
+
+describe("computeBloodSpend", () => {
+  it("starts a new record and stays within the limit", () => {
+    const out = computeBloodSpend({ record: null, ...ROUND, amount: 1, perTurn: 2, reason: "healing", userId: "u", now: 5 });
+    assert.deepEqual(out.record, {
+      ...ROUND,
+      spent: 1,
+      entries: [{ amount: 1, reason: "healing", userId: "u", atMs: 5 }],
+    });
+    assert.equal(out.exceeded, false);
+    assert.equal(out.refused, false);
+  });
+
+  it("accumulates within the same round", () => {
+    const record = { ...ROUND, spent: 1, entries: [{ amount: 1, reason: "physical", userId: null, atMs: 1 }] };
+    const out = computeBloodSpend({ record, ...ROUND, amount: 1, perTurn: 2, now: 2 });
+    assert.equal(out.spentBefore, 1);
+    assert.equal(out.spentAfter, 2);
+    assert.equal(out.record.entries.length, 2);
+    assert.equal(out.exceeded, false);
+  });
+
+  it("resets on a new round", () => {
+    const record = { combatId: "c1", round: 1, spent: 3, entries: [{ amount: 3, reason: "other" }] };
+    const out = computeBloodSpend({ record, ...ROUND, amount: 1, perTurn: 3 });
+    assert.equal(out.spentBefore, 0);
+    assert.equal(out.record.spent, 1);
+    assert.equal(out.record.entries.length, 1);
+  });
+
+  it("warns or refuses above the limit depending on the mode", () => {
+    const record = { ...ROUND, spent: 2, entries: [] };
+    const warn = computeBloodSpend({ record, ...ROUND, amount: 1, perTurn: 2, mode: "warn" });
+    assert.equal(warn.exceeded, true);
+    assert.equal(warn.refused, false);
+
+    const refuse = computeBloodSpend({ record, ...ROUND, amount: 1, perTurn: 2, mode: "refuse" });
+    assert.equal(refuse.exceeded, true);
+    assert.equal(refuse.refused, true);
+  });
+
+  it("records waking up without counting it", () => {
+    const out = computeBloodSpend({ record: null, ...ROUND, amount: 5, perTurn: 1, reason: "wake", mode: "refuse" });
+    assert.equal(out.record.spent, 0);
+    assert.equal(out.record.entries[0].reason, "wake");
+    assert.equal(out.exceeded, false);
+  });
+
+  it("records unknown reasons as other and caps the entry list", () => {
+    const entries = Array.from({ length: BLOOD_SPEND.MAX_ENTRIES }, (_, i) => ({ amount: 0, reason: "other", atMs: i }));
+    const out = computeBloodSpend({ record: { ...ROUND, spent: 0, entries }, ...ROUND, amount: 1, perTurn: 5, reason: "??" });
+    assert.equal(out.record.entries.length, BLOOD_SPEND.MAX_ENTRIES);
+    assert.equal(out.record.entries.at(-1).reason, "other");
+  });
+});
+
+describe("isSameRound", () => {
+  it("requires the same combat and the same round", () => {
+    assert.equal(isSameRound({ ...ROUND, spent: 1 }, "c1", 2), true);
+    assert.equal(isSameRound({ ...ROUND, spent: 1 }, "c2", 2), false);
+    assert.equal(isSameRound({ ...ROUND, spent: 1 }, "c1", 3), false);
+    assert.equal(isSameRound(null, "c1", 2), false);
+  });
+});
@@ -0,0 +1,104 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { installFoundryStubs, d10Roll } from "../helpers/foundry-stubs.js";
+import { MODULE_ID } from "../../scripts/constants/module-id.js";
+import { FEEDING } from "../../scripts/constants/feeding.js";
+import { computeFeedingResult } from "../../scripts/vampire/feeding/compute-feeding-result.js";
+import { getMessageNetSuccesses } from "../../scripts/evil-botches/get-message-net-successes.js";
+
+describe("computeFeedingResult", () => {
+  it("adds one blood per net success", () => {
+    assert.deepEqual(computeFeedingResult({ successes: 3, botch: false, before: 4, max: 10 }), {
+      kind: "fed",
+      gained: 3,
+      wasted: 0,
+      severity: 0,
+      before: 4,
+      after: 7,
+    });
+  });
+
+  it("caps the gain at the Blood Pool size and reports the rest as wasted", () => {
+    const result = computeFeedingResult({ successes: 5, botch: false, before: 8, max: 10 });
+    assert.equal(result.gained, 2);
+    assert.equal(result.wasted, 3);
+    assert.equal(result.after, 10);
+  });
+
+  it("gains nothing on zero successes", () => {
+    assert.equal(computeFeedingResult({ successes: 0, botch: false, before: 4, max: 10 }).kind, "failed");
+  });
+
+  it("reports a botch with its severity and no gain", () => {
+    const result = computeFeedingResult({ successes: 0, botch: true, severity: 2, before: 4, max: 10 });
+    assert.equal(result.kind, "botch");
+    assert.equal(result.severity, 2);
+    assert.equal(result.gained, 0);
+    assert.equal(result.after, 4);
+  });
+
+  it("changes nothing when successes are unknown", () => {
+    const result = computeFeedingResult({ successes: null, botch: false, before: 4, max: 10 });
+    assert.equal(result.kind, "unknown");
+    assert.equal(result.after, 4);
+  });
+
+  it("does not cap when the Blood Pool size is unknown", () => {
+    assert.equal(computeFeedingResult({ successes: 3, botch: false, before: "2", max: undefined }).after, 5);
+  });
+});
+
+describe("getMessageNetSuccesses (feeding roll)", () => {
+  beforeEach(() => installFoundryStubs());
+
+  const message = (values, difficulty, flags = {}, ctx = {}) => ({
+    id: "m1",
+    rolls: values.map((v) => d10Roll(v)),
+    flags: { [MODULE_ID]: { rollContext: { origin: FEEDING.ORIGIN, difficulty, ...ctx }, ...flags } },
+  });
+
+  it("counts V20 successes against the hunting ground difficulty", () => {
+    const result = getMessageNetSuccesses(message([8, 5, 10, 1], FEEDING.HUNTING_GROUNDS.downtown));
+    assert.equal(result.successes, 1);
+    assert.equal(result.botch, false);
+    assert.equal(result.difficulty, 6);
+  });
+
+  it("counts a 10 as the specialty value on a Streetwise specialty roll", () => {
+    const result = getMessageNetSuccesses(message([10, 7, 3], 6, {}, { isSpecialized: true }));
+    assert.equal(result.successes, 3);
+  });
+
+  it("adds the Willpower success after ones and never botches with Willpower", () => {
+    const result = getMessageNetSuccesses(message([4, 3, 1], 6, {}, { useWillpower: true }));
+    assert.equal(result.botch, false);
+    assert.equal(result.successes, 1);
+    assert.equal(getMessageNetSuccesses(message([8, 9, 1], 6, {}, { useWillpower: true })).successes, 2);
+  });
+
+  it("adds auto-successes before ones", () => {
+    const result = getMessageNetSuccesses(message([8, 3], 6, {}, { autoSuccesses: 2 }));
+    assert.equal(result.successes, 3);
+    assert.equal(getMessageNetSuccesses(message([1, 3], 6, {}, { autoSuccesses: 1 })).botch, false);
+  });
+
+  it("subtracts ones only when the system handles ones", () => {
+    installFoundryStubs({ wodConfig: { handleOnes: false } });
+    assert.equal(getMessageNetSuccesses(message([8, 9, 1], 6)).successes, 2);
+  });
+
+  it("reports the ones of a botch as its severity", () => {
+    const result = getMessageNetSuccesses(message([1, 1, 4], 6));
+    assert.deepEqual([result.successes, result.botch, result.severity], [0, true, 2]);
+  });
+
+  it("follows the stored Evil Botches verdict when it applied", () => {
+    const result = getMessageNetSuccesses(
+      message([1, 1, 9], 6, { evilBotches: { applied: true, calc: { outcome: { kind: "botch", value: 2 } } } })
+    );
+    assert.equal(result.botch, true);
+    assert.equal(result.successes, 0);
+    assert.equal(result.severity, 2);
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { installFoundryStubs, createStubActor } from "../helpers/foundry-stubs.js";
+import { getGenerationStats } from "../../scripts/vampire/generation/get-generation-stats.js";
+import { findGenerationMismatches } from "../../scripts/vampire/generation/find-generation-mismatches.js";
+import { calcBloodpoolExtras } from "../../scripts/vampire/bloodpool/calc-bloodpool-extras.js";
+
+const vampire = ({ generation, perturn, max } = {}) =>
+  createStubActor({ system: { generation, advantages: { bloodpool: { perturn, max } } } });
+
+describe("getGenerationStats", () => {
+  it("returns the V20 values", () => {
+    assert.deepEqual(getGenerationStats(13), { generation: 13, traitMax: 5, maxBloodPool: 10, perTurn: 1 });
+    assert.deepEqual(getGenerationStats("8"), { generation: 8, traitMax: 5, maxBloodPool: 15, perTurn: 3 });
+    assert.deepEqual(getGenerationStats(4), { generation: 4, traitMax: 9, maxBloodPool: 50, perTurn: 10 });
+  });
+
+  it("returns null outside the table", () => {
+    assert.equal(getGenerationStats(3), null);
+    assert.equal(getGenerationStats(16), null);
+    assert.equal(getGenerationStats(undefined), null);
+  });
+});
+
+describe("findGenerationMismatches", () => {
+  beforeEach(() => installFoundryStubs());
+
+  it("reports nothing when stored values match", () => {
+    const out = findGenerationMismatches(vampire({ generation: 9, perturn: 2, max: 14 }));
+    assert.equal(out.stats.generation, 9);
+    assert.deepEqual(out.mismatches, []);
+  });
+
+  it("reports each disagreeing field with its update path", () => {
+    const out = findGenerationMismatches(vampire({ generation: 9, perturn: 1, max: 10 }));
+    assert.deepEqual(out.mismatches, [
+      { key: "maxBloodPool", path: "system.advantages.bloodpool.max", stored: 10, expected: 14 },
+      { key: "perTurn", path: "system.advantages.bloodpool.perturn", stored: 1, expected: 2 },
+    ]);
+  });
+
+  it("reports missing values as null", () => {
+    const out = findGenerationMismatches(vampire({ generation: 12, perturn: 1 }));
+    assert.deepEqual(out.mismatches, [
+      { key: "maxBloodPool", path: "system.advantages.bloodpool.max", stored: null, expected: 11 },
+    ]);
+  });
+
+  it("skips generations outside the table", () => {
+    assert.deepEqual(findGenerationMismatches(vampire({ generation: 3, perturn: 1, max: 10 })), {
+      stats: null,
+      mismatches: [],
+    });
+  });
+});
+
+describe("calcBloodpoolExtras generation table fallback", () => {
+  beforeEach(() => installFoundryStubs());
+
+  it("uses the table when per-turn and Blood Pool size are missing", () => {
+    const out = calcBloodpoolExtras(vampire({ generation: 8 }));
+    assert.equal(out.meta.perTurn, 3);
+    assert.equal(out.meta.maxBloodPool, 15);
+  });
+});
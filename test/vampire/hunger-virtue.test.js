@@ -0,0 +1,80 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { installFoundryStubs, createStubActor } from "../helpers/foundry-stubs.js";
+import { findPathOfEnlightenment } from "../../scripts/vampire/virtues/find-path-of-enlightenment.js";
+import { resolveHungerVirtue } from "../../scripts/vampire/virtues/resolve-hunger-virtue.js";
+import { calcBloodpoolExtras } from "../../scripts/vampire/bloodpool/calc-bloodpool-extras.js";
+import { MODULE_ID } from "../../scripts/constants/module-id.js";
+
+const vampire = ({ path, selfcontrol, instinct, hungerVirtue } = {}) =>
+  createStubActor({
+    system: {
+      advantages: {
+        bloodpool: { max: 10 },
+        path: { label: path },
+        virtues: { selfcontrol: { permanent: selfcontrol }, instinct: { permanent: instinct } },
+      },
+    },
+    flags: hungerVirtue ? { [MODULE_ID]: { hungerVirtue } } : {},
+  });
+
+describe("findPathOfEnlightenment", () => {
+  it("recognizes ids, labels and system keys", () => {
+    assert.equal(findPathOfEnlightenment("Humanity"), "humanity");
+    assert.equal(findPathOfEnlightenment("wod.advantages.path.humanity"), "humanity");
+    assert.equal(findPathOfEnlightenment("Path of the Feral Heart"), "feralHeart");
+    assert.equal(findPathOfEnlightenment("The Path of Caine"), "caine");
+    assert.equal(findPathOfEnlightenment("powerAndTheInnerVoice"), "powerAndTheInnerVoice");
+  });
+
+  it("returns null for unknown or empty names", () => {
+    assert.equal(findPathOfEnlightenment("Road of Kings"), null);
+    assert.equal(findPathOfEnlightenment(""), null);
+    assert.equal(findPathOfEnlightenment(undefined), null);
+  });
+});
+
+describe("resolveHungerVirtue", () => {
+  beforeEach(() => installFoundryStubs());
+
+  it("uses Self-Control for Humanity", () => {
+    assert.deepEqual(resolveHungerVirtue(vampire({ path: "Humanity", selfcontrol: 3, instinct: 4 })), {
+      key: "selfcontrol",
+      value: 3,
+      source: "path",
+      pathId: "humanity",
+    });
+  });
+
+  it("uses Instinct for Instinct Paths", () => {
+    const out = resolveHungerVirtue(vampire({ path: "Path of Night", selfcontrol: 2, instinct: 4 }));
+    assert.equal(out.key, "instinct");
+    assert.equal(out.value, 4);
+  });
+
+  it("reads Instinct from the Self-Control slot when it is not stored separately", () => {
+    const out = resolveHungerVirtue(vampire({ path: "Path of Caine", selfcontrol: 5 }));
+    assert.equal(out.key, "instinct");
+    assert.equal(out.value, 5);
+  });
+
+  it("lets the player override the Path", () => {
+    const actor = vampire({ path: "Path of Night", selfcontrol: 2, instinct: 4, hungerVirtue: "selfcontrol" });
+    const out = resolveHungerVirtue(actor);
+    assert.deepEqual(out, { key: "selfcontrol", value: 2, source: "override", pathId: "night" });
+  });
+
+  it("falls back to Self-Control, then Instinct, for unknown Paths", () => {
+    assert.equal(resolveHungerVirtue(vampire({ selfcontrol: 3, instinct: 4 })).key, "selfcontrol");
+    assert.equal(resolveHungerVirtue(vampire({ instinct: 4 })).key, "instinct");
+    assert.equal(resolveHungerVirtue(vampire({ hungerVirtue: "auto", instinct: 4 })).source, "fallback");
+  });
+
+  it("feeds the hunger formula and meta", () => {
+    const out = calcBloodpoolExtras(vampire({ path: "Path of Night", selfcontrol: 1, instinct: 4 }));
+    assert.equal(out.hunger, 2);
+    assert.equal(out.meta.virtueKey, "instinct");
+    assert.equal(out.meta.pathId, "night");
+  });
+});